@@ -27,7 +27,19 @@
     // game boot (temporary flag for development)
     NZJS.Config.DebugNetworking = true;
 
+    // The WebSocket URL of the signaling broker that introduces peers to each
+    // other (see src/transport/signal.js and tools/broker.js)
+    NZJS.Config.SignalingURL = 'ws://localhost:8090';
+
+    // The seed of the NetDebug screen's network simulator, or undefined to
+    // pick a new one every run
+    NZJS.Config.NetDebugSeed = undefined;
+
     // The id of the HTML5 <canvas> element to beind to
     NZJS.Config.CanvasID = 'nzjsCanvas';
 
+    // True when running without a browser (see src/headless.js), in which
+    // case the game loop only ticks and never draws
+    NZJS.Config.Headless = false;
+
 })(NZJS);
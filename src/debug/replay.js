@@ -4,4 +4,262 @@
  * Small helper library for recording/replaying network inputs received
  * from the remote endpoint. Creating replays may be helpful reproducing
  * situations for debugging.
+ *
+ * A match replay holds everything needed to play a game back: a header
+ * describing the match (configuration, map, players and RNG seed) and the
+ * input record (NZJS.Input.Record) of every player. To capture one, give each
+ * player's input record a window long enough to hold the whole match, then:
+ *
+ *      var replay = new NZJS.Debug.Replay({ map: 'arena', seed: seed });
+ *      replay.addPlayer('p1', 'Alice', aliceRecord);
+ *      replay.addPlayer('p2', 'Bob', bobRecord);
+ *      replay.download('desync.nzreplay');
+ *
+ * To load one from a file (e.g. from an <input type="file">), and watch it:
+ *
+ *      NZJS.Debug.Replay.load(file, function(err, replay) {
+ *          NZJS.pushScreen(new NZJS.Screens.Replay(screens, replay, simulation));
+ *      });
+ *
+ * Replay files are JSON:
+ *
+ *      {
+ *          "format": "nzjs-replay",
+ *          "version": 1,
+ *          "config": { <NZJS.Config when the match was recorded> },
+ *          "map": <map id>,
+ *          "seed": <RNG seed>,
+ *          "players": [ { "id": <player id>, "name": <player name> }, ... ],
+ *          "records": { <player id>: <packed NZJS.Input.Record>, ... }
+ *      }
  */
+
+;(function(NZJS, window, document) {
+    'use strict';
+
+    NZJS.Debug = NZJS.Debug || { };
+
+    var FORMAT = 'nzjs-replay';
+    var VERSION = 1;
+
+    // Replay files can come from anywhere, so their player ids are only
+    // ever looked up as own keys
+    var hasOwn = Object.prototype.hasOwnProperty;
+
+    // Creates a new, empty match replay
+    //
+    // header: An optional object with the following properties:
+    //         - map: The id of the map the match is played on
+    //         - seed: The seed of the match's random number generator. If
+    //           omitted, a random seed is picked.
+    //         - config: The game configuration. If omitted, a copy of the
+    //           current NZJS.Config is used.
+    //
+    function Replay(header) {
+
+        header = header || { };
+
+        this.version = VERSION;
+        this.map = header.map === undefined ? null : header.map;
+        this.seed = header.seed === undefined ? NZJS.randomSeed() : header.seed;
+        this.config = header.config || copyConfig();
+
+        // [ { id: <player id>, name: <player name> }, ... ]
+        this.players = [ ];
+
+        // Maps each player id to that player's NZJS.Input.Record
+        this.records = { };
+    }
+    NZJS.Debug.Replay = Replay;
+
+    // Copies the plain settings out of NZJS.Config
+    //
+    function copyConfig() {
+
+        var config = { };
+        for (var name in NZJS.Config) {
+            if (NZJS.Config.hasOwnProperty(name) && typeof NZJS.Config[name] != 'function') {
+                config[name] = NZJS.Config[name];
+            }
+        }
+
+        return config;
+    }
+
+    // Adds a player and their input record to this replay
+    //
+    Replay.prototype.addPlayer = function(id, name, record) {
+
+        this.players.push({ id: id, name: name });
+        this.records[id] = record;
+    }
+
+    // Gets the time span covered by this replay's input records, as
+    // { start: <Number>, end: <Number> }
+    //
+    Replay.prototype.span = function() {
+
+        var start = Infinity;
+        var end = -Infinity;
+
+        for (var i = 0; i < this.players.length; ++i) {
+            var record = this.records[this.players[i].id];
+
+            start = Math.min(start, record._basetime);
+            end = Math.max(end, record.latest());
+        }
+
+        return isFinite(start) ? { start: start, end: end } : { start: 0, end: 0 };
+    }
+
+    // Serializes this replay into the replay file format (a JSON string)
+    //
+    Replay.prototype.serialize = function() {
+
+        var records = { };
+        for (var i = 0; i < this.players.length; ++i) {
+            var id = this.players[i].id;
+
+            // Packing through a fresh subscriber includes the record's base
+            // state, so history that left the record's window isn't lost
+            records[id] = this.records[id].subscribe().pack();
+        }
+
+        return JSON.stringify({
+            format: FORMAT,
+            version: this.version,
+            config: this.config,
+            map: this.map,
+            seed: this.seed,
+            players: this.players,
+            records: records
+        });
+    }
+
+    // Deserializes a replay from the replay file format. Throws an Error if
+    // the text isn't a replay file this version of the game can read.
+    //
+    Replay.parse = function(text) {
+
+        var data;
+        try {
+            data = JSON.parse(text);
+        }
+        catch (e) {
+            throw new Error('NZJS.Debug.Replay: not a replay file (' + e.message + ')');
+        }
+
+        if (!data || data.format != FORMAT) {
+            throw new Error('NZJS.Debug.Replay: not a replay file');
+        }
+        if (data.version != VERSION) {
+            throw new Error('NZJS.Debug.Replay: unsupported replay version ' + data.version);
+        }
+        if (!Array.isArray(data.players) || !data.records || typeof data.records != 'object') {
+            throw new Error('NZJS.Debug.Replay: replay file is missing its players');
+        }
+
+        var replay = new Replay({ map: data.map, seed: data.seed, config: data.config });
+
+        for (var i = 0; i < data.players.length; ++i) {
+            var player = checkPlayer(data.players[i], i, replay);
+            var packed = hasOwn.call(data.records, player.id) ? data.records[player.id] : undefined;
+
+            if (typeof packed != 'string') {
+                throw new Error('NZJS.Debug.Replay: no input record for player ' + player.id);
+            }
+
+            var record = new NZJS.Input.Record(Infinity);
+            try {
+                record.unpack(packed);
+            }
+            catch (e) {
+                throw new Error('NZJS.Debug.Replay: bad input record for player ' + player.id +
+                                ' (' + e.message + ')');
+            }
+
+            replay.addPlayer(player.id, player.name, record);
+        }
+
+        return replay;
+    }
+
+    // Throws an Error if the given entry of a replay file's players isn't a
+    // { id, name } object with an id no earlier player has. Returns the entry.
+    //
+    function checkPlayer(player, index, replay) {
+
+        var where = 'NZJS.Debug.Replay: player ' + index;
+
+        if (!player || typeof player != 'object' || Array.isArray(player)) {
+            throw new Error(where + ' is not an object');
+        }
+        if ((typeof player.id != 'string' || player.id.length == 0) &&
+            (typeof player.id != 'number' || !isFinite(player.id))) {
+            throw new Error(where + ' has no valid id');
+        }
+        if (typeof player.name != 'string') {
+            throw new Error(where + ' has no name');
+        }
+
+        for (var i = 0; i < replay.players.length; ++i) {
+            if (String(replay.players[i].id) == String(player.id)) {
+                throw new Error(where + ' has the same id as another player (' + player.id + ')');
+            }
+        }
+
+        return player;
+    }
+
+    // Gets this replay as a Blob, e.g. for uploading with a bug report
+    //
+    Replay.prototype.toBlob = function() {
+
+        return new window.Blob([ this.serialize() ], { type: 'application/json' });
+    }
+
+    // Prompts the browser to save this replay as a file
+    //
+    Replay.prototype.download = function(filename) {
+
+        var url = window.URL.createObjectURL(this.toBlob());
+
+        var link = document.createElement('a');
+        link.href = url;
+        link.download = filename || 'match.nzreplay';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        window.URL.revokeObjectURL(url);
+    }
+
+    // Reads a replay from a File or Blob (e.g. from an <input type="file">).
+    // Calls callback(error, replay) when done.
+    //
+    Replay.load = function(file, callback) {
+
+        var reader = new window.FileReader();
+
+        reader.onload = function() {
+            var replay;
+            try {
+                replay = Replay.parse(reader.result);
+            }
+            catch (e) {
+                callback(e, null);
+                return;
+            }
+
+            callback(null, replay);
+        }
+
+        reader.onerror = function() {
+            callback(new Error('NZJS.Debug.Replay: could not read ' + file.name), null);
+        }
+
+        reader.readAsText(file);
+    }
+
+})(NZJS, window, document);
@@ -0,0 +1,377 @@
+/*
+ * headless.js
+ *
+ * Boots nullzero.js in Node, without a browser. The authoritative server and
+ * simulation tests use this to run the game's modules on a plain Linux box:
+ *
+ *      var NZJS = require('./src/headless').boot();
+ *
+ *      var record = new NZJS.Input.Record(1.0);
+ *      ...
+ *
+ * Unlike the other source files, this one is a Node module, and index.html
+ * doesn't include it. It loads the browser-agnostic modules (time, replay,
+ * input snapshots, kernel, entities, maps, AI) into a sandbox with stand-ins
+ * for the browser globals they were written against. The graphics and
+ * transport backends, which need WebGL and WebRTC, are replaced by pluggable
+ * stand-ins:
+ *
+ * - Graphics: an NZJS.WebGL look-alike whose gl object ignores every call
+ * - Transport: an NZJS.RTC look-alike whose connections pass datagrams to
+ *   each other in memory (so NZJS.Transport.createLocalConnections() works,
+ *   and so does NZJS.Transport.connectVia() between two signalers on the
+ *   same NZJS.RTC.Broker)
+ *
+ * Options you can pass to boot():
+ *
+ * - graphics: An object to use as NZJS.WebGL instead of the default stand-in
+ * - transport: An object whose properties replace those of NZJS.RTC (e.g.
+ *   init and Connection) instead of the default stand-in
+ * - globals: An object of extra globals for the sandbox (e.g. a mocked
+ *   navigator), which override the default stand-ins
+ * - screens: If true, also loads the game screens and main.js, so
+ *   NZJS.main() can run the game loop headlessly. Defaults to false.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+// The modules to load, in dependency order (see index.html)
+//
+var MODULES = [
+    'init.js',
+    'config.js',
+    'time.js',
+    'random.js',
+
+    'transport/rtc.js',
+    'transport/signal.js',
+    'transport/messages.js',
+    'transport/connection.js',
+    'transport/simulated.js',
+
+    'replay/record.js',
+    'replay/walk.js',
+    'replay/codec.js',
+    'replay/subscriber.js',
+    'replay/struct.js',
+
+    'kernel/client.js',
+    'kernel/server.js',
+
+    'input/gamepad.js',
+    'input/events.js',
+    'input/axis.js',
+    'input/keys.js',
+    'input/button.js',
+    'input/focus.js',
+    'input/state.js',
+    'input/profile.js',
+    'input/context.js',
+    'input/record.js',
+    'input/replay.js',
+
+    'ai/idle.js',
+    'ai/hold.js',
+    'ai/evade.js',
+    'ai/move.js',
+    'ai/formation.js',
+    'ai/patrol.js',
+    'ai/attack.js',
+
+    'entity/null.js',
+    'entity/gate.js',
+    'entity/surface.js',
+
+    'map/map.js'
+];
+
+var SCREEN_MODULES = [
+    'screen/load.js',
+    'screen/menu.js',
+    'screen/game.js',
+    'screen/netdebug.js',
+    'screen/replay.js',
+    'debug/replay.js',
+    'main.js'
+];
+
+// A stand-in for DOM objects that modules attach event listeners to.
+// dispatchEvent(type, props) calls the listeners for type with props as the
+// event, which lets tests simulate input.
+//
+function StubTarget() {
+    this._listeners = { };
+}
+
+StubTarget.prototype.addEventListener = function(type, listener) {
+    (this._listeners[type] = this._listeners[type] || [ ]).push(listener);
+};
+
+StubTarget.prototype.removeEventListener = function(type, listener) {
+    var listeners = this._listeners[type] || [ ];
+    var index = listeners.indexOf(listener);
+
+    if (index >= 0) {
+        listeners.splice(index, 1);
+    }
+};
+
+StubTarget.prototype.dispatchEvent = function(type, props) {
+    var ev = props || { };
+    ev.type = type;
+    ev.preventDefault = ev.preventDefault || function() { };
+
+    var listeners = (this._listeners[type] || [ ]).slice();
+    for (var i = 0; i < listeners.length; ++i) {
+        listeners[i].call(this, ev);
+    }
+};
+
+// Creates the stand-in for the browser's document object
+//
+function stubDocument() {
+
+    var doc = new StubTarget();
+    var canvas = new StubTarget();
+
+    canvas.width = 640;
+    canvas.height = 480;
+    canvas.requestPointerLock = function() { };
+    canvas.getBoundingClientRect = function() {
+        return { left: 0, top: 0, width: canvas.width, height: canvas.height };
+    };
+
+    doc.documentElement = { clientWidth: canvas.width, clientHeight: canvas.height };
+    doc.getElementById = function(id) { return canvas; };
+    doc.hasFocus = function() { return true; };
+    doc.exitPointerLock = function() { };
+    doc.pointerLockElement = null;
+
+    return doc;
+}
+
+// Creates the default stand-in for NZJS.WebGL
+//
+function stubGraphics(NZJS, document) {
+
+    var gl = new Proxy({ }, {
+        get: function(target, name) {
+            // Constants (e.g. gl.COLOR_BUFFER_BIT) are upper case; everything
+            // else is a method that does nothing
+            return /^[A-Z_0-9]+$/.test(name) ? 0 : function() { };
+        }
+    });
+
+    return {
+        gl: gl,
+        canvas: document.getElementById(NZJS.Config.CanvasID),
+        init: function() { },
+        resize: function() { },
+        canvasWidth: function() { return 0; },
+        canvasHeight: function() { return 0; }
+    };
+}
+
+// Creates the default stand-in for NZJS.RTC: connections that pass datagrams
+// to each other in memory, asynchronously, the way data channels would
+//
+function stubTransport(NZJS, sandbox) {
+
+    var ConnectionState = NZJS.RTC.ConnectionState;
+
+    function LoopbackConnection(isReliable) {
+
+        this.isReliable = isReliable;
+        this.state = ConnectionState.Closed;
+        this.peer = null;
+        this.attempt = null;
+        this._signaling = null;
+    }
+
+    LoopbackConnection.prototype.onrecv = NZJS.RTC.Connection.prototype.onrecv;
+    LoopbackConnection.prototype.onmalformed = NZJS.RTC.Connection.prototype.onmalformed;
+    LoopbackConnection.prototype.onopen = NZJS.RTC.Connection.prototype.onopen;
+    LoopbackConnection.prototype.onclose = NZJS.RTC.Connection.prototype.onclose;
+    LoopbackConnection.prototype.onerror = NZJS.RTC.Connection.prototype.onerror;
+    LoopbackConnection.prototype.onsuperseded = NZJS.RTC.Connection.prototype.onsuperseded;
+    LoopbackConnection.prototype._listenVia = NZJS.RTC.Connection.prototype._listenVia;
+    LoopbackConnection.prototype._stopSignaling = NZJS.RTC.Connection.prototype._stopSignaling;
+
+    LoopbackConnection.prototype.localConnectTo = function(other) {
+
+        var self = this;
+
+        this.peer = other;
+        other.peer = this;
+        this.state = other.state = ConnectionState.Opening;
+
+        sandbox.setTimeout(function() {
+            if (self.state == ConnectionState.Opening && other.state == ConnectionState.Opening) {
+                self.state = other.state = ConnectionState.Open;
+                self.onopen();
+                other.onopen();
+            }
+        }, 0);
+    };
+
+    // Connections waiting for their peer's answer, by the number sent in
+    // their offer
+    var offered = Object.create(null);
+    var offers = 0;
+
+    // Signals like NZJS.RTC.Connection.connectVia(), but the offer only
+    // names the offering connection, which the answering one then connects
+    // to directly
+    //
+    LoopbackConnection.prototype.connectVia = function(signaler, peerId, attempt) {
+
+        if (signaler.id === null) {
+            throw new Error('NZJS.RTC.Connection: the signaler must join a room before connecting');
+        }
+
+        var self = this;
+        var channel = this.isReliable ? 'reliable' : 'unreliable';
+
+        this.state = ConnectionState.Opening;
+
+        this._listenVia(signaler, peerId, attempt || 0, function(data) {
+            if (data.kind != 'offer' || !data.desc) {
+                return;
+            }
+
+            // The offering connection may have closed since
+            var offerer = offered[data.desc.sdp];
+            delete offered[data.desc.sdp];
+
+            if (offerer && offerer.state == ConnectionState.Opening) {
+                self.localConnectTo(offerer);
+
+                signaler.signal(peerId, { channel: channel, attempt: self.attempt, kind: 'answer',
+                                          desc: { type: 'answer', sdp: data.desc.sdp } });
+            }
+        });
+
+        if (signaler.id < peerId) {
+            var sdp = 'loopback ' + (++offers);
+            offered[sdp] = this;
+
+            signaler.signal(peerId, { channel: channel, attempt: this.attempt, kind: 'offer',
+                                      desc: { type: 'offer', sdp: sdp } });
+        }
+    };
+
+    LoopbackConnection.prototype.send = function(datagram) {
+
+        if (this.state != ConnectionState.Open) {
+            throw new Error('NZJS.RTC.Connection: can\'t send on a connection that isn\'t open');
+        }
+
+        var peer = this.peer;
+        var text = JSON.stringify(datagram);
+
+        sandbox.setTimeout(function() {
+            if (peer.state == ConnectionState.Open && peer.onrecv) {
+                peer.onrecv(JSON.parse(text), text.length);
+            }
+        }, 0);
+    };
+
+    // Closes both ends, as the peer's data channel closes when this one
+    // does
+    //
+    LoopbackConnection.prototype.close = function() {
+
+        var ends = [ this, this.peer ];
+
+        for (var i = 0; i < ends.length; ++i) {
+            if (ends[i]) {
+                ends[i]._stopSignaling();
+            }
+            if (ends[i] && ends[i].state != ConnectionState.Closed) {
+                ends[i].state = ConnectionState.Closed;
+                ends[i].onclose();
+            }
+        }
+    };
+
+    return {
+        init: function() { },
+        Connection: LoopbackConnection
+    };
+}
+
+// Wraps a timer function so pending timers don't keep Node running
+//
+function unrefTimer(set) {
+    return function() {
+        var timer = set.apply(null, arguments);
+        if (timer && timer.unref) {
+            timer.unref();
+        }
+        return timer;
+    };
+}
+
+// Loads nullzero.js into a new sandbox and returns its NZJS namespace object.
+// See the top of this file for the options.
+//
+function boot(options) {
+
+    options = options || { };
+
+    var document = stubDocument();
+    var window = new StubTarget();
+    window.navigator = { };
+    window.document = document;
+
+    var sandbox = {
+        console: console,
+        document: document,
+        window: window,
+        navigator: window.navigator,
+        performance: { now: function() { return performance.now(); } },
+        setTimeout: unrefTimer(setTimeout),
+        setInterval: unrefTimer(setInterval),
+        clearTimeout: clearTimeout,
+        clearInterval: clearInterval,
+        TextEncoder: TextEncoder,
+        TextDecoder: TextDecoder
+    };
+
+    var globals = options.globals || { };
+    for (var name in globals) {
+        if (globals.hasOwnProperty(name)) {
+            sandbox[name] = globals[name];
+        }
+    }
+
+    vm.createContext(sandbox);
+
+    var modules = MODULES.concat(options.screens ? SCREEN_MODULES : [ ]);
+    for (var i = 0; i < modules.length; ++i) {
+        var file = path.join(__dirname, modules[i]);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    }
+
+    var NZJS = sandbox.NZJS;
+
+    NZJS.Config.Headless = true;
+
+    NZJS.WebGL = options.graphics || stubGraphics(NZJS, sandbox.document);
+
+    var transport = options.transport || stubTransport(NZJS, sandbox);
+    for (var name in transport) {
+        if (transport.hasOwnProperty(name)) {
+            NZJS.RTC[name] = transport[name];
+        }
+    }
+
+    return NZJS;
+}
+
+exports.boot = boot;
+exports.MODULES = MODULES;
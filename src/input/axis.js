@@ -3,6 +3,19 @@
  *
  * Represents an axis input (which can produce values between -1 and 1,
  * inclusively)
+ *
+ * Axes can be filtered. For example, this snippet creates the variable
+ * 'aim', which ignores small stick movements, responds gently near the
+ * center, and smooths out jitter:
+ *
+ * var aim =     NZJS.Input.padAxis(0, 'right', 'horiz')
+ *          .deadzone(0.1)
+ *          .curve('expo', 2)
+ *          .smooth(0.05)
+ *          .clamp(-1, 1);
+ *
+ * Filters are applied when the axis is polled, so NZJS.Input.State snapshots
+ * (and NZJS.Input.Record records) the filtered value.
  */
 
 ;(function(NZJS, document) {
@@ -18,6 +31,31 @@
         return new NZJS.Input.MouseAxis(direction, sensitivity);
     }
 
+    // Returns a new mouse wheel axis
+    // direction - 'horiz' or 'vert'
+    // sensitivity - the ratio of pixels scrolled to axis values
+    //
+    NZJS.Input.wheel = function(direction, sensitivity) {
+        return new NZJS.Input.WheelAxis(direction, sensitivity);
+    }
+
+    // Returns a new cursor position axis
+    // direction - 'horiz' or 'vert'
+    //
+    NZJS.Input.cursor = function(direction) {
+        return new NZJS.Input.CursorAxis(direction);
+    }
+
+    // Returns a new gamepad axis
+    // index - the index of the gamepad (see gamepad.js)
+    // stick - 'left', 'right' or 'triggers', or a raw axis index
+    // direction - 'horiz' or 'vert' for sticks, 'left' or 'right' for the
+    //             triggers; ignored for raw axis indices
+    //
+    NZJS.Input.padAxis = function(index, stick, direction) {
+        return new NZJS.Input.PadAxis(index, stick, direction);
+    }
+
     // Returns a new NZJS.Input.ButtonAxis with zero attached buttons.
     // Call .withButton() to attach a button.
     // baseValue is the value of the axis before any button values are applied.
@@ -33,38 +71,6 @@
         return new NZJS.Input.AxisSnapshot(axis.value);
     }
 
-    // Acquires input from the browser
-    // Uses the pointer lock API to ensure the cursor is hidden
-    // and mouse moves do not actually affect the cursor
-    //
-    NZJS.Input.acquire = function() {
-        var havePointerLock = 'pointerLockElement' in document ||
-                           'mozPointerLockElement' in document ||
-                        'webkitPointerLockElement' in document;
-
-        if (!havePointerLock) {
-            console.log("This browser doesn't support pointer lock!");
-        }
-        else {
-            var canvas = document.getElementById(NZJS.Config.CanvasID);
-            canvas.requestPointerLock = canvas.requestPointerLock ||
-                                        canvas.mozRequestPointerLock ||
-                                        canvas.webkitRequestPointerLock;
-
-            canvas.requestPointerLock();
-        }
-    }
-
-    // Releases the pointer lock
-    //
-    NZJS.Input.release = function() {
-        document.exitPointerLock = document.exitPointerLock ||
-                                document.mozExitPointerLock ||
-                             document.webkitExitPointerLock;
-
-        document.exitPointerLock();
-    }
-
     // Base methods for an axis object
     //
     function AxisPrototype() {
@@ -73,38 +79,328 @@
         //
         this._construct = function() {
             this.value = 0.0;
+
+            // Changes since the previous poll (see events.js)
+            this.events = [ ];
+            this._buffer = new NZJS.Input.EventBuffer();
+        }
+
+        // Forgets the changes this axis has seen since the previous poll
+        // (see context.js)
+        //
+        this._settle = function() {
+            this._buffer.take();
+            this.events = [ ];
         }
 
         // Not required for all axis objects, but always provided for the
         // caller's convenience
         //
         this.poll = function() { }
+
+        // Stops this axis, and the inputs it wraps, from listening for
+        // input. Call it once the axis won't be polled again (e.g. when the
+        // state it belongs to is rebuilt; see NZJS.Input.State.release).
+        //
+        this.release = function() {
+
+            var inputs = [ this.axis ].concat((this.buttons || [ ]).map(function(b) { return b.btn; }));
+            for (var i = 0; i < inputs.length; ++i) {
+                if (inputs[i] && typeof inputs[i].release == 'function') {
+                    inputs[i].release();
+                }
+            }
+        }
+
+
+        //
+        // Axis filters
+        //
+
+        // Returns a new axis that is 0 while [this] is within size of 0, and
+        // rescaled to still reach 1 when [this] does
+        //
+        this.deadzone = function(size) {
+            return new NZJS.Input.DeadzoneAxis(this, size);
+        }
+
+        // Returns a new axis that maps the value of [this] through a response
+        // curve (see NZJS.Input.CurveAxis)
+        //
+        this.curve = function(curve, exponent) {
+            return new NZJS.Input.CurveAxis(this, curve, exponent);
+        }
+
+        // Returns a new axis whose value is the negated value of [this]
+        //
+        this.invert = function() {
+            return new NZJS.Input.InvertAxis(this);
+        }
+
+        // Returns a new axis that follows [this] smoothly, taking about time
+        // seconds to catch up with a change
+        //
+        this.smooth = function(time) {
+            return new NZJS.Input.SmoothAxis(this, time);
+        }
+
+        // Returns a new axis whose value is the value of [this], limited to
+        // the range [min, max] (by default, [-1, 1])
+        //
+        this.clamp = function(min, max) {
+            return new NZJS.Input.ClampAxis(this, min, max);
+        }
     }
 
-    // An axis that polls the cursor state.
+    // An axis that polls mouse movement.
     // direction can be one of 'horiz' or 'vert'.
     // sentitivity is the ratio from pixel delta to axis value
     //
+    // The value is all of the movement since the previous poll (so it's 0
+    // once the mouse stops), which means it isn't limited to [-1, 1]. Mouse
+    // movement is only reported while the pointer is locked (see
+    // NZJS.Input.acquire()) or over the page.
+    //
     function MouseAxis(direction, sensitivity) {
         this._construct();
 
-        var scale = 1.0 / sensitivity;
+        this.direction = direction;
+        this.sensitivity = sensitivity;
+        this._source = 'mouse ' + direction;
+
+        // Pixels moved since the last poll
+        this._moved = 0;
+
         var self = this;
-        document.addEventListener('mousemove', function(ev) {
+        this._onMouseMove = function(ev) {
 
+            var moved = 0;
             if (direction == 'horiz') {
-                self.value = ev.movementX || ev.mozMovementX || ev.webkitMovementX || 0;
+                moved = ev.movementX || ev.mozMovementX || ev.webkitMovementX || 0;
             }
             else if (direction == 'vert') {
-                self.value = ev.movementY || ev.mozMovementY || ev.webkitMovementY || 0;
+                moved = ev.movementY || ev.mozMovementY || ev.webkitMovementY || 0;
             }
 
-            self.value *= scale;
-        });
+            if (moved) {
+                self._moved += moved;
+                self._buffer.record({ value: moved });
+            }
+        };
+
+        document.addEventListener('mousemove', this._onMouseMove);
     }
     MouseAxis.prototype = new AxisPrototype();
     NZJS.Input.MouseAxis = MouseAxis;
 
+    MouseAxis.prototype.release = function() {
+        document.removeEventListener('mousemove', this._onMouseMove);
+        this._settle();
+    }
+
+    MouseAxis.prototype.poll = function() {
+        this.value = this._moved / this.sensitivity;
+        this._moved = 0;
+        this.events = this._buffer.take();
+
+        // Masked by an input context (see context.js)
+        if (NZJS.Input.isMasked(this._source)) {
+            this.value = 0.0;
+            this.events = [ ];
+        }
+    }
+
+    MouseAxis.prototype._settle = function() {
+        this._moved = 0;
+        this._buffer.take();
+        this.events = [ ];
+    }
+
+    // Pixels per line and per page, for wheel events that scroll by lines or
+    // pages (WheelEvent.deltaMode 1 and 2)
+    //
+    var WHEEL_LINE = 40;
+    var WHEEL_PAGE = 800;
+
+    // An axis that polls the mouse wheel.
+    // direction can be one of 'horiz' or 'vert'.
+    // sensitivity is the ratio from pixels scrolled to axis value (most mice
+    // scroll about 100 pixels per notch)
+    //
+    // Like MouseAxis, the value is all of the scrolling since the previous
+    // poll. Scrolling down (or right) is positive.
+    //
+    function WheelAxis(direction, sensitivity) {
+        this._construct();
+
+        this.direction = direction;
+        this.sensitivity = sensitivity;
+        this._source = 'wheel ' + direction;
+
+        // Pixels scrolled since the last poll
+        this._scrolled = 0;
+
+        var self = this;
+        this._onWheel = function(ev) {
+
+            var delta = direction == 'horiz' ? ev.deltaX : ev.deltaY;
+            var scale = ev.deltaMode == 1 ? WHEEL_LINE : ev.deltaMode == 2 ? WHEEL_PAGE : 1;
+
+            if (delta) {
+                self._scrolled += delta * scale;
+                self._buffer.record({ value: delta * scale });
+            }
+        };
+
+        document.addEventListener('wheel', this._onWheel);
+    }
+    WheelAxis.prototype = new AxisPrototype();
+    NZJS.Input.WheelAxis = WheelAxis;
+
+    WheelAxis.prototype.release = function() {
+        document.removeEventListener('wheel', this._onWheel);
+        this._settle();
+    }
+
+    WheelAxis.prototype.poll = function() {
+        this.value = this._scrolled / this.sensitivity;
+        this._scrolled = 0;
+        this.events = this._buffer.take();
+
+        // Masked by an input context (see context.js)
+        if (NZJS.Input.isMasked(this._source)) {
+            this.value = 0.0;
+            this.events = [ ];
+        }
+    }
+
+    WheelAxis.prototype._settle = function() {
+        this._scrolled = 0;
+        this._buffer.take();
+        this.events = [ ];
+    }
+
+    // An axis that polls the cursor's position over the game's canvas.
+    // direction can be one of 'horiz' or 'vert'.
+    //
+    // The value is -1 at the canvas's left (or top) edge and 1 at its right
+    // (or bottom) edge, and goes past that when the cursor leaves the canvas.
+    // To get the position in canvas pixels:
+    //
+    //      var x = (axis.value + 1) / 2 * canvas.width;
+    //
+    // Use this when the pointer isn't locked, e.g. for clicking on units.
+    // While the pointer is locked, the cursor doesn't move, so neither does
+    // this axis.
+    //
+    function CursorAxis(direction) {
+        this._construct();
+
+        this.direction = direction;
+        this._source = 'cursor ' + direction;
+
+        // The position given by the last mousemove event
+        this._position = 0.0;
+
+        var self = this;
+        this._onMouseMove = function(ev) {
+
+            var canvas = document.getElementById(NZJS.Config.CanvasID);
+            var rect = canvas.getBoundingClientRect();
+
+            if (direction == 'horiz') {
+                self._position = 2.0 * (ev.clientX - rect.left) / rect.width - 1.0;
+            }
+            else if (direction == 'vert') {
+                self._position = 2.0 * (ev.clientY - rect.top) / rect.height - 1.0;
+            }
+
+            self._buffer.record({ value: self._position });
+        };
+
+        document.addEventListener('mousemove', this._onMouseMove);
+    }
+    CursorAxis.prototype = new AxisPrototype();
+    NZJS.Input.CursorAxis = CursorAxis;
+
+    CursorAxis.prototype.release = function() {
+        document.removeEventListener('mousemove', this._onMouseMove);
+        this._settle();
+    }
+
+    CursorAxis.prototype.poll = function() {
+        this.events = this._buffer.take();
+
+        // While masked by an input context (see context.js), the cursor
+        // stays where it was last seen
+        if (NZJS.Input.isMasked(this._source)) {
+            this.events = [ ];
+        }
+        else {
+            this.value = this._position;
+        }
+    }
+
+    // An axis that polls a gamepad stick or trigger (see NZJS.Input.padAxis()).
+    // Stick values range from -1 (left/up) to 1 (right/down); trigger values
+    // range from 0 (released) to 1 (fully pulled). While the pad is
+    // disconnected, the value is 0.
+    //
+    function PadAxis(index, stick, direction) {
+        this._construct();
+
+        this.index = index;
+        this.stick = stick;
+        this.direction = direction;
+
+        if (typeof stick == 'number') {
+            this.axis = stick;
+            this.isTrigger = false;
+        }
+        else {
+            var sticks = NZJS.Input.PadMapping.sticks;
+            if (!sticks[stick] || sticks[stick][direction] === undefined) {
+                throw new Error('NZJS.Input: unknown gamepad stick ' + stick + ' ' + direction);
+            }
+
+            this.axis = sticks[stick][direction];
+            this.isTrigger = stick == 'triggers';
+        }
+
+        this._source = 'pad ' + index + ' stick ' + stick +
+                       (typeof stick == 'number' ? '' : ' ' + direction);
+    }
+    PadAxis.prototype = new AxisPrototype();
+    NZJS.Input.PadAxis = PadAxis;
+
+    PadAxis.prototype.poll = function() {
+        var pad = NZJS.Input.gamepad(this.index);
+        var value = 0.0;
+
+        if (pad && this.isTrigger) {
+            var btn = pad.buttons[this.axis];
+            value = typeof btn == 'number' ? btn : (btn ? btn.value : 0.0);
+        }
+        else if (pad) {
+            value = pad.axes[this.axis] || 0.0;
+        }
+
+        value = Math.max(-1.0, Math.min(value, 1.0));
+
+        // Masked by an input context (see context.js)
+        if (NZJS.Input.isMasked(this._source)) {
+            value = 0.0;
+        }
+
+        // Pads have no events, so changes are timed when they're polled
+        if (value != this.value) {
+            this._buffer.record({ value: value });
+        }
+
+        this.value = value;
+        this.events = this._buffer.take();
+    }
+
     // An axis composed of multiple buttons, each of which contributes some
     // amount to the axis's final value. Each button's value is added to
     // the base value, which can be thought of as the axis's neutral point.
@@ -141,6 +437,143 @@
 
             this.value += b.btn.down() ? b.down : b.up;
         }
+
+        this.events = NZJS.Input.mergeEvents(this.buttons.map(function(b) { return b.btn.events; }));
+    }
+
+    // An axis that is 0 while the axis supplied to the constructor is within
+    // size of 0. Outside the dead zone, values are rescaled so they still
+    // range from 0 to 1 (or -1).
+    //
+    function DeadzoneAxis(axis, size) {
+        this._construct();
+
+        this.axis = axis;
+        this.size = size;
+    }
+    DeadzoneAxis.prototype = new AxisPrototype();
+    NZJS.Input.DeadzoneAxis = DeadzoneAxis;
+
+    DeadzoneAxis.prototype.poll = function() {
+        this.axis.poll();
+        this.events = this.axis.events;
+
+        var val = this.axis.value;
+        var magnitude = Math.abs(val);
+
+        if (magnitude <= this.size) {
+            this.value = 0.0;
+        }
+        else {
+            this.value = (val < 0 ? -1 : 1) * (magnitude - this.size) / (1.0 - this.size);
+        }
+    }
+
+    // An axis that maps the value of the axis supplied to the constructor
+    // through a response curve. curve can be one of:
+    //
+    // - 'linear' for no change
+    // - 'expo' to raise the value's magnitude to the given exponent (2 by
+    //   default), which gives finer control near the center
+    // - A function that maps the value to the new value
+    //
+    function CurveAxis(axis, curve, exponent) {
+        this._construct();
+
+        if (curve != 'linear' && curve != 'expo' && typeof curve != 'function') {
+            throw new Error('NZJS.Input: unknown axis curve ' + curve);
+        }
+
+        this.axis = axis;
+        this.curveType = curve;
+        this.exponent = exponent === undefined ? 2.0 : exponent;
+    }
+    CurveAxis.prototype = new AxisPrototype();
+    NZJS.Input.CurveAxis = CurveAxis;
+
+    CurveAxis.prototype.poll = function() {
+        this.axis.poll();
+        this.events = this.axis.events;
+
+        var val = this.axis.value;
+
+        if (typeof this.curveType == 'function') {
+            this.value = this.curveType(val);
+        }
+        else if (this.curveType == 'expo') {
+            this.value = (val < 0 ? -1 : 1) * Math.pow(Math.abs(val), this.exponent);
+        }
+        else {
+            this.value = val;
+        }
+    }
+
+    // An axis whose value is the negated value of the axis supplied to the
+    // constructor
+    //
+    function InvertAxis(axis) {
+        this._construct();
+
+        this.axis = axis;
+    }
+    InvertAxis.prototype = new AxisPrototype();
+    NZJS.Input.InvertAxis = InvertAxis;
+
+    InvertAxis.prototype.poll = function() {
+        this.axis.poll();
+        this.events = this.axis.events;
+        this.value = 0.0 - this.axis.value;
+    }
+
+    // An axis that follows the axis supplied to the constructor smoothly
+    // (exponentially), taking about time seconds to catch up with a change.
+    // The first poll takes the axis's value as is.
+    //
+    function SmoothAxis(axis, time) {
+        this._construct();
+
+        this.axis = axis;
+        this.time = time;
+        this.lastPoll = null;
+    }
+    SmoothAxis.prototype = new AxisPrototype();
+    NZJS.Input.SmoothAxis = SmoothAxis;
+
+    SmoothAxis.prototype.poll = function() {
+        this.axis.poll();
+        this.events = this.axis.events;
+
+        var target = this.axis.value;
+
+        if (this.lastPoll === null || this.time <= 0) {
+            this.value = target;
+            this.lastPoll = NZJS.getTime();
+            return;
+        }
+
+        var dt = NZJS.getTimeDelta(this.lastPoll);
+        this.lastPoll += dt;
+
+        this.value += (target - this.value) * (1.0 - Math.exp(-dt / this.time));
+    }
+
+    // An axis whose value is the value of the axis supplied to the
+    // constructor, limited to the range [min, max]
+    //
+    function ClampAxis(axis, min, max) {
+        this._construct();
+
+        this.axis = axis;
+        this.min = min === undefined ? -1.0 : min;
+        this.max = max === undefined ? 1.0 : max;
+    }
+    ClampAxis.prototype = new AxisPrototype();
+    NZJS.Input.ClampAxis = ClampAxis;
+
+    ClampAxis.prototype.poll = function() {
+        this.axis.poll();
+        this.events = this.axis.events;
+        this.value = Math.max(this.min, Math.min(this.axis.value, this.max));
     }
 
     // An NZJS.Input axis that just returns a fixed state
@@ -150,4 +583,6 @@
     }
     NZJS.Input.AxisSnapshot = AxisSnapshot;
 
+    AxisSnapshot.prototype.release = function() { }
+
 })(NZJS, document);
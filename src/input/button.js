@@ -2,7 +2,8 @@
  * button.js
  *
  * Represents a button input (which can either be up or down). NZJS can query
- * two types of buttons: key presses and mouse clicks.
+ * three types of buttons: key presses, mouse clicks and gamepad buttons.
+ * Keys can be bound by name (see keys.js) or by physical position.
  *
  * Buttons can be composed. For example, this snippet creates the variable
  * 'btn', which is considered down when the user presses ctrl+shift+click:
@@ -16,6 +17,17 @@
  * is between 0 and .25:
  *
  * var btn2 = NZJS.Input.axisButton(myAxis, .0, .25);
+ *
+ * Buttons can also recognize timed gestures. For example, this snippet
+ * creates the variable 'dodge', which is pressed when the user double-taps
+ * the 'A' key within a quarter of a second:
+ *
+ * var dodge = NZJS.Input.doubleTap(NZJS.Input.key('a'), .25);
+ *
+ * Gestures are timed with NZJS.getTime() when they're polled. Since
+ * NZJS.Input.State snapshots (and NZJS.Input.Record records) whether the
+ * gesture button is down, replays see exactly the gestures that were
+ * recognized while recording.
  */
 
 (function(NZJS, document) {
@@ -31,10 +43,18 @@
         return new NZJS.Input.KeyButton(key);
     }
 
+    NZJS.Input.code = function(code) {
+        return new NZJS.Input.CodeButton(code);
+    }
+
     NZJS.Input.click = function(button) {
         return new NZJS.Input.MouseButton(button);
     }
 
+    NZJS.Input.padButton = function(index, button) {
+        return new NZJS.Input.PadButton(index, button);
+    }
+
     NZJS.Input.axisButton = function(axis, downMin, downMax) {
         return new NZJS.Input.AxisButton(axis, downMin, downMax);
     }
@@ -47,6 +67,26 @@
         return new NZJS.Input.RepeatButton(button, initialInterval, interval);
     }
 
+    NZJS.Input.doubleTap = function(button, window) {
+        return new NZJS.Input.DoubleTapButton(button, window);
+    }
+
+    NZJS.Input.holdFor = function(button, seconds) {
+        return new NZJS.Input.HoldButton(button, seconds);
+    }
+
+    NZJS.Input.tap = function(button, maxDuration) {
+        return new NZJS.Input.TapButton(button, maxDuration);
+    }
+
+    NZJS.Input.sequence = function(buttons, timeout) {
+        return new NZJS.Input.SequenceButton(buttons, timeout);
+    }
+
+    NZJS.Input.chord = function(buttons, window) {
+        return new NZJS.Input.ChordButton(buttons, window);
+    }
+
     NZJS.Input.buttonSnapshot = function(button) {
         return new NZJS.Input.ButtonSnapshot(
                 button.down(),
@@ -92,8 +132,49 @@
 
             // Note: for proper pressed()/released() operation, button
             // implementations should set this.willBeDown via any DOM
-            // event handlers. This way the state of a button is constant
-            // until a known point in time (i.e. when poll() is called)
+            // event handlers (by calling this._setDown()). This way the state
+            // of a button is constant until a known point in time (i.e. when
+            // poll() is called)
+
+            // Transitions since the previous poll (see events.js)
+            this.events = [ ];
+            this._buffer = new NZJS.Input.EventBuffer();
+
+            // True if the button went down at any point since the previous
+            // poll, even if it's since been released
+            this._sawDown = false;
+
+            // True while the button is held down after being masked or
+            // settled (see context.js), during which it reports up
+            this._stuck = false;
+        }
+
+        // Forgets the state of this button, so if it's held now, it stays
+        // up until it's released (see context.js)
+        //
+        this._settle = function() {
+            this._stuck = this.willBeDown;
+            this.isDown = this.wasDown = false;
+            this._sawDown = false;
+
+            this._buffer.take();
+            this.events = [ ];
+        }
+
+        // Sets the state of the button during the next tick, recording the
+        // transition (if any) as an event
+        //
+        this._setDown = function(down) {
+            if (down == this.willBeDown) {
+                return;
+            }
+
+            this._buffer.record({ down: down });
+            this.willBeDown = down;
+
+            if (down) {
+                this._sawDown = true;
+            }
         }
 
         // Returns the current state of the button
@@ -129,60 +210,200 @@
         // Polls the current button state
         //
         this.poll = function() {
-            this.wasDown = this.isDown;
-            this.isDown = this.willBeDown;
+            pollSource(this);
+        }
+
+        // Stops this button, and the inputs it wraps, from listening for
+        // input. Call it once the button won't be polled again (e.g. when
+        // the state it belongs to is rebuilt; see NZJS.Input.State.release).
+        //
+        this.release = function() {
+            releaseEach([ this.left, this.right, this.btn, this.axis ].concat(this.buttons || [ ]));
+        }
+    }
+
+    // Releases each of a list of inputs, skipping anything that isn't one
+    //
+    function releaseEach(inputs) {
+
+        for (var i = 0; i < inputs.length; ++i) {
+            if (inputs[i] && typeof inputs[i].release == 'function') {
+                inputs[i].release();
+            }
         }
     }
 
+    // Removes an item from a list, if it's there
+    //
+    function removeFrom(list, item) {
+
+        var i = list.indexOf(item);
+        if (i >= 0) {
+            list.splice(i, 1);
+        }
+    }
+
+    // Polls a button that sets willBeDown with _setDown(). A button that went
+    // down and back up since the previous poll is down for this tick, so
+    // pressed() reports taps shorter than a tick.
+    //
+    // Buttons whose source is masked by an input context (see context.js)
+    // are up, and stay up until released if they were held while masked.
+    //
+    function pollSource(btn) {
+        var masked = NZJS.Input.isMasked(btn._source);
+        btn._stuck = btn.willBeDown && (masked || btn._stuck);
+
+        btn.wasDown = btn.isDown;
+        if (masked || btn._stuck) {
+            btn.isDown = false;
+        }
+        else {
+            btn.isDown = btn.willBeDown || (btn._sawDown && !btn.wasDown);
+        }
+
+        btn._sawDown = false;
+        btn.events = btn._buffer.take();
+        if (masked) {
+            btn.events = [ ];
+        }
+    }
+
+    // The buttons created so far whose state comes from DOM events
+    //
+    var eventButtons = [ ];
+
+    // Releases every button driven by DOM events (keys and mouse buttons).
+    // The browser stops sending their events when the page loses focus, so
+    // anything held then would otherwise stay down (see focus.js).
+    //
+    NZJS.Input.releaseAll = function() {
+
+        for (var i = 0; i < eventButtons.length; ++i) {
+            eventButtons[i]._setDown(false);
+        }
+    }
+
+    // The KeyButtons and CodeButtons created so far. One pair of document
+    // listeners updates all of them, so it can tell whether any of them
+    // wanted a key.
+    //
+    var keyButtons = [ ];
+
+    // Returns true if the browser shouldn't act on a key event for a bound
+    // key (e.g. scroll for the arrows, or reload for F5). Keys are left alone
+    // while the page doesn't have focus or the player is typing into a text
+    // field.
+    //
+    function shouldPreventDefault(ev) {
+
+        if (document.hasFocus && !document.hasFocus()) {
+            return false;
+        }
+
+        var target = ev.target;
+        if (target && (target.isContentEditable ||
+                       target.tagName == 'INPUT' || target.tagName == 'TEXTAREA' ||
+                       target.tagName == 'SELECT')) {
+            return false;
+        }
+
+        return true;
+    }
+
+    function handleKey(ev, down) {
+
+        var bound = false;
+
+        for (var i = 0; i < keyButtons.length; ++i) {
+            var btn = keyButtons[i];
+
+            if (btn._matches(ev)) {
+                btn._setDown(down);
+                bound = true;
+            }
+            else if (btn._modifier && (!ev[btn._modifier] || btn._location === undefined)) {
+                // Catches modifier changes the page didn't see (e.g. while
+                // another window had focus). The event doesn't say which side
+                // is down, so one side's key is only ever released this way.
+                btn._setDown(!!ev[btn._modifier]);
+            }
+        }
+
+        if (bound && ev.preventDefault && shouldPreventDefault(ev)) {
+            ev.preventDefault();
+        }
+    }
+
+    document.addEventListener('keydown', function(ev) { handleKey(ev, true); });
+    document.addEventListener('keyup', function(ev) { handleKey(ev, false); });
+
     // Represents button state for a keyboard key.
-    // The key parameter may be one of the following:
+    // The key parameter is the name of the key (see keys.js), which may be
+    // one of the following:
     //
-    // - A keyboard character (A-Z, 0-9, etc)
+    // - A keyboard character (A-Z, 0-9, punctuation)
+    // - A named key ('space', 'enter', 'up', 'f5', 'numpad0', etc)
     // - 'ctrl' for either control key
     // - 'alt' for either alt key
     // - 'shift' for either shift key
     // - 'meta' for either meta key
+    // - 'lctrl', 'rctrl', 'lshift', etc for one side's modifier key
+    //
+    // While the game has focus, the browser's default action for the key
+    // (scrolling, reloading, etc) is suppressed.
     //
     function KeyButton(key) {
         this._construct();
 
+        var spec = NZJS.Input.keySpec(key);
+
         this.key = key.toUpperCase();
+        this._source = 'key ' + this.key;
+        this._codes = spec.codes;
+        this._location = spec.location;
+        this._modifier = spec.modifier;
 
-        function handleSpecialKey(btn, ev) {
+        keyButtons.push(this);
+        eventButtons.push(this);
+    }
+    KeyButton.prototype = new ButtonPrototype();
+    NZJS.Input.KeyButton = KeyButton;
 
-            if (btn.key == 'SHIFT') {
-                btn.willBeDown = ev.shiftKey;
-            }
-            else if (btn.key == 'CTRL') {
-                btn.willBeDown = ev.ctrlKey;
-            }
-            else if (btn.key == 'ALT') {
-                btn.willBeDown = ev.altKey;
-            }
-            else if (btn.key == 'META') {
-                btn.willBeDown = ev.metaKey;
-            }
-        }
+    KeyButton.prototype.release = function() {
+        removeFrom(keyButtons, this);
+        removeFrom(eventButtons, this);
+        this._buffer.take();
+    }
 
-        var self = this;
-        document.addEventListener('keydown', function(ev) {
-            handleSpecialKey(self, ev);
+    KeyButton.prototype._matches = function(ev) {
+        return this._codes.indexOf(ev.keyCode) >= 0 &&
+               (this._location === undefined || this._location == (ev.location || 0));
+    }
 
-            if (ev.keyCode == self.key.charCodeAt(0)) {
-                self.willBeDown = true;
-            }
-        });
+    // Represents button state for a physical keyboard key, whatever the
+    // keyboard layout. code is the key's KeyboardEvent.code, which names the
+    // key at that position on a US keyboard (e.g. 'KeyW', 'Digit1', 'Space',
+    // 'ShiftLeft', 'ArrowUp', 'Numpad0'). Requires a browser that reports
+    // KeyboardEvent.code.
+    //
+    function CodeButton(code) {
+        this._construct();
 
-        document.addEventListener('keyup', function(ev) {
-            handleSpecialKey(self, ev);
+        this.code = code;
+        this._source = 'code ' + code;
 
-            if (ev.keyCode == self.key.charCodeAt(0)) {
-                self.willBeDown = false;
-            }
-        });
+        keyButtons.push(this);
+        eventButtons.push(this);
+    }
+    CodeButton.prototype = new ButtonPrototype();
+    NZJS.Input.CodeButton = CodeButton;
+
+    CodeButton.prototype.release = KeyButton.prototype.release;
+
+    CodeButton.prototype._matches = function(ev) {
+        return ev.code == this.code;
     }
-    KeyButton.prototype = new ButtonPrototype();
-    NZJS.Input.KeyButton = KeyButton;
 
     // Represents the button state for a mouse button.
     // Valid mouse buttons are:
@@ -195,29 +416,72 @@
         this._construct();
 
         this.button = button;
+        this._source = 'click ' + button;
+
+        eventButtons.push(this);
 
         var self = this;
-        document.addEventListener('mousedown', function(ev) {
+        this._onMouseDown = function(ev) {
             if ((self.button == 'leftclick' && ev.button == 0) ||
                 (self.button == 'midclick' && ev.button == 1) ||
                 (self.button == 'rightclick' && ev.button == 2)) {
 
-                self.willBeDown = true;
+                self._setDown(true);
             }
-        });
+        };
 
-        document.addEventListener('mouseup', function(ev) {
+        this._onMouseUp = function(ev) {
             if ((self.button == 'leftclick' && ev.button == 0) ||
                 (self.button == 'midclick' && ev.button == 1) ||
                 (self.button == 'rightclick' && ev.button == 2)) {
 
-                self.willBeDown = false;
+                self._setDown(false);
             }
-        });
+        };
+
+        document.addEventListener('mousedown', this._onMouseDown);
+        document.addEventListener('mouseup', this._onMouseUp);
     }
     MouseButton.prototype = new ButtonPrototype();
     NZJS.Input.MouseButton = MouseButton;
 
+    MouseButton.prototype.release = function() {
+        removeFrom(eventButtons, this);
+        document.removeEventListener('mousedown', this._onMouseDown);
+        document.removeEventListener('mouseup', this._onMouseUp);
+        this._buffer.take();
+    }
+
+    // Represents the button state for a gamepad button.
+    // index is the index of the gamepad (see gamepad.js).
+    // button is the name of the button in the standard mapping ('a', 'start',
+    // 'lt', ...; see NZJS.Input.PadMapping) or its raw index.
+    //
+    // Gamepads have no button events, so the pad's state is read when the
+    // button is polled. While the pad is disconnected, the button is up.
+    //
+    function PadButton(index, button) {
+        this._construct();
+
+        this.index = index;
+        this.button = button;
+        this._button = NZJS.Input.padButtonIndex(button);
+        this._source = 'pad ' + index + ' button ' + this._button;
+    }
+    PadButton.prototype = new ButtonPrototype();
+    NZJS.Input.PadButton = PadButton;
+
+    PadButton.prototype.poll = function() {
+        var pad = NZJS.Input.gamepad(this.index);
+        var btn = pad && pad.buttons[this._button];
+
+        // Older implementations report buttons as plain numbers. Pads have
+        // no events, so transitions are timed when they're polled.
+        this._setDown(typeof btn == 'number' ? btn > 0.5 : !!btn && btn.pressed);
+
+        pollSource(this);
+    }
+
     // A button implementation that wraps an NZJS.Input.Axis object.
     // This button is considered 'down' when the axis's value is
     // between minDown and maxDown, inclusive
@@ -233,10 +497,14 @@
     NZJS.Input.AxisButton = AxisButton;
 
     AxisButton.prototype.poll = function() {
-        var val = this.axis.value();
+        this.axis.poll();
+
+        var val = this.axis.value;
         this.willBeDown = val >= this.minDown && val <= this.maxDown;
-        this.isDown = this.willBeDown;
         this.wasDown = this.isDown;
+        this.isDown = this.willBeDown;
+
+        this.events = this.axis.events;
     }
 
     // A button that is 'down' when both of the buttons supplied to the
@@ -258,6 +526,8 @@
         this.willBeDown = this.left.willBeDown && this.right.willBeDown;
         this.isDown = this.left.isDown && this.right.isDown;
         this.wasDown = this.left.wasDown && this.right.wasDown;
+
+        this.events = NZJS.Input.mergeEvents([ this.left.events, this.right.events ]);
     }
 
     // A button that is 'down' when either of the buttons supplied to the
@@ -279,6 +549,8 @@
         this.willBeDown = this.left.willBeDown || this.right.willBeDown;
         this.isDown = this.left.isDown || this.right.isDown;
         this.wasDown = this.left.wasDown || this.right.wasDown;
+
+        this.events = NZJS.Input.mergeEvents([ this.left.events, this.right.events ]);
     }
 
     // A button that is 'down' when the button supplied to the constructor is
@@ -300,6 +572,7 @@
         this.wasDown = !this.btn.wasDown;
 
         this.isRepeating = false;
+        this.events = this.btn.events;
     }
 
     // A button that wraps a button and returns true for pressed() over a given
@@ -319,6 +592,7 @@
 
     RepeatButton.prototype.poll = function() {
         this.btn.poll();
+        this.events = this.btn.events;
 
         this.willBeDown = this.btn.willBeDown;
         this.isDown = this.btn.isDown;
@@ -354,6 +628,215 @@
         }
     }
 
+    // Gets the buttons in a list without repeats. A button that appears
+    // twice in a gesture is still only polled once per tick, or the second
+    // poll would find its press already consumed.
+    //
+    function distinct(buttons) {
+        return buttons.filter(function(btn, i) { return buttons.indexOf(btn) == i; });
+    }
+
+    // Sets the state of a gesture button for this tick
+    //
+    function setGesture(btn, down) {
+        btn.willBeDown = down;
+        btn.wasDown = btn.isDown;
+        btn.isDown = down;
+    }
+
+    // A button that is 'down' from the second press of the wrapped button
+    // within window seconds of the first, until the wrapped button is
+    // released. A third quick press starts a new double tap.
+    //
+    function DoubleTapButton(btn, window) {
+        this._construct();
+
+        this.btn = btn;
+        this.window = window;
+        this.lastPress = null;
+    }
+    DoubleTapButton.prototype = new ButtonPrototype();
+    NZJS.Input.DoubleTapButton = DoubleTapButton;
+
+    DoubleTapButton.prototype.poll = function() {
+        this.btn.poll();
+        this.events = this.btn.events;
+
+        var down = this.isDown && this.btn.down();
+
+        if (this.btn.pressed()) {
+            var now = NZJS.getTime();
+
+            if (this.lastPress !== null && now - this.lastPress <= this.window) {
+                down = true;
+                this.lastPress = null;
+            }
+            else {
+                this.lastPress = now;
+            }
+        }
+
+        setGesture(this, down);
+    }
+
+    // A button that is 'down' once the wrapped button has been held for the
+    // given number of seconds, until it's released
+    //
+    function HoldButton(btn, seconds) {
+        this._construct();
+
+        this.btn = btn;
+        this.seconds = seconds;
+        this.pressTime = null;
+    }
+    HoldButton.prototype = new ButtonPrototype();
+    NZJS.Input.HoldButton = HoldButton;
+
+    HoldButton.prototype.poll = function() {
+        this.btn.poll();
+        this.events = this.btn.events;
+
+        if (this.btn.pressed()) {
+            this.pressTime = NZJS.getTime();
+        }
+
+        setGesture(this, this.btn.down() && this.pressTime !== null &&
+                         NZJS.getTime() - this.pressTime >= this.seconds);
+    }
+
+    // A button that is 'down' for a single tick when the wrapped button is
+    // released after being held for at most maxDuration seconds
+    //
+    function TapButton(btn, maxDuration) {
+        this._construct();
+
+        this.btn = btn;
+        this.maxDuration = maxDuration;
+        this.pressTime = null;
+    }
+    TapButton.prototype = new ButtonPrototype();
+    NZJS.Input.TapButton = TapButton;
+
+    TapButton.prototype.poll = function() {
+        this.btn.poll();
+        this.events = this.btn.events;
+
+        var down = false;
+
+        if (this.btn.pressed()) {
+            this.pressTime = NZJS.getTime();
+        }
+        else if (this.btn.released() && this.pressTime !== null) {
+            down = NZJS.getTime() - this.pressTime <= this.maxDuration;
+            this.pressTime = null;
+        }
+
+        setGesture(this, down);
+    }
+
+    // A button that is 'down' when the wrapped buttons are pressed in order,
+    // each within timeout seconds of the one before, until the last one is
+    // released. Pressing one of the buttons out of order starts over. The
+    // same button may appear more than once (e.g. [ a, a ] for a double
+    // press); each press counts for one step.
+    //
+    function SequenceButton(buttons, timeout) {
+        this._construct();
+
+        this.buttons = buttons;
+        this.timeout = timeout;
+        this.step = 0;
+        this.stepTime = null;
+        this._distinct = distinct(buttons);
+    }
+    SequenceButton.prototype = new ButtonPrototype();
+    NZJS.Input.SequenceButton = SequenceButton;
+
+    SequenceButton.prototype.poll = function() {
+        var buttons = this.buttons;
+        var now = NZJS.getTime();
+
+        this._distinct.forEach(function(btn) { btn.poll(); });
+        this.events = NZJS.Input.mergeEvents(this._distinct.map(function(b) { return b.events; }));
+
+        var last = buttons[buttons.length - 1];
+        var down = this.isDown && last.down();
+
+        if (this.step > 0 && now - this.stepTime > this.timeout) {
+            this.step = 0;
+        }
+
+        // Each button pressed this tick takes the next step if it's the
+        // next button, and only one step however often it appears
+        var pressed = this._distinct.filter(function(btn) { return btn.pressed(); });
+
+        while (this.step < buttons.length && pressed.indexOf(buttons[this.step]) >= 0) {
+            pressed.splice(pressed.indexOf(buttons[this.step]), 1);
+            this.step++;
+            this.stepTime = now;
+        }
+
+        if (pressed.length > 0) {
+            // Out of order; this press may begin a new sequence
+            this.step = pressed.indexOf(buttons[0]) >= 0 ? 1 : 0;
+            this.stepTime = now;
+        }
+
+        if (this.step == buttons.length) {
+            down = true;
+            this.step = 0;
+        }
+
+        setGesture(this, down);
+    }
+
+    // A button that is 'down' while all of the wrapped buttons are down, if
+    // they were all pressed within window seconds of each other. Pressing
+    // them too far apart doesn't count until they're released and pressed
+    // again.
+    //
+    function ChordButton(buttons, window) {
+        this._construct();
+
+        this.buttons = buttons;
+        this.window = window;
+        this.pressTimes = buttons.map(function() { return null; });
+        this._distinct = distinct(buttons);
+    }
+    ChordButton.prototype = new ButtonPrototype();
+    NZJS.Input.ChordButton = ChordButton;
+
+    ChordButton.prototype.poll = function() {
+        var buttons = this.buttons;
+        var now = NZJS.getTime();
+        var allDown = true;
+        var first = Infinity;
+        var last = -Infinity;
+
+        this._distinct.forEach(function(btn) { btn.poll(); });
+
+        for (var i = 0; i < buttons.length; ++i) {
+            if (buttons[i].pressed()) {
+                this.pressTimes[i] = now;
+            }
+
+            if (buttons[i].down() && this.pressTimes[i] !== null) {
+                first = Math.min(first, this.pressTimes[i]);
+                last = Math.max(last, this.pressTimes[i]);
+            }
+            else {
+                allDown = false;
+            }
+        }
+
+        this.events = NZJS.Input.mergeEvents(this._distinct.map(function(b) { return b.events; }));
+
+        // Only the press that completes the chord can start it
+        var down = allDown && (this.isDown || (last == now && last - first <= this.window));
+
+        setGesture(this, down);
+    }
+
     // An NZJS.Input button that just returns a fixed state
     //
     function ButtonSnapshot(wasDown, wasPressed, wasReleased) {
@@ -367,5 +850,6 @@
     ButtonSnapshot.prototype.up = function() { return !this.wasDown; }
     ButtonSnapshot.prototype.pressed = function() { return this.wasPressed; }
     ButtonSnapshot.prototype.released = function() { return this.wasReleased; }
+    ButtonSnapshot.prototype.release = function() { }
 
 })(NZJS, document);
@@ -0,0 +1,203 @@
+/*
+ * context.js
+ *
+ * Input contexts: layers of input bindings that follow the screen stack.
+ * Every input object listens to the same document events, so without
+ * contexts, clicking a menu button would also fire the game's 'leftclick'
+ * button underneath the menu. Instead, give each screen its own context:
+ *
+ *      function MenuScreen(screens) {
+ *          var state = new NZJS.Input.State();
+ *          state.addButton('Select', NZJS.Input.click('leftclick'));
+ *
+ *          this.input = new NZJS.Input.Context(state);
+ *      }
+ *
+ *      MenuScreen.prototype.tick = function(dt) {
+ *          if (this.input.state.pressed('Select')) { ... }
+ *      }
+ *
+ * NZJS.pushScreen() and NZJS.popScreen() (see main.js) push and pop each
+ * screen's context along with the screen, and the game loop polls every
+ * context once per tick, topmost first. A context can consume the inputs
+ * it's bound to, so the contexts below it see them as up (or, for axes, as
+ * not moving) while it's on the stack.
+ *
+ * Contexts compare inputs by the physical source they read (a key name, a
+ * mouse button, a pad button...), so a consumed 'leftclick' masks every other
+ * context's 'leftclick', but a consumed key('w') doesn't mask code('KeyW').
+ *
+ * A button that was held while it was masked stays up until it's released,
+ * so the lower context doesn't see a press when the mask goes away. The same
+ * happens to buttons held when a context is pushed or resumed: holding a key
+ * across a screen change never produces a pressed() edge.
+ */
+
+;(function(NZJS) {
+    'use strict';
+
+    NZJS.Input = NZJS.Input || { };
+
+    // The sources masked for the context being polled right now
+    var masked = { };
+
+    // Returns true if the input source with the given id (see the top of
+    // this file) has been consumed by a context above the one being polled
+    //
+    NZJS.Input.isMasked = function(source) {
+        return masked[source] === true;
+    }
+
+    // Gets the leaf inputs (the ones that read a physical source) an input is
+    // built from
+    //
+    function leavesOf(input, out) {
+
+        if (!input || typeof input != 'object') {
+            return out;
+        }
+
+        if (input._source) {
+            out.push(input);
+            return out;
+        }
+
+        [ input.left, input.right, input.btn, input.axis ].forEach(function(child) {
+            leavesOf(child, out);
+        });
+
+        if (Array.isArray(input.buttons)) {
+            input.buttons.forEach(function(child) {
+                leavesOf(child.btn || child, out);
+            });
+        }
+
+        return out;
+    }
+
+    // Creates an input context
+    //
+    // state: The NZJS.Input.State this context polls. Read the polled state
+    //        from context.state.
+    // consume: true to consume all of the inputs the state is bound to (the
+    //          default), false to consume none, or a list of the names of the
+    //          buttons/axes whose inputs to consume
+    //
+    function Context(state, consume) {
+
+        this.state = state;
+        this.consume = consume === undefined ? true : consume;
+    }
+    NZJS.Input.Context = Context;
+
+    // Gets the leaf inputs of every button and axis in this context's state,
+    // or only of the given names
+    //
+    Context.prototype._leaves = function(names) {
+
+        var state = this.state;
+        var leaves = [ ];
+
+        [ state.buttons, state.axes ].forEach(function(inputs) {
+            for (var name in inputs) {
+                if (!names || names.indexOf(name) >= 0) {
+                    leavesOf(inputs[name], leaves);
+                }
+            }
+        });
+
+        return leaves;
+    }
+
+    // Gets the ids of the sources this context consumes
+    //
+    Context.prototype.consumed = function() {
+
+        if (!this.consume) {
+            return [ ];
+        }
+
+        return this._leaves(this.consume === true ? null : this.consume).map(function(leaf) {
+            return leaf._source;
+        });
+    }
+
+    // Forgets the state of this context's inputs, so buttons that are held
+    // right now stay up until they're released and pressed again, and axis
+    // movement that happened before now is ignored
+    //
+    Context.prototype.settle = function() {
+
+        var leaves = this._leaves(null);
+        for (var i = 0; i < leaves.length; ++i) {
+            leaves[i]._settle();
+        }
+    }
+
+    // The context stack. NZJS.pushScreen() and NZJS.popScreen() manage it for
+    // screens, so you only need this to layer contexts within a screen.
+    //
+    NZJS.Input.Contexts = {
+
+        _stack: [ ],
+
+        // Pushes a context on top of the stack
+        //
+        push: function(context) {
+
+            context.settle();
+            this._stack.push(context);
+        },
+
+        // Removes a context from the stack. If it was on top, the context
+        // below it is settled, since it's about to resume.
+        //
+        remove: function(context) {
+
+            var index = this._stack.indexOf(context);
+            if (index < 0) {
+                return;
+            }
+
+            this._stack.splice(index, 1);
+
+            var top = this.top();
+            if (index == this._stack.length && top) {
+                top.settle();
+            }
+        },
+
+        // Gets the topmost context, or null if there is none
+        //
+        top: function() {
+            return this._stack[this._stack.length - 1] || null;
+        },
+
+        // Polls every context, topmost first. Each context sees the sources
+        // consumed by the contexts above it as masked.
+        //
+        poll: function() {
+
+            var consumed = { };
+
+            for (var i = this._stack.length - 1; i >= 0; --i) {
+                var context = this._stack[i];
+
+                masked = consumed;
+                try {
+                    context.state = context.state.pollNext();
+                }
+                finally {
+                    masked = { };
+                }
+
+                consumed = Object.create(consumed);
+                var sources = context.consumed();
+                for (var j = 0; j < sources.length; ++j) {
+                    consumed[sources[j]] = true;
+                }
+            }
+        }
+    };
+
+})(NZJS);
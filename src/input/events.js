@@ -0,0 +1,75 @@
+/*
+ * events.js
+ *
+ * Timestamped input events. Between polls, each input source (key, mouse
+ * button, pad button, mouse/wheel/cursor/pad axis) buffers every change it
+ * sees, stamped with NZJS.getExactTime(). poll() moves the buffered events to
+ * the input's events list, where they stay until the next poll:
+ *
+ *      btn.events          // [ { time: 12.3456, down: true }, ... ]
+ *      axis.events         // [ { time: 12.3461, value: -4 }, ... ]
+ *
+ * Composite inputs (e.g. and(), deadzone(), doubleTap()) list the events of
+ * the sources they wrap, so events always describe what the player physically
+ * did, not what the composite made of it. Button events are transitions
+ * ('down' is the source's new state); axis event values are in the source's
+ * own units (pixels moved or scrolled, cursor or stick position).
+ *
+ * NZJS.Input.State.pollNext() gathers the events of all of a state's inputs
+ * into state.events, in the order they happened. Consumers that care about
+ * timing within a tick (e.g. how early in the tick the trigger was pulled)
+ * can read them there.
+ */
+
+;(function(NZJS) {
+    'use strict';
+
+    NZJS.Input = NZJS.Input || { };
+
+    // The most events a buffer keeps between takes. Inputs that nobody polls
+    // (e.g. ones left out of every state) would otherwise buffer forever.
+    var MAX_EVENTS = 256;
+
+    // Merges lists of events into a new list, in the order they happened
+    //
+    NZJS.Input.mergeEvents = function(lists) {
+
+        var merged = [ ];
+        for (var i = 0; i < lists.length; ++i) {
+            merged = merged.concat(lists[i] || [ ]);
+        }
+
+        return merged.sort(function(a, b) { return a.time - b.time; });
+    }
+
+    // Creates the buffer an input source records its events in. Call
+    // record() as changes happen and take() when the source is polled.
+    //
+    function EventBuffer() {
+        this._pending = [ ];
+    }
+    NZJS.Input.EventBuffer = EventBuffer;
+
+    // Records an event (e.g. { down: true }), stamping it with the current
+    // time. Once the buffer holds MAX_EVENTS, the oldest event is dropped.
+    //
+    EventBuffer.prototype.record = function(ev) {
+
+        ev.time = NZJS.getExactTime();
+        this._pending.push(ev);
+
+        if (this._pending.length > MAX_EVENTS) {
+            this._pending.shift();
+        }
+    }
+
+    // Gets the events recorded since the last call, and empties the buffer
+    //
+    EventBuffer.prototype.take = function() {
+
+        var events = this._pending;
+        this._pending = [ ];
+        return events;
+    }
+
+})(NZJS);
@@ -0,0 +1,161 @@
+/*
+ * focus.js
+ *
+ * Pointer lock and focus tracking.
+ *
+ * NZJS.Input.acquire() asks the browser to lock the pointer to the canvas,
+ * which it may grant or deny, and the player can take the lock back at any
+ * time (Esc, alt-tab). Set these hooks to find out what happened:
+ *
+ *      NZJS.Input.onPointerLockChange = function(locked) { ... };
+ *      NZJS.Input.onPointerLockError = function() { ... };
+ *
+ * When the page stops receiving input (the window loses focus, the tab is
+ * hidden, or the pointer lock is lost without NZJS.Input.release() being
+ * called), every key and mouse button is released, since the browser won't
+ * send the events that would release them, and this hook is called with the
+ * reason ('blur', 'hidden' or 'pointerlock'):
+ *
+ *      NZJS.Input.onInputLost = function(reason) { ... };
+ *
+ * main.js sets these hooks to call the methods of the same names (minus the
+ * 'on') on the top screen, if it has them. A game screen can implement
+ * inputLost() to open its pause overlay.
+ */
+
+;(function(NZJS, window, document) {
+    'use strict';
+
+    NZJS.Input = NZJS.Input || { };
+
+    // Called with true when the pointer is locked, and with false when it's
+    // unlocked
+    //
+    NZJS.Input.onPointerLockChange = function(locked) { }
+
+    // Called when the browser denies a pointer lock request
+    //
+    NZJS.Input.onPointerLockError = function() { }
+
+    // Called with the reason (see the top of this file) when the page stops
+    // receiving input
+    //
+    NZJS.Input.onInputLost = function(reason) { }
+
+    // True between a call to NZJS.Input.release() and the pointer being
+    // unlocked, so an unlock the game asked for isn't reported as lost input
+    var releasing = false;
+
+    // Returns true if the pointer is locked to the canvas
+    //
+    NZJS.Input.isPointerLocked = function() {
+
+        var element = document.pointerLockElement ||
+                      document.mozPointerLockElement ||
+                      document.webkitPointerLockElement;
+
+        return !!element && element === document.getElementById(NZJS.Config.CanvasID);
+    }
+
+    // Acquires input from the browser
+    // Uses the pointer lock API to ensure the cursor is hidden
+    // and mouse moves do not actually affect the cursor.
+    // The browser answers asynchronously, with NZJS.Input.onPointerLockChange
+    // or NZJS.Input.onPointerLockError.
+    //
+    NZJS.Input.acquire = function() {
+        var havePointerLock = 'pointerLockElement' in document ||
+                           'mozPointerLockElement' in document ||
+                        'webkitPointerLockElement' in document;
+
+        if (!havePointerLock) {
+            console.log("This browser doesn't support pointer lock!");
+            NZJS.Input.onPointerLockError();
+        }
+        else {
+            var canvas = document.getElementById(NZJS.Config.CanvasID);
+            canvas.requestPointerLock = canvas.requestPointerLock ||
+                                        canvas.mozRequestPointerLock ||
+                                        canvas.webkitRequestPointerLock;
+
+            releasing = false;
+            canvas.requestPointerLock();
+        }
+    }
+
+    // Releases the pointer lock
+    //
+    NZJS.Input.release = function() {
+        document.exitPointerLock = document.exitPointerLock ||
+                                document.mozExitPointerLock ||
+                             document.webkitExitPointerLock;
+
+        releasing = NZJS.Input.isPointerLocked();
+        document.exitPointerLock();
+    }
+
+    // True from when input is lost until the page gets it back, so losing
+    // it several ways at once (e.g. alt-tab blurs the window and unlocks the
+    // pointer) is only reported once
+    var lost = false;
+
+    // Releases every button and reports why
+    //
+    function lose(reason) {
+
+        NZJS.Input.releaseAll();
+
+        if (!lost) {
+            lost = true;
+            NZJS.Input.onInputLost(reason);
+        }
+    }
+
+    var locked = false;
+
+    function lockChanged() {
+
+        var wasLocked = locked;
+        locked = NZJS.Input.isPointerLocked();
+
+        if (locked == wasLocked) {
+            return;
+        }
+
+        NZJS.Input.onPointerLockChange(locked);
+
+        if (locked) {
+            lost = false;
+        }
+        else {
+            if (!releasing) {
+                lose('pointerlock');
+            }
+            releasing = false;
+        }
+    }
+
+    function lockFailed() {
+        NZJS.Input.onPointerLockError();
+    }
+
+    [ '', 'moz', 'webkit' ].forEach(function(prefix) {
+        document.addEventListener(prefix + 'pointerlockchange', lockChanged);
+        document.addEventListener(prefix + 'pointerlockerror', lockFailed);
+    });
+
+    window.addEventListener('blur', function() {
+        lose('blur');
+    });
+
+    window.addEventListener('focus', function() {
+        lost = false;
+    });
+
+    document.addEventListener('visibilitychange', function() {
+        if (document.hidden) {
+            lose('hidden');
+        }
+    });
+
+})(NZJS, window, document);
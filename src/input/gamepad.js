@@ -0,0 +1,153 @@
+/*
+ * gamepad.js
+ *
+ * Tracks the gamepads connected to the browser (via the Gamepad API), for
+ * use by the gamepad button and axis inputs (see NZJS.Input.padButton() and
+ * NZJS.Input.padAxis()).
+ *
+ * Gamepads are identified by their index, which the browser assigns when
+ * the pad connects and keeps for as long as it stays connected. Buttons and
+ * sticks are identified by their names in the standard mapping:
+ *
+ *      Buttons:  'a', 'b', 'x', 'y', 'lb', 'rb', 'lt', 'rt', 'back', 'start',
+ *                'ls', 'rs' (stick clicks), 'up', 'down', 'left', 'right'
+ *                (d-pad), 'home'
+ *      Sticks:   'left', 'right', and 'triggers' (the analog lt/rt values)
+ *
+ * or by their raw index in the pad's buttons/axes arrays, for pads the
+ * browser doesn't know the standard mapping for (pad.mapping != 'standard').
+ *
+ * Browsers only report a pad once the user presses one of its buttons. To
+ * find out when pads come and go, set these hooks:
+ *
+ *      NZJS.Input.onPadConnected = function(pad) { ... };
+ *      NZJS.Input.onPadDisconnected = function(index) { ... };
+ */
+
+;(function(NZJS, window, navigator) {
+    'use strict';
+
+    NZJS.Input = NZJS.Input || { };
+
+    // The standard gamepad mapping
+    // (https://w3c.github.io/gamepad/#remapping)
+    //
+    NZJS.Input.PadMapping = {
+
+        // Button names -> indices into pad.buttons
+        buttons: {
+            a: 0, b: 1, x: 2, y: 3,
+            lb: 4, rb: 5, lt: 6, rt: 7,
+            back: 8, start: 9,
+            ls: 10, rs: 11,
+            up: 12, down: 13, left: 14, right: 15,
+            home: 16
+        },
+
+        // Stick names -> the pad.axes (or, for the triggers, pad.buttons)
+        // indices for each direction
+        sticks: {
+            left: { horiz: 0, vert: 1 },
+            right: { horiz: 2, vert: 3 },
+            triggers: { left: 6, right: 7 }
+        }
+    };
+
+    // Called with the browser's Gamepad object when a pad connects
+    //
+    NZJS.Input.onPadConnected = function(pad) { }
+
+    // Called with the pad's index when a pad disconnects
+    //
+    NZJS.Input.onPadDisconnected = function(index) { }
+
+    // The indices of the pads known to be connected -> their Gamepad objects
+    //
+    var connected = { };
+
+    function connect(pad) {
+
+        if (!connected[pad.index]) {
+            connected[pad.index] = pad;
+            NZJS.Input.onPadConnected(pad);
+        }
+    }
+
+    function disconnect(index) {
+
+        if (connected[index]) {
+            delete connected[index];
+            NZJS.Input.onPadDisconnected(index);
+        }
+    }
+
+    window.addEventListener('gamepadconnected', function(ev) {
+        connect(ev.gamepad);
+    });
+
+    window.addEventListener('gamepaddisconnected', function(ev) {
+        disconnect(ev.gamepad.index);
+    });
+
+    // Gets the browser's current list of gamepads. Some browsers only update
+    // the Gamepad objects in this list when it's requested again, so call
+    // this every time you need fresh gamepad state.
+    //
+    function getGamepads() {
+
+        var get = navigator.getGamepads || navigator.webkitGetGamepads;
+        return get ? get.call(navigator) || [ ] : [ ];
+    }
+
+    // Gets the current state of the pad at the given index (a Gamepad
+    // object), or null if no pad is connected there. Also detects pads
+    // connecting and disconnecting in browsers that don't send the
+    // gamepadconnected/gamepaddisconnected events.
+    //
+    NZJS.Input.gamepad = function(index) {
+
+        var pad = getGamepads()[index] || null;
+
+        if (pad && pad.connected !== false) {
+            connect(pad);
+            return pad;
+        }
+
+        disconnect(index);
+        return null;
+    }
+
+    // Gets the indices of the pads currently connected
+    //
+    NZJS.Input.gamepads = function() {
+
+        var pads = getGamepads();
+        var indices = [ ];
+
+        for (var i = 0; i < pads.length; ++i) {
+            if (NZJS.Input.gamepad(i)) {
+                indices.push(i);
+            }
+        }
+
+        return indices;
+    }
+
+    // Looks up the index of a button in pad.buttons. button is either a name
+    // in NZJS.Input.PadMapping or a raw index.
+    //
+    NZJS.Input.padButtonIndex = function(button) {
+
+        if (typeof button == 'number') {
+            return button;
+        }
+
+        var index = NZJS.Input.PadMapping.buttons[button];
+        if (index === undefined) {
+            throw new Error('NZJS.Input: unknown gamepad button ' + button);
+        }
+
+        return index;
+    }
+
+})(NZJS, window, navigator);
@@ -0,0 +1,164 @@
+/*
+ * keys.js
+ *
+ * The names of keyboard keys, for NZJS.Input.key(). Keys are named by the
+ * character they type or by what's printed on them:
+ *
+ * - Letters and digits: 'a' - 'z', '0' - '9'
+ * - Punctuation: ';', '=', ',', '-', '.', '/', '`', '[', '\\', ']', "'"
+ * - 'space', 'enter', 'escape', 'tab', 'backspace', 'capslock', 'pause'
+ * - Arrows: 'up', 'down', 'left', 'right'
+ * - 'insert', 'delete', 'home', 'end', 'pageup', 'pagedown'
+ * - Function keys: 'f1' - 'f12'
+ * - The numpad: 'numpad0' - 'numpad9', 'numpad*', 'numpad+', 'numpad-',
+ *   'numpad.', 'numpad/', 'numpadenter'
+ * - Modifiers: 'shift', 'ctrl', 'alt' and 'meta' for either key, or
+ *   'lshift', 'rshift', 'lctrl', 'rctrl', 'lalt', 'ralt', 'lmeta', 'rmeta'
+ *   for one side
+ *
+ * Names are case-insensitive. Keys named this way follow the keyboard layout:
+ * on an AZERTY keyboard, 'a' is the key labelled A. To bind a key by its
+ * position instead (so WASD stays WASD on every layout), use its
+ * KeyboardEvent.code with NZJS.Input.code(), e.g. NZJS.Input.code('KeyW').
+ */
+
+;(function(NZJS) {
+    'use strict';
+
+    NZJS.Input = NZJS.Input || { };
+
+    // KeyboardEvent.location values
+    var LEFT = 1;
+    var RIGHT = 2;
+    var NUMPAD = 3;
+
+    // Key names -> { codes: <the key's keyCodes>, location: <location, if
+    // it matters> }. Where browsers disagree on a keyCode, all of them are
+    // listed.
+    //
+    var KEYS = {
+        'backspace': { codes: [ 8 ] },
+        'tab': { codes: [ 9 ] },
+        'enter': { codes: [ 13 ] },
+        'pause': { codes: [ 19 ] },
+        'capslock': { codes: [ 20 ] },
+        'escape': { codes: [ 27 ] },
+        'space': { codes: [ 32 ] },
+        'pageup': { codes: [ 33 ] },
+        'pagedown': { codes: [ 34 ] },
+        'end': { codes: [ 35 ] },
+        'home': { codes: [ 36 ] },
+        'left': { codes: [ 37 ] },
+        'up': { codes: [ 38 ] },
+        'right': { codes: [ 39 ] },
+        'down': { codes: [ 40 ] },
+        'insert': { codes: [ 45 ] },
+        'delete': { codes: [ 46 ] },
+
+        'shift': { codes: [ 16 ] },
+        'ctrl': { codes: [ 17 ] },
+        'alt': { codes: [ 18 ] },
+        'meta': { codes: [ 91, 92, 93, 224 ] },
+        'lshift': { codes: [ 16 ], location: LEFT },
+        'rshift': { codes: [ 16 ], location: RIGHT },
+        'lctrl': { codes: [ 17 ], location: LEFT },
+        'rctrl': { codes: [ 17 ], location: RIGHT },
+        'lalt': { codes: [ 18 ], location: LEFT },
+        'ralt': { codes: [ 18 ], location: RIGHT },
+        'lmeta': { codes: [ 91, 224 ], location: LEFT },
+        'rmeta': { codes: [ 92, 93, 224 ], location: RIGHT },
+
+        'numpad*': { codes: [ 106 ] },
+        'numpad+': { codes: [ 107 ] },
+        'numpad-': { codes: [ 109 ] },
+        'numpad.': { codes: [ 110 ] },
+        'numpad/': { codes: [ 111 ] },
+        'numpadenter': { codes: [ 13 ], location: NUMPAD },
+
+        ';': { codes: [ 186, 59 ] },
+        '=': { codes: [ 187, 61 ] },
+        ',': { codes: [ 188 ] },
+        '-': { codes: [ 189, 173 ] },
+        '.': { codes: [ 190 ] },
+        '/': { codes: [ 191 ] },
+        '`': { codes: [ 192 ] },
+        '[': { codes: [ 219 ] },
+        '\\': { codes: [ 220 ] },
+        ']': { codes: [ 221 ] },
+        "'": { codes: [ 222 ] }
+    };
+
+    for (var i = 0; i <= 9; ++i) {
+        KEYS['numpad' + i] = { codes: [ 96 + i ] };
+    }
+    for (var i = 1; i <= 12; ++i) {
+        KEYS['f' + i] = { codes: [ 111 + i ] };
+    }
+
+    // The modifier keys whose state every keyboard event reports, and the
+    // KeyboardEvent properties that report them
+    //
+    var MODIFIERS = { 'shift': 'shiftKey', 'ctrl': 'ctrlKey', 'alt': 'altKey', 'meta': 'metaKey' };
+    [ 'shift', 'ctrl', 'alt', 'meta' ].forEach(function(name) {
+        MODIFIERS['l' + name] = MODIFIERS['r' + name] = MODIFIERS[name];
+    });
+
+    // Gets how to recognize the key with the given name (see the top of this
+    // file) in keyboard events. Returns an object with these properties:
+    //
+    // - codes: The keyCodes the key may have
+    // - location: The KeyboardEvent.location the key must have, or undefined
+    //   if it may have any
+    // - modifier: For modifier keys, the KeyboardEvent property that reports
+    //   whether either of that modifier's keys is down
+    //
+    // Throws an Error for unknown names.
+    //
+    NZJS.Input.keySpec = function(name) {
+
+        // Names like 'constructor' aren't keys, whatever KEYS inherits
+        var lower = String(name).toLowerCase();
+        var spec = Object.prototype.hasOwnProperty.call(KEYS, lower) ? KEYS[lower] : null;
+
+        if (spec) {
+            return { codes: spec.codes, location: spec.location, modifier: MODIFIERS[lower] };
+        }
+
+        if (/^[a-z0-9]$/.test(lower)) {
+            return { codes: [ lower.toUpperCase().charCodeAt(0) ], location: undefined };
+        }
+
+        throw new Error('NZJS.Input: unknown key ' + name);
+    }
+
+    // Gets the name (see the top of this file) of the key that sent a
+    // keyboard event, or null if it has none. Modifiers are named without a
+    // side ('shift', not 'lshift').
+    //
+    NZJS.Input.keyName = function(ev) {
+
+        var code = ev.keyCode;
+
+        if (code >= 65 && code <= 90 || code >= 48 && code <= 57) {
+            return String.fromCharCode(code).toLowerCase();
+        }
+
+        var fallback = null;
+        for (var name in KEYS) {
+            var spec = KEYS[name];
+
+            if (spec.codes.indexOf(code) < 0 || /^[lr](shift|ctrl|alt|meta)$/.test(name)) {
+                continue;
+            }
+
+            if (spec.location === undefined || spec.location == (ev.location || 0)) {
+                return name;
+            }
+
+            fallback = fallback || name;
+        }
+
+        return fallback;
+    }
+
+})(NZJS);
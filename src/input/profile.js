@@ -0,0 +1,957 @@
+/*
+ * profile.js
+ *
+ * Control profiles: declarative, serializable descriptions of which inputs
+ * each action in an NZJS.Input.State is bound to. Profiles let players remap
+ * their controls, and let us ship presets:
+ *
+ *      var profile = new NZJS.Input.Profile({
+ *          name: 'Default',
+ *          buttons: {
+ *              WalkForward: { key: 'w' },
+ *              Fire: { or: [ { click: 'leftclick' }, { pad: 0, button: 'rt' } ] },
+ *              Menu: { repeat: { key: 'm' }, initial: 0.5, interval: 0.1 }
+ *          },
+ *          axes: {
+ *              Turn: { mouse: 'horiz', sensitivity: 200 },
+ *              Strafe: { base: 0, buttons: [
+ *                  { button: { key: 'a' }, up: 0, down: -1 },
+ *                  { button: { key: 'd' }, up: 0, down: 1 }
+ *              ] }
+ *          }
+ *      });
+ *
+ *      var state = profile.build();
+ *
+ * After changing the bindings, build again, passing the old state so its
+ * inputs stop listening:
+ *
+ *      state = profile.build(state);
+ *
+ * Button bindings are one of:
+ *
+ *      { key: <key> }                          NZJS.Input.key()
+ *      { code: <KeyboardEvent.code> }          NZJS.Input.code()
+ *      { click: <mouse button> }               NZJS.Input.click()
+ *      { pad: <index>, button: <button> }      NZJS.Input.padButton()
+ *      { and: [ <button>, <button>, ... ] }    NZJS.Input.AndButton
+ *      { or: [ <button>, <button>, ... ] }     NZJS.Input.OrButton
+ *      { not: <button> }                       NZJS.Input.not()
+ *      { repeat: <button>, initial: <seconds>, interval: <seconds> }
+ *                                              NZJS.Input.repeat()
+ *      { axis: <axis>, min: <value>, max: <value> }
+ *                                              NZJS.Input.axisButton()
+ *      { doubleTap: <button>, window: <seconds> }
+ *                                              NZJS.Input.doubleTap()
+ *      { holdFor: <button>, seconds: <seconds> }
+ *                                              NZJS.Input.holdFor()
+ *      { tap: <button>, maxDuration: <seconds> }
+ *                                              NZJS.Input.tap()
+ *      { sequence: [ <button>, ... ], timeout: <seconds> }
+ *                                              NZJS.Input.sequence()
+ *      { chord: [ <button>, ... ], window: <seconds> }
+ *                                              NZJS.Input.chord()
+ *
+ * Axis bindings are one of:
+ *
+ *      { mouse: <direction>, sensitivity: <pixels> }
+ *                                              NZJS.Input.mouse()
+ *      { wheel: <direction>, sensitivity: <pixels> }
+ *                                              NZJS.Input.wheel()
+ *      { cursor: <direction> }                 NZJS.Input.cursor()
+ *      { pad: <index>, stick: <stick>, direction: <direction> }
+ *                                              NZJS.Input.padAxis()
+ *      { base: <value>, buttons: [ { button: <button>, up: <value>,
+ *                                    down: <value> }, ... ] }
+ *                                              NZJS.Input.buttonAxis()
+ *
+ * Any axis binding can also have a list of filters, applied in order:
+ *
+ *      { pad: 0, stick: 'right', direction: 'horiz', filters: [
+ *          { deadzone: 0.1 },                  axis.deadzone(0.1)
+ *          { curve: 'expo', exponent: 2 },     axis.curve('expo', 2)
+ *          { invert: true },                   axis.invert()
+ *          { smooth: 0.05 },                   axis.smooth(0.05)
+ *          { clamp: [ -1, 1 ] }                axis.clamp(-1, 1)
+ *      ] }
+ *
+ * To let the player rebind an action, listen for the next input they give
+ * and bind it:
+ *
+ *      NZJS.Input.captureNext('button', function(binding) {
+ *          if (binding) {
+ *              profile.bind('Fire', binding);
+ *          }
+ *      });
+ */
+
+;(function(NZJS, window, document) {
+    'use strict';
+
+    NZJS.Input = NZJS.Input || { };
+
+    // The prefix for the localStorage keys profiles are saved under
+    var STORAGE_PREFIX = 'nzjs.profile.';
+
+    var CLICKS = [ 'leftclick', 'midclick', 'rightclick' ];
+
+    // Key code of the key that cancels captureNext()
+    var ESCAPE = 27;
+
+    // The sensitivity given to captured mouse axes, and how far (in pixels)
+    // the mouse has to move in one direction to be captured
+    var CAPTURE_SENSITIVITY = 200;
+    var CAPTURE_MOUSE_DISTANCE = 20;
+
+    // The sensitivity given to captured wheel axes (about one notch)
+    var CAPTURE_WHEEL_SENSITIVITY = 100;
+
+    // How far a gamepad stick has to be pushed to be captured
+    var CAPTURE_PAD_DEFLECTION = 0.5;
+
+    function copy(binding) {
+        return JSON.parse(JSON.stringify(binding));
+    }
+
+    function bindingError(binding) {
+        return new Error('NZJS.Input.Profile: unknown binding ' + JSON.stringify(binding));
+    }
+
+    //
+    // Bindings -> input objects
+    //
+
+    // Creates the button object described by a button binding
+    //
+    function buildButton(b) {
+
+        if (!b || typeof b != 'object') {
+            throw bindingError(b);
+        }
+
+        if (b.key !== undefined) {
+            return NZJS.Input.key(b.key);
+        }
+        if (b.code !== undefined) {
+            return NZJS.Input.code(b.code);
+        }
+        if (b.click !== undefined) {
+            return NZJS.Input.click(b.click);
+        }
+        if (b.pad !== undefined && b.button !== undefined) {
+            return NZJS.Input.padButton(b.pad, b.button);
+        }
+        if (Array.isArray(b.and) || Array.isArray(b.or)) {
+            var list = b.and || b.or;
+            if (list.length == 0) {
+                throw bindingError(b);
+            }
+
+            var btn = buildButton(list[0]);
+            for (var i = 1; i < list.length; ++i) {
+                btn = b.and ? btn.and(buildButton(list[i])) : btn.or(buildButton(list[i]));
+            }
+            return btn;
+        }
+        if (b.not !== undefined) {
+            return NZJS.Input.not(buildButton(b.not));
+        }
+        if (b.repeat !== undefined) {
+            return NZJS.Input.repeat(buildButton(b.repeat), b.initial, b.interval);
+        }
+        if (b.axis !== undefined) {
+            return NZJS.Input.axisButton(buildAxis(b.axis), b.min, b.max);
+        }
+        if (b.doubleTap !== undefined) {
+            return NZJS.Input.doubleTap(buildButton(b.doubleTap), b.window);
+        }
+        if (b.holdFor !== undefined) {
+            return NZJS.Input.holdFor(buildButton(b.holdFor), b.seconds);
+        }
+        if (b.tap !== undefined) {
+            return NZJS.Input.tap(buildButton(b.tap), b.maxDuration);
+        }
+        if (Array.isArray(b.sequence) && b.sequence.length > 0) {
+            return NZJS.Input.sequence(b.sequence.map(buildButton), b.timeout);
+        }
+        if (Array.isArray(b.chord) && b.chord.length > 0) {
+            return NZJS.Input.chord(b.chord.map(buildButton), b.window);
+        }
+
+        throw bindingError(b);
+    }
+
+    // Wraps an axis object in the filters listed by an axis binding
+    //
+    function buildFilters(axis, filters) {
+
+        for (var i = 0; i < filters.length; ++i) {
+            var f = filters[i] || { };
+
+            if (f.deadzone !== undefined) {
+                axis = axis.deadzone(f.deadzone);
+            }
+            else if (f.curve !== undefined) {
+                if (typeof f.curve == 'function') {
+                    throw bindingError(f);
+                }
+                axis = axis.curve(f.curve, f.exponent);
+            }
+            else if (f.invert) {
+                axis = axis.invert();
+            }
+            else if (f.smooth !== undefined) {
+                axis = axis.smooth(f.smooth);
+            }
+            else if (Array.isArray(f.clamp)) {
+                axis = axis.clamp(f.clamp[0], f.clamp[1]);
+            }
+            else {
+                throw bindingError(f);
+            }
+        }
+
+        return axis;
+    }
+
+    // Creates the axis object described by an axis binding
+    //
+    function buildAxis(b) {
+
+        if (!b || typeof b != 'object') {
+            throw bindingError(b);
+        }
+
+        var axis = buildUnfilteredAxis(b);
+        return b.filters ? buildFilters(axis, b.filters) : axis;
+    }
+
+    function buildUnfilteredAxis(b) {
+
+        if (b.mouse !== undefined) {
+            return NZJS.Input.mouse(b.mouse, b.sensitivity);
+        }
+        if (b.wheel !== undefined) {
+            return NZJS.Input.wheel(b.wheel, b.sensitivity);
+        }
+        if (b.cursor !== undefined) {
+            return NZJS.Input.cursor(b.cursor);
+        }
+        if (b.pad !== undefined && b.stick !== undefined) {
+            return NZJS.Input.padAxis(b.pad, b.stick, b.direction);
+        }
+        if (Array.isArray(b.buttons)) {
+            var axis = NZJS.Input.buttonAxis(b.base || 0);
+            for (var i = 0; i < b.buttons.length; ++i) {
+                var entry = b.buttons[i];
+                axis.withButton(buildButton(entry.button), entry.up, entry.down);
+            }
+            return axis;
+        }
+
+        throw bindingError(b);
+    }
+
+    //
+    // Input objects -> bindings
+    //
+
+    // Gets the binding describing a button object
+    //
+    function buttonBinding(btn) {
+
+        var Input = NZJS.Input;
+
+        if (btn instanceof Input.KeyButton) {
+            return { key: btn.key.toLowerCase() };
+        }
+        if (btn instanceof Input.CodeButton) {
+            return { code: btn.code };
+        }
+        if (btn instanceof Input.MouseButton) {
+            return { click: btn.button };
+        }
+        if (btn instanceof Input.PadButton) {
+            return { pad: btn.index, button: btn.button };
+        }
+        if (btn instanceof Input.AndButton || btn instanceof Input.OrButton) {
+            var op = btn instanceof Input.AndButton ? 'and' : 'or';
+            var list = [ ];
+
+            // Flatten chains like a.and(b).and(c) back into one list
+            [ btn.left, btn.right ].forEach(function(child) {
+                var b = buttonBinding(child);
+                list = list.concat(b[op] && Object.keys(b).length == 1 ? b[op] : [ b ]);
+            });
+
+            var binding = { };
+            binding[op] = list;
+            return binding;
+        }
+        if (btn instanceof Input.NotButton) {
+            return { not: buttonBinding(btn.btn) };
+        }
+        if (btn instanceof Input.RepeatButton) {
+            return { repeat: buttonBinding(btn.btn), initial: btn.initial, interval: btn.interval };
+        }
+        if (btn instanceof Input.AxisButton) {
+            return { axis: axisBinding(btn.axis), min: btn.minDown, max: btn.maxDown };
+        }
+        if (btn instanceof Input.DoubleTapButton) {
+            return { doubleTap: buttonBinding(btn.btn), window: btn.window };
+        }
+        if (btn instanceof Input.HoldButton) {
+            return { holdFor: buttonBinding(btn.btn), seconds: btn.seconds };
+        }
+        if (btn instanceof Input.TapButton) {
+            return { tap: buttonBinding(btn.btn), maxDuration: btn.maxDuration };
+        }
+        if (btn instanceof Input.SequenceButton) {
+            return { sequence: btn.buttons.map(buttonBinding), timeout: btn.timeout };
+        }
+        if (btn instanceof Input.ChordButton) {
+            return { chord: btn.buttons.map(buttonBinding), window: btn.window };
+        }
+
+        throw new Error('NZJS.Input.Profile: cannot describe this button');
+    }
+
+    // Gets the filter binding describing a filtered axis object, or null if
+    // the axis isn't a filter
+    //
+    function filterBinding(axis) {
+
+        var Input = NZJS.Input;
+
+        if (axis instanceof Input.DeadzoneAxis) {
+            return { deadzone: axis.size };
+        }
+        if (axis instanceof Input.CurveAxis) {
+            if (typeof axis.curveType == 'function') {
+                throw new Error('NZJS.Input.Profile: cannot describe a custom axis curve');
+            }
+            return { curve: axis.curveType, exponent: axis.exponent };
+        }
+        if (axis instanceof Input.InvertAxis) {
+            return { invert: true };
+        }
+        if (axis instanceof Input.SmoothAxis) {
+            return { smooth: axis.time };
+        }
+        if (axis instanceof Input.ClampAxis) {
+            return { clamp: [ axis.min, axis.max ] };
+        }
+
+        return null;
+    }
+
+    // Gets the binding describing an axis object
+    //
+    function axisBinding(axis) {
+
+        // Unwrap the filters, outermost (last applied) first
+        var filters = [ ];
+        for (var f = filterBinding(axis); f; f = filterBinding(axis)) {
+            filters.unshift(f);
+            axis = axis.axis;
+        }
+
+        var binding = unfilteredAxisBinding(axis);
+        if (filters.length > 0) {
+            binding.filters = filters;
+        }
+
+        return binding;
+    }
+
+    function unfilteredAxisBinding(axis) {
+
+        var Input = NZJS.Input;
+
+        if (axis instanceof Input.MouseAxis) {
+            return { mouse: axis.direction, sensitivity: axis.sensitivity };
+        }
+        if (axis instanceof Input.WheelAxis) {
+            return { wheel: axis.direction, sensitivity: axis.sensitivity };
+        }
+        if (axis instanceof Input.CursorAxis) {
+            return { cursor: axis.direction };
+        }
+        if (axis instanceof Input.PadAxis) {
+            var binding = { pad: axis.index, stick: axis.stick };
+            if (typeof axis.stick != 'number') {
+                binding.direction = axis.direction;
+            }
+            return binding;
+        }
+        if (axis instanceof Input.ButtonAxis) {
+            return {
+                base: axis.baseValue,
+                buttons: axis.buttons.map(function(b) {
+                    return { button: buttonBinding(b.btn), up: b.up, down: b.down };
+                })
+            };
+        }
+
+        throw new Error('NZJS.Input.Profile: cannot describe this axis');
+    }
+
+    //
+    // Checking bindings and conflict detection
+    //
+
+    var DIRECTIONS = [ 'horiz', 'vert' ];
+
+    // Whether a binding describes an axis rather than a button (see
+    // buildUnfilteredAxis)
+    //
+    function isAxisBinding(b) {
+        return !!b && typeof b == 'object' &&
+               (b.mouse !== undefined || b.wheel !== undefined || b.cursor !== undefined ||
+                (b.pad !== undefined && b.stick !== undefined) || Array.isArray(b.buttons));
+    }
+
+    // Adds the names of the physical inputs (keys, mouse buttons, pad buttons
+    // and sticks...) a button binding reads to out. Throws an Error for
+    // anything buildButton() would reject, so that bad bindings are caught
+    // when they're bound rather than when the profile is built.
+    //
+    function buttonSources(b, out) {
+
+        if (!b || typeof b != 'object') {
+            throw bindingError(b);
+        }
+
+        if (b.key !== undefined) {
+            NZJS.Input.keySpec(b.key);
+            out.push('key ' + String(b.key).toUpperCase());
+        }
+        else if (b.code !== undefined) {
+            if (typeof b.code != 'string' || b.code.length == 0) {
+                throw bindingError(b);
+            }
+            out.push('code ' + b.code);
+        }
+        else if (b.click !== undefined) {
+            if (CLICKS.indexOf(b.click) < 0) {
+                throw bindingError(b);
+            }
+            out.push('click ' + b.click);
+        }
+        else if (b.pad !== undefined && b.button !== undefined) {
+            out.push('pad ' + b.pad + ' button ' + NZJS.Input.padButtonIndex(b.button));
+        }
+        else if (Array.isArray(b.and) || Array.isArray(b.or)) {
+            childSources(b.and || b.or, b, out);
+        }
+        else if (b.not !== undefined) {
+            buttonSources(b.not, out);
+        }
+        else if (b.repeat !== undefined) {
+            buttonSources(b.repeat, out);
+        }
+        else if (b.axis !== undefined) {
+            axisSources(b.axis, out);
+        }
+        else if (b.doubleTap !== undefined || b.holdFor !== undefined || b.tap !== undefined) {
+            buttonSources(b.doubleTap || b.holdFor || b.tap, out);
+        }
+        else if (Array.isArray(b.sequence) || Array.isArray(b.chord)) {
+            childSources(b.sequence || b.chord, b, out);
+        }
+        else {
+            throw bindingError(b);
+        }
+
+        return out;
+    }
+
+    // Adds the sources of each of the buttons combined by a binding to out
+    //
+    function childSources(list, b, out) {
+
+        if (list.length == 0) {
+            throw bindingError(b);
+        }
+
+        list.forEach(function(child) { buttonSources(child, out); });
+    }
+
+    // Adds the names of the physical inputs an axis binding reads to out.
+    // Throws an Error for anything buildAxis() would reject.
+    //
+    function axisSources(b, out) {
+
+        if (!b || typeof b != 'object') {
+            throw bindingError(b);
+        }
+
+        if (b.filters !== undefined) {
+            if (!Array.isArray(b.filters)) {
+                throw bindingError(b);
+            }
+
+            // Filtering an axis with no inputs checks the filters without
+            // listening to anything
+            buildFilters(NZJS.Input.buttonAxis(0), b.filters);
+        }
+
+        var direction = b.mouse !== undefined ? b.mouse :
+                        b.wheel !== undefined ? b.wheel : b.cursor;
+
+        if (direction !== undefined) {
+            if (DIRECTIONS.indexOf(direction) < 0) {
+                throw bindingError(b);
+            }
+            out.push((b.mouse !== undefined ? 'mouse ' :
+                      b.wheel !== undefined ? 'wheel ' : 'cursor ') + direction);
+        }
+        else if (b.pad !== undefined && b.stick !== undefined) {
+            // Pad axes don't listen to anything, so creating one just checks
+            // that the stick exists
+            NZJS.Input.padAxis(b.pad, b.stick, b.direction);
+            out.push('pad ' + b.pad + ' stick ' + b.stick +
+                     (typeof b.stick == 'number' ? '' : ' ' + b.direction));
+        }
+        else if (Array.isArray(b.buttons)) {
+            b.buttons.forEach(function(entry) {
+                if (!entry || typeof entry != 'object') {
+                    throw bindingError(b);
+                }
+                buttonSources(entry.button, out);
+            });
+        }
+        else {
+            throw bindingError(b);
+        }
+
+        return out;
+    }
+
+    //
+    // Profiles
+    //
+
+    // Creates a control profile
+    //
+    // data: An object with the following properties:
+    //       - name: The profile's display name
+    //       - buttons: An object mapping button action names to bindings
+    //       - axes: An object mapping axis action names to bindings
+    //
+    function Profile(data) {
+
+        data = data || { };
+
+        this.name = data.name || '';
+        this.buttons = { };
+        this.axes = { };
+
+        for (var action in data.buttons || { }) {
+            this.bind(action, data.buttons[action]);
+        }
+        for (var action in data.axes || { }) {
+            this.bindAxis(action, data.axes[action]);
+        }
+    }
+    NZJS.Input.Profile = Profile;
+
+    // Binds a button action, replacing its old binding. Throws an Error if
+    // the binding isn't valid.
+    //
+    Profile.prototype.bind = function(action, binding) {
+
+        buttonSources(binding, [ ]);
+        this.buttons[action] = copy(binding);
+    }
+
+    // Binds an axis action, replacing its old binding. Throws an Error if the
+    // binding isn't valid.
+    //
+    Profile.prototype.bindAxis = function(action, binding) {
+
+        axisSources(binding, [ ]);
+        this.axes[action] = copy(binding);
+    }
+
+    // Removes the binding of a button or axis action
+    //
+    Profile.prototype.unbind = function(action) {
+
+        delete this.buttons[action];
+        delete this.axes[action];
+    }
+
+    // Creates a new NZJS.Input.State with this profile's bindings.
+    // previous - Optional state the new one replaces (e.g. the last one built
+    //            before the player rebound something), whose inputs are
+    //            released (see NZJS.Input.State.release) once the new state
+    //            has been built. If building fails, previous is left as it was.
+    //
+    Profile.prototype.build = function(previous) {
+
+        var state = new NZJS.Input.State();
+
+        try {
+            for (var action in this.buttons) {
+                buttonSources(this.buttons[action], [ ]);
+                state.addButton(action, buildButton(this.buttons[action]));
+            }
+            for (var action in this.axes) {
+                axisSources(this.axes[action], [ ]);
+                state.addAxis(action, buildAxis(this.axes[action]));
+            }
+        }
+        catch (e) {
+            state.release();
+            throw e;
+        }
+
+        if (previous) {
+            previous.release();
+        }
+
+        return state;
+    }
+
+    // Creates a profile describing the bindings of an existing
+    // NZJS.Input.State. Throws an Error if the state has inputs that can't be
+    // described (e.g. snapshots).
+    //
+    Profile.fromState = function(state, name) {
+
+        var profile = new Profile({ name: name });
+
+        for (var action in state.buttons) {
+            profile.buttons[action] = buttonBinding(state.buttons[action]);
+        }
+        for (var action in state.axes) {
+            profile.axes[action] = axisBinding(state.axes[action]);
+        }
+
+        return profile;
+    }
+
+    // Finds physical inputs that are bound to more than one action. Returns
+    // a list of { input: <input name>, actions: [ <action name>, ... ] }.
+    //
+    // If action and binding are given, only conflicts with that binding
+    // (as if it were bound to the action) are reported, which lets a
+    // rebinding UI warn the player before changing anything.
+    //
+    Profile.prototype.conflicts = function(action, binding) {
+
+        var users = { };
+
+        function use(name, inputs) {
+            for (var i = 0; i < inputs.length; ++i) {
+                var list = users[inputs[i]] = users[inputs[i]] || [ ];
+                if (list.indexOf(name) < 0) {
+                    list.push(name);
+                }
+            }
+        }
+
+        for (var name in this.buttons) {
+            if (name != action) {
+                use(name, buttonSources(this.buttons[name], [ ]));
+            }
+        }
+        for (var name in this.axes) {
+            if (name != action) {
+                use(name, axisSources(this.axes[name], [ ]));
+            }
+        }
+
+        var wanted = null;
+        if (binding) {
+            wanted = isAxisBinding(binding) ? axisSources(binding, [ ]) : buttonSources(binding, [ ]);
+            use(action, wanted);
+        }
+
+        var conflicts = [ ];
+        for (var input in users) {
+            if (users[input].length > 1 && (!wanted || wanted.indexOf(input) >= 0)) {
+                conflicts.push({ input: input, actions: users[input] });
+            }
+        }
+
+        return conflicts;
+    }
+
+    // Gets this profile as a plain object in the format the constructor takes
+    //
+    Profile.prototype.toJSON = function() {
+
+        return { name: this.name, buttons: copy(this.buttons), axes: copy(this.axes) };
+    }
+
+    // Serializes this profile to a JSON string
+    //
+    Profile.prototype.serialize = function() {
+
+        return JSON.stringify(this);
+    }
+
+    // Deserializes a profile from a JSON string. Throws an Error if the text
+    // isn't a valid profile.
+    //
+    Profile.parse = function(text) {
+
+        return new Profile(JSON.parse(text));
+    }
+
+    // Saves this profile to localStorage under the given slot name. Returns
+    // false if localStorage isn't available (e.g. in private browsing).
+    //
+    Profile.prototype.save = function(slot) {
+
+        try {
+            window.localStorage.setItem(STORAGE_PREFIX + slot, this.serialize());
+            return true;
+        }
+        catch (e) {
+            return false;
+        }
+    }
+
+    // Loads the profile saved in localStorage under the given slot name.
+    // Returns fallback (or null) if nothing usable is saved there.
+    //
+    Profile.load = function(slot, fallback) {
+
+        fallback = fallback || null;
+
+        var text;
+        try {
+            text = window.localStorage.getItem(STORAGE_PREFIX + slot);
+        }
+        catch (e) {
+            return fallback;
+        }
+
+        if (text === null || text === undefined) {
+            return fallback;
+        }
+
+        try {
+            return Profile.parse(text);
+        }
+        catch (e) {
+            console.log('Ignoring saved control profile ' + slot + ': ' + e.message);
+            return fallback;
+        }
+    }
+
+    // Removes the profile saved under the given slot name
+    //
+    Profile.remove = function(slot) {
+
+        try {
+            window.localStorage.removeItem(STORAGE_PREFIX + slot);
+        }
+        catch (e) { }
+    }
+
+    //
+    // Capturing bindings
+    //
+
+    // Gets the name a gamepad button has in a binding
+    //
+    function padButtonName(pad, index) {
+
+        if (pad.mapping == 'standard') {
+            var names = NZJS.Input.PadMapping.buttons;
+            for (var name in names) {
+                if (names[name] == index) {
+                    return name;
+                }
+            }
+        }
+
+        return index;
+    }
+
+    // Gets the binding for a gamepad stick axis
+    //
+    function padStickBinding(pad, index) {
+
+        if (pad.mapping == 'standard') {
+            var sticks = NZJS.Input.PadMapping.sticks;
+            for (var stick in sticks) {
+                for (var direction in sticks[stick]) {
+                    if (stick != 'triggers' && sticks[stick][direction] == index) {
+                        return { pad: pad.index, stick: stick, direction: direction };
+                    }
+                }
+            }
+        }
+
+        return { pad: pad.index, stick: index };
+    }
+
+    // Gets the binding for an analog trigger, or null if the button isn't one
+    //
+    function padTriggerBinding(pad, index) {
+
+        if (pad.mapping == 'standard') {
+            var triggers = NZJS.Input.PadMapping.sticks.triggers;
+            for (var direction in triggers) {
+                if (triggers[direction] == index) {
+                    return { pad: pad.index, stick: 'triggers', direction: direction };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    function isPressed(btn) {
+        return typeof btn == 'number' ? btn > 0.5 : !!btn && btn.pressed;
+    }
+
+    // Gets which pad buttons are down and which pad axes are deflected
+    //
+    function padSnapshot() {
+
+        var snapshot = { };
+        var indices = NZJS.Input.gamepads();
+
+        for (var i = 0; i < indices.length; ++i) {
+            var pad = NZJS.Input.gamepad(indices[i]);
+            snapshot[pad.index] = {
+                buttons: Array.prototype.map.call(pad.buttons, isPressed),
+                axes: Array.prototype.map.call(pad.axes, function(value) {
+                    return Math.abs(value) > CAPTURE_PAD_DEFLECTION;
+                })
+            };
+        }
+
+        return snapshot;
+    }
+
+    // Listens for the next input the player gives and calls callback with a
+    // binding for it, e.g. so the player can rebind an action. Escape cancels,
+    // calling callback(null).
+    //
+    // kind: 'button' to capture a key, mouse button or pad button; 'axis' to
+    //       capture a mouse movement, wheel scroll or pad stick/trigger as
+    //       well. Keys and buttons captured for an axis are bound as a button
+    //       axis that is 1 while the button is down.
+    //
+    // Returns a function that stops listening without calling callback.
+    //
+    NZJS.Input.captureNext = function(kind, callback) {
+
+        var wantAxis = kind == 'axis';
+        var finished = false;
+        var moved = { horiz: 0, vert: 0 };
+
+        // Buttons and sticks that were already held when capturing began
+        // don't count
+        var held = padSnapshot();
+
+        function finish(binding) {
+            if (finished) {
+                return;
+            }
+
+            stop();
+
+            if (binding && wantAxis && binding.stick === undefined &&
+                binding.mouse === undefined && binding.wheel === undefined) {
+                binding = { base: 0, buttons: [ { button: binding, up: 0, down: 1 } ] };
+            }
+            callback(binding);
+        }
+
+        function onKeyDown(ev) {
+            ev.preventDefault();
+
+            if (ev.keyCode == ESCAPE) {
+                finish(null);
+            }
+            else if (NZJS.Input.keyName(ev)) {
+                finish({ key: NZJS.Input.keyName(ev) });
+            }
+        }
+
+        function onMouseDown(ev) {
+            if (CLICKS[ev.button]) {
+                ev.preventDefault();
+                finish({ click: CLICKS[ev.button] });
+            }
+        }
+
+        function onMouseMove(ev) {
+            moved.horiz += Math.abs(ev.movementX || ev.mozMovementX || ev.webkitMovementX || 0);
+            moved.vert += Math.abs(ev.movementY || ev.mozMovementY || ev.webkitMovementY || 0);
+
+            for (var direction in moved) {
+                if (moved[direction] >= CAPTURE_MOUSE_DISTANCE) {
+                    finish({ mouse: direction, sensitivity: CAPTURE_SENSITIVITY });
+                    return;
+                }
+            }
+        }
+
+        function onWheel(ev) {
+            ev.preventDefault();
+            finish({
+                wheel: Math.abs(ev.deltaX || 0) > Math.abs(ev.deltaY || 0) ? 'horiz' : 'vert',
+                sensitivity: CAPTURE_WHEEL_SENSITIVITY
+            });
+        }
+
+        // Gamepads have no events, so they're polled
+        function pollPads() {
+            var now = padSnapshot();
+
+            for (var index in now) {
+                var before = held[index] || { buttons: [ ], axes: [ ] };
+                var pad = NZJS.Input.gamepad(Number(index));
+
+                for (var i = 0; i < now[index].buttons.length; ++i) {
+                    if (now[index].buttons[i] && !before.buttons[i]) {
+                        finish((wantAxis && padTriggerBinding(pad, i)) ||
+                               { pad: pad.index, button: padButtonName(pad, i) });
+                        return;
+                    }
+                }
+
+                for (var i = 0; wantAxis && i < now[index].axes.length; ++i) {
+                    if (now[index].axes[i] && !before.axes[i]) {
+                        finish(padStickBinding(pad, i));
+                        return;
+                    }
+                }
+            }
+
+            // Releasing a held button or stick makes it count again
+            held = now;
+        }
+
+        var timer = setInterval(pollPads, 1000.0 / NZJS.Config.TicksPerSecond);
+
+        document.addEventListener('keydown', onKeyDown);
+        document.addEventListener('mousedown', onMouseDown);
+        if (wantAxis) {
+            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('wheel', onWheel);
+        }
+
+        function stop() {
+            finished = true;
+            clearInterval(timer);
+
+            document.removeEventListener('keydown', onKeyDown);
+            document.removeEventListener('mousedown', onMouseDown);
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('wheel', onWheel);
+        }
+
+        return stop;
+    }
+
+})(NZJS, window, document);
@@ -9,60 +9,130 @@
 
     NZJS.Input = NZJS.Input || { };
 
-    // A NZJS.Replay.Record diff() function implementation that works on
-    // NZJS.Input.State objects. Given a base and target input state, produces
-    // a changelist from base to target, which can be passed to applyInputDiff
-    // along with the base input state to produce the target input state.
+    // Recorded states can come from peers, who can name a button or axis
+    // 'hasOwnProperty'
+    var hasOwn = Object.prototype.hasOwnProperty;
+
+    // The recording policy used for axes that don't have one of their own.
+    // Records an axis whenever its value changes at all.
     //
-    function diffInputStates(base, target) {
+    var defaultAxisPolicy = { threshold: 0, step: 0, interval: 0 };
 
-        var changelist = [ ];
+    // Rounds value to the nearest multiple of step (if step is nonzero)
+    //
+    function quantize(value, step) {
+        return step ? Math.round(value / step) * step : value;
+    }
 
-        // Diff buttons
-        var keys = Object.keys(target.buttons);
-        for (var i = 0; i < keys.length; ++i) { 
-            var name = keys[i];
+    // Creates a NZJS.Replay.Record diff() function implementation that works
+    // on NZJS.Input.State objects. Given a base and target input state, the
+    // function produces a changelist from base to target, which can be passed
+    // to applyInputDiff along with the base input state to produce the target
+    // input state.
+    //
+    // Axes are recorded according to policies[name] (see NZJS.Input.Record).
+    // The diff function remembers the values it has seen for each axis, so
+    // each record needs its own diff function.
+    //
+    function inputDiffer(policies) {
+
+        // For each axis: the last value seen and when it was seen, the
+        // direction it was last moving in (-1, 0 or 1), and the time it was
+        // last recorded at
+        var tracks = { };
+
+        return function(base, target, time) {
 
-            if (target.down(name) != base.down(name)) {
-                changelist.push({ type: 'btn', name: name, down: target.down(name) });
+            var changelist = [ ];
+
+            // Diff buttons
+            var keys = Object.keys(target.buttons);
+            for (var i = 0; i < keys.length; ++i) {
+                var name = keys[i];
+
+                if (target.down(name) != base.down(name)) {
+                    changelist.push({ type: 'btn', name: name, down: target.down(name) });
+                }
             }
-        }
 
-        // Diff axes
-        keys = Object.keys(target.axes);
-        for (var i = 0; i < keys.length; ++i) {
-            var name = keys[i];
+            // Diff axes
+            keys = Object.keys(target.axes);
+            for (var i = 0; i < keys.length; ++i) {
+                var name = keys[i];
+                var policy = policies[name] || defaultAxisPolicy;
+                var value = quantize(target.value(name), policy.step || 0);
 
-            // n.b. we don't elide any axis data from the input record
-            // If we have bandwidth problems, this is a way to optimize.
-            // One idea: take fewer samples and interpolate between them.
-            // Make sure to take another sample if the axis changes direction.
+                if (!base.hasAxisNamed(name)) {
 
-            changelist.push({ type: 'axis', name: name, value: target.value(name) });
-        }
+                    // Always record axes the base state hasn't seen yet.
+                    // (This is also how snapshots of whole states are made,
+                    // which shouldn't disturb the tracking)
+                    changelist.push({ type: 'axis', name: name, value: value });
+                    tracks[name] = tracks[name] || { last: value, seen: time, dir: 0, time: time };
+                    continue;
+                }
+
+                var track = tracks[name] ||
+                            (tracks[name] = { last: base.value(name), seen: -Infinity, dir: 0, time: -Infinity });
+
+                var dir = value > track.last ? 1 : value < track.last ? -1 : 0;
+                var reversed = dir != 0 && track.dir != 0 && dir != track.dir;
+
+                // Samples are at least policy.interval seconds apart, except
+                // when the axis turns around after a peak that wasn't
+                // sampled: then the peak (the last value seen) is recorded
+                // right away, marked with the time it was seen, followed by
+                // the value now
+                var recorded = base.value(name);
+                var threshold = policy.threshold || 0;
+                var due = !(time - track.time < (policy.interval || 0));
+                var sampled = false;
+
+                if (reversed && Math.abs(track.last - recorded) > threshold) {
+                    changelist.push({ type: 'axis', name: name, value: track.last, at: track.seen });
+                    recorded = track.last;
+                    due = sampled = true;
+                }
 
-        return changelist;
+                if (due && Math.abs(value - recorded) > threshold) {
+                    changelist.push({ type: 'axis', name: name, value: value });
+                    sampled = true;
+                }
+
+                if (dir != 0) {
+                    track.dir = dir;
+                }
+                track.last = value;
+                track.seen = time;
+
+                if (sampled) {
+                    track.time = time;
+                }
+            }
+
+            return changelist;
+        }
     }
 
     // A NZJS.Replay.Record apply() function implementation that works on
-    // NZJS.Input.State objects and the output of diffInputStates(). Maintains
+    // NZJS.Input.State objects and the output of inputDiffer(). Maintains
     // the following invariant:
     //
-    //     applyInputDiff(base, diffInputStates(base, target)) == target
+    //     applyInputDiff(base, diff(base, target)) == target
     //
     function applyInputDiff(base, diff) {
 
         // Start with a copy of the base state
         var target = new NZJS.Input.State();
         for (var name in base.buttons) {
-            if (base.buttons.hasOwnProperty(name)) {
+            if (hasOwn.call(base.buttons, name)) {
 
                 var button = base.buttons[name];
                 target.buttons[name] = NZJS.Input.buttonSnapshot(button);
             }
         }
         for (var name in base.axes) {
-            if (base.axes.hasOwnProperty(name)) {
+            if (hasOwn.call(base.axes, name)) {
 
                 var axis = base.axes[name];
                 target.axes[name] = NZJS.Input.axisSnapshot(axis);
@@ -76,8 +146,9 @@
 
             if (change.type == 'btn') {
 
-                target.buttons[name] = target.buttons[name] ||
-                                       new NZJS.Input.ButtonSnapshot();
+                if (!hasOwn.call(target.buttons, name)) {
+                    target.buttons[name] = new NZJS.Input.ButtonSnapshot();
+                }
 
                 target.buttons[name].wasDown = change.down;
                 target.buttons[name].wasPressed = change.down;
@@ -85,8 +156,9 @@
             }
             else if (change.type == 'axis') {
 
-                target.axes[name] = target.axes[name] || 
-                                    new NZJS.Input.AxisSnapshot();
+                if (!hasOwn.call(target.axes, name)) {
+                    target.axes[name] = new NZJS.Input.AxisSnapshot();
+                }
 
                 target.axes[name].value = change.value;
             }
@@ -95,6 +167,31 @@
         return target;
     }
 
+    // A NZJS.Replay.Record validateChange() implementation for the changes
+    // inputDiffer() makes
+    //
+    function checkInputChange(change) {
+
+        if (!change || typeof change != 'object' || typeof change.name != 'string' ||
+            change.name == '__proto__') {
+
+            return 'not a change with a name';
+        }
+
+        if (change.type == 'btn') {
+            return typeof change.down == 'boolean' ? null : 'down must be a boolean';
+        }
+        if (change.type == 'axis') {
+            if (change.at !== undefined && !(typeof change.at == 'number' && isFinite(change.at))) {
+                return 'at must be a finite number';
+            }
+            return typeof change.value == 'number' && isFinite(change.value) ?
+                   null : 'value must be a finite number';
+        }
+
+        return 'unknown type ' + JSON.stringify(change.type);
+    }
+
     // Called by NZJS.Replay.Walk before the input state is advanced.
     // We use this to clear the wasPressed/wasReleased flags from every button
     // in the state
@@ -111,19 +208,191 @@
         }
     }
 
-    function Record(window) {
+    // A NZJS.Replay.Record interpolate() function implementation that works on
+    // NZJS.Input.State objects. Axis values are blended; buttons can't be
+    // partly down, so they come from stateA until alpha reaches 1.
+    //
+    function interpolateInputStates(stateA, stateB, alpha) {
+
+        var from = alpha < 1.0 ? stateA : stateB;
+
+        var state = new NZJS.Input.State();
+        for (var name in from.buttons) {
+            if (hasOwn.call(from.buttons, name)) {
+                state.buttons[name] = NZJS.Input.buttonSnapshot(from.buttons[name]);
+            }
+        }
+        for (var name in stateB.axes) {
+            if (hasOwn.call(stateB.axes, name)) {
+
+                var a = stateA.value(name);
+                var b = stateB.value(name);
+
+                state.axes[name] = new NZJS.Input.AxisSnapshot(
+                    a === undefined ? b : a + (b - a) * alpha);
+            }
+        }
+
+        return state;
+    }
+
+    // Gets the dictionary words for an NZJS.Replay.Codec that packs input
+    // records of the given NZJS.Input.State compactly: the property names
+    // and values inputDiffer() uses, plus the state's button and axis
+    // names.
+    //
+    NZJS.Input.codecWords = function(state) {
 
-        NZJS.Replay.Record.call(this, 
-            diffInputStates, 
-            applyInputDiff, 
+        return [ 'type', 'name', 'down', 'value', 'at', 'btn', 'axis' ]
+            .concat(Object.keys(state.buttons))
+            .concat(Object.keys(state.axes));
+    }
+
+    // Records and replays NZJS.Input.State objects.
+    //
+    // window: The number of seconds of history to maintain (see
+    //         NZJS.Replay.Record)
+    //
+    // policies: An optional object mapping axis names to recording policies,
+    //           which trade accuracy for smaller records. Each policy is an
+    //           object with any of the following properties:
+    //
+    //           - step: Values are rounded to the nearest multiple of step
+    //             before they are recorded. Replayed values are within step/2
+    //             of the polled ones.
+    //
+    //           - threshold: A new value is only recorded once it differs from
+    //             the last recorded value by more than threshold. Replayed
+    //             values are within threshold (+ step/2) of the polled ones.
+    //
+    //           - interval: Samples are taken at most every interval seconds,
+    //             plus one whenever the axis changes direction, so its peaks
+    //             are kept. A peak is recorded once the axis has turned
+    //             around, along with the value then, but valueAt() places it
+    //             at the time it was polled. Walks hold each sample until
+    //             the next; use
+    //             valueAt() to interpolate between samples instead.
+    //             Interpolated values match the polled ones at every sample
+    //             and turning point; in between, they are off by at most how
+    //             far the axis strayed from a straight line.
+    //
+    //           Axes without a policy are recorded exactly, whenever their
+    //           value changes. Unchanged axes are never recorded.
+    //
+    function Record(window, policies) {
+
+        this.policies = policies || { };
+
+        NZJS.Replay.Record.call(this,
+            inputDiffer(this.policies),
+            applyInputDiff,
             walkInputRecord,
             window,
             new NZJS.Input.State()
             );
+
+        this.interpolate = interpolateInputStates;
+        this.validateChange = checkInputChange;
     }
 
     NZJS.Input.Record = Record;
     Record.prototype = new NZJS.Replay.Record();
 
-})(NZJS);
+    // Begins playing this record back as an input state (see
+    // src/input/replay.js)
+    //
+    // start: The time at which to begin. Defaults to the oldest time in this
+    //        record.
+    // clock: An optional function() -> seconds that the replay's pollNext()
+    //        measures playback time with. Defaults to NZJS.getTime.
+    //
+    Record.prototype.beginReplay = function(start, clock) {
+
+        return new NZJS.Input.Replay(this, start, clock);
+    }
+
+    // Gets the changes recorded after time from, up to and including time to,
+    // in the format of NZJS.Input.State.events:
+    //
+    //      { time: <seconds>, name: <button name>, down: <bool> }
+    //      { time: <seconds>, name: <axis name>, value: <number> }
+    //
+    Record.prototype._changesBetween = function(from, to) {
+
+        var changes = [ ];
+
+        for (var i = this._indexAfter(from); i < this._record.length; ++i) {
+            var entry = this._record[i];
+            if (entry.time > to) {
+                break;
+            }
+
+            for (var j = 0; j < entry.diff.length; ++j) {
+                var change = entry.diff[j];
 
+                if (change.type == 'btn') {
+                    changes.push({ time: entry.time, name: change.name, down: change.down });
+                }
+                else {
+                    changes.push({ time: entry.time, name: change.name, value: change.value });
+                }
+            }
+        }
+
+        return changes;
+    }
+
+    // Gets the value of a named axis at a walk's current time, linearly
+    // interpolated between the samples recorded before and after that time.
+    // Falls back to the walk's (step-wise) value if no later sample has been
+    // recorded yet.
+    //
+    // walk: A NZJS.Replay.Walk through this record
+    // name: The name of the axis
+    //
+    Record.prototype.valueAt = function(walk, name) {
+
+        var value = walk.state.value(name);
+        var index = Math.min(this._indexAfter(walk.time), this._record.length - 1);
+
+        // Find the samples on either side of the walk's time. Peaks are
+        // recorded after they were polled, so the entry after the time can
+        // hold a sample from before it.
+        var before = this._sampleOf(name, index, -1, walk.time);
+        var after = this._sampleOf(name, index, 1, walk.time);
+
+        if (!before || !after) {
+            return value;
+        }
+
+        var alpha = (walk.time - before.time) / (after.time - before.time);
+        return before.value + (after.value - before.value) * alpha;
+    }
+
+    // Finds the nearest sample of the named axis at or before the given
+    // time (direction -1), or after it (direction 1), searching the entries
+    // of this record from the given index. Returns { time, value }, or null
+    // if there is none.
+    //
+    Record.prototype._sampleOf = function(name, index, direction, time) {
+
+        for (var i = index; i >= 0 && i < this._record.length; i += direction) {
+            var diff = this._record[i].diff;
+
+            for (var k = 0; k < diff.length; ++k) {
+                var change = diff[direction > 0 ? k : diff.length - 1 - k];
+                if (change.type != 'axis' || change.name != name) {
+                    continue;
+                }
+
+                var at = change.at !== undefined ? change.at : this._record[i].time;
+                if (direction > 0 ? at > time : at <= time) {
+                    return { time: at, value: change.value };
+                }
+            }
+        }
+
+        return null;
+    }
+
+})(NZJS);
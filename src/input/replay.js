@@ -1,123 +1,144 @@
 /*
  * replay.js
  *
- * A non-rewindable walk through an input record (NZJS.Input.Record,
- * in src/input/record.js). Generally you don't create this object manually --
- * instead, you call beginReplay() on a NZJS.Input.Record object:
+ * Plays back an input record (NZJS.Input.Record, in src/input/record.js) as
+ * an input state. A replay is an NZJS.Input.State whose buttons and axes come
+ * from the record instead of the browser, so it can go anywhere live input
+ * goes: bots, automated tests and demos can play through recorded input.
+ * Generally you don't create this object manually -- instead, you call
+ * beginReplay() on a NZJS.Input.Record object:
  *
- *      var replay = inputRecord.beginReplay();
+ *      var state = inputRecord.beginReplay();
  *
- * Once you have a replay object, you can query the input state for a recording
- * at an arbitrary time:
+ * Like a live state, a replay is polled to get the next state:
  *
- *      currentState = replay.stateAt(currentTime);
+ *      state = state.pollNext();
  *
- * The currentTime parameter must be monotonically increasing: if you need to
- * go back in time, you must start a new replay by calling
- * inputRecord.beginReplay() again.
+ * which moves playback forward by as much time as has passed since the
+ * previous poll (by NZJS.getTime(), or the clock given to beginReplay()). To
+ * step through the record at your own pace instead (e.g. one fixed tick at a
+ * time), ask for the state at a given record time:
+ *
+ *      state = state.stateAt(time);
+ *
+ * Times may go backward, in which case the replay seeks. pressed() and
+ * released() report the changes between the previous state and the new one,
+ * including buttons that went down and back up in between, the same way live
+ * buttons report taps shorter than a tick. A replay's first state, and the
+ * state after a seek, has no edges.
+ *
+ * state.events lists the recorded changes between the two states. A record
+ * holds polled states, so these are stamped with the time each change was
+ * recorded, not the time it happened.
  */
 
 ;(function(NZJS) {
+    'use strict';
 
     NZJS.Input = NZJS.Input || { };
 
-    // A non-rewindable walk through an input recording made using an 
-    // NZJS.Input.Record object. 
-    // record -- The NZJS.Input.Record this object plays back
-    // 
-    function InputReplay(record) {
-        this.record = record;      // The input record to retrieve state from
-        this.time = 0;                           // The current playback time
-        this.handled = { }; // Set of record.keyframes that have been handled
-                            // i.e. for buttons, pressed()/released() = false
+    // Recorded inputs can be named by peers, e.g. 'hasOwnProperty'
+    var hasOwn = Object.prototype.hasOwnProperty;
+
+    // Plays back an input recording made using an NZJS.Input.Record object.
+    //
+    // record: The NZJS.Input.Record this object plays back
+    // start: The record time to begin at. Defaults to the oldest time in the
+    //        record.
+    // clock: An optional function() -> seconds that pollNext() measures
+    //        playback time with. Defaults to NZJS.getTime.
+    //
+    function InputReplay(record, start, clock) {
+        NZJS.Input.State.call(this);
+
+        this.record = record;
+
+        // The record time this state is at
+        this.time = start === undefined ? record._basetime : start;
+
+        this._clock = clock || NZJS.getTime;
+        this._walk = record.beginWalk(this.time);
+        this._fill(null, [ ]);
     }
+    InputReplay.prototype = new NZJS.Input.State();
     NZJS.Input.Replay = InputReplay;
 
-    // Gets the recorded input state as an NZJS.Input.State object
-    // time - The time for which the state should be retrieved.
-    //        Must be monotonically creasing for consecutive calls
+    // Gets the recorded input state at the given record time, as a new
+    // NZJS.Input.Replay. Later calls to pollNext() on the new state continue
+    // playback from that time.
     //
     InputReplay.prototype.stateAt = function(time) {
 
-        // Bit of sanity checking
-        if (this.time > time) {
-            console.log('Warning: NZJS.Input.Replay was rewound!');
-            console.log('Last call: t=' + this.time);
-            console.log('This call: t=' + time);
-        }
+        var rewound = time < this.time;
+        var changes = rewound ? [ ] : this.record._changesBetween(this.time, time);
 
-        this.time = time;
+        var next = Object.create(InputReplay.prototype);
+        NZJS.Input.State.call(next);
 
-        // Start with a copy of the epoch state
-        var state = new NZJS.Input.State();
-        for (var name in this.record.epochState.buttons) {
-            if (this.record.epochState.buttons.hasOwnProperty(name)) {
+        next.record = this.record;
+        next.time = time;
+        next._clock = this._clock;
 
-                var button = this.record.epochState.buttons[name];
-                state.buttons[name] = NZJS.Input.buttonSnapshot(button);
-            }
-        }
-        for (var name in this.record.epochState.axes) {
-            if (this.record.epochState.axes.hasOwnProperty(name)) {
+        // States share the walk; it's moved wherever the newest state needs it
+        next._walk = this._walk;
+        next._walk.advanceTo(time);
 
-                var axis = this.record.epochState.axes[name];
-                state.axes[name] = NZJS.Input.axisSnapshot(button);
-            }
-        }
+        next._fill(rewound ? null : this, changes);
+        return next;
+    }
 
-        // Fast forward to the given time
-        for (var i = 0; i < this.record.keyframes.length; ++i) {
+    // Produces the next input state, moving playback forward by the time that
+    // has passed on the clock since this state was made
+    //
+    InputReplay.prototype.pollNext = function() {
+        return this.stateAt(this.time + this._clock() - this._madeAt);
+    }
 
-            // Get the keyframe
-            var keyframe = this.record.keyframes[i];
-            if (keyframe.time > time) {
-                break;
-            }
+    // Indicates whether playback has reached the newest state in the record
+    //
+    InputReplay.prototype.finished = function() {
+        return this.time >= this.record.latest();
+    }
+
+    // Fills this state's buttons and axes from the walk
+    //
+    // prev: The state before this one, or null if there are no edges
+    // changes: The recorded changes since prev (see _changesBetween() in
+    //          record.js)
+    //
+    InputReplay.prototype._fill = function(prev, changes) {
+
+        var recorded = this._walk.state;
 
-            // Check if we've already handled this keyframe
-            var key = keyframe.time.toString();
-            var handled = !!this.handled[key];
-            this.handled[key] = true;
-
-            // Apply the keyframe to the output state
-            var deltas = keyframe.deltas;
-
-            for (var name in deltas.button) {
-                if (deltas.button.hasOwnProperty(name)) {
-                    state.buttons[name] = state.buttons[name] ||
-                                          new NZJS.Input.ButtonSnapshot();
-
-                    state.buttons[name].wasDown = deltas.button[name];
-                    state.buttons[name].wasPressed = false;
-                    state.buttons[name].wasReleased = false;
-
-                    if (!handled) {
-
-                        // This is the first time we processed the keyframe
-                        // So if the button is down, it was also pressed;
-                        // likewise, if the button is up, it was also released
-                        //
-                        if (state.buttons[name].wasDown) {
-                            state.buttons[name].wasPressed = true;
-                        }
-                        else {
-                            state.buttons[name].wasReleased = true;
-                        }
-                    }
-                }
+        // Buttons that went down at any point since prev, even if they've
+        // since been released
+        var sawDown = Object.create(null);
+        for (var i = 0; i < changes.length; ++i) {
+            if (changes[i].down) {
+                sawDown[changes[i].name] = true;
             }
+        }
+
+        for (var name in recorded.buttons) {
+            if (hasOwn.call(recorded.buttons, name)) {
 
-            for (var name in deltas.axis) {
-                if (deltas.axis.hasOwnProperty(name)) {
-                    state.axes[name] = state.axes[name] || 
-                                       new NZJS.Input.AxisSnapshot();
+                var isDown = !!recorded.down(name);
+                var wasDown = prev ? !!prev.down(name) : isDown;
 
-                    state.axes[name].value = deltas.axis[name];
-                }
+                isDown = isDown || (!!sawDown[name] && !wasDown);
+
+                this.buttons[name] = new NZJS.Input.ButtonSnapshot(
+                    isDown, isDown && !wasDown, !isDown && wasDown);
+            }
+        }
+        for (var name in recorded.axes) {
+            if (hasOwn.call(recorded.axes, name)) {
+                this.axes[name] = new NZJS.Input.AxisSnapshot(recorded.value(name));
             }
         }
 
-        return state;
+        this.events = changes;
+        this._madeAt = this._clock();
     }
 
 })(NZJS);
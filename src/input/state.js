@@ -30,6 +30,14 @@
 
     NZJS.Input = NZJS.Input || { };
 
+    // Gets the input of a state with the given name, if it has one. Names
+    // can come from peers (see NZJS.Input.Record), so ones like 'toString'
+    // mustn't find Object.prototype's methods.
+    //
+    function named(inputs, name) {
+        return Object.prototype.hasOwnProperty.call(inputs, name) ? inputs[name] : undefined;
+    }
+
     // Encapsulates the state of the game's inputs at a point in time
     //
     function InputState() { 
@@ -37,6 +45,14 @@
         this.pollTime = NZJS.getTime();
         this.buttons = { };
         this.axes = { };
+
+        // The input events that happened before this state was polled, in
+        // the order they happened (see events.js). Each is one of:
+        //
+        //      { time: <seconds>, name: <button name>, down: <bool> }
+        //      { time: <seconds>, name: <axis name>, value: <number> }
+        //
+        this.events = [ ];
     }
     NZJS.Input.State = InputState;
 
@@ -70,23 +86,38 @@
         delete this.axes[name];
     }
 
+    // Releases the inputs of this state (see e.g. NZJS.Input.KeyButton),
+    // which stop listening for input. Call it when replacing the state with
+    // a new one (e.g. a rebuilt NZJS.Input.Profile), since inputs that are
+    // never polled again would otherwise stay bound.
+    //
+    InputState.prototype.release = function() {
+
+        for (var name in this.buttons) {
+            this.buttons[name].release();
+        }
+        for (var name in this.axes) {
+            this.axes[name].release();
+        }
+    }
+
     // Indicates whether this state has a button with the given name
     //
     InputState.prototype.hasButtonNamed = function(name) {
-        return this.buttons[name] !== undefined;
+        return named(this.buttons, name) !== undefined;
     }
 
     // Indicates whether this state has an axis with the given name
     //
     InputState.prototype.hasAxisNamed = function(name) {
-        return this.axes[name] !== undefined;
+        return named(this.axes, name) !== undefined;
     }
 
     // Indicates whether a named button is being pressed
     //
     InputState.prototype.down = function(name) {
 
-        var b = this.buttons[name];
+        var b = named(this.buttons, name);
         return b && b.down();
     }
 
@@ -94,7 +125,7 @@
     //
     InputState.prototype.up = function(name) {
 
-        var b = this.buttons[name];
+        var b = named(this.buttons, name);
         return b && b.up();
     }
 
@@ -103,7 +134,7 @@
     //
     InputState.prototype.pressed = function(name) {
 
-        var b = this.buttons[name];
+        var b = named(this.buttons, name);
         return b && b.pressed();
     }
 
@@ -112,7 +143,7 @@
     //
     InputState.prototype.released = function(name) {
 
-        var b = this.buttons[name];
+        var b = named(this.buttons, name);
         return b && b.released();
     }
 
@@ -120,10 +151,27 @@
     //
     InputState.prototype.value = function(name) {
 
-        var a = this.axes[name];
+        var a = named(this.axes, name);
         return a && a.value;
     }
 
+    // Labels the events of a polled input with the input's name
+    //
+    function namedEvents(name, input) {
+
+        return (input.events || [ ]).map(function(ev) {
+            var named = { time: ev.time, name: name };
+
+            if (ev.down !== undefined) {
+                named.down = ev.down;
+            }
+            else {
+                named.value = ev.value;
+            }
+            return named;
+        });
+    }
+
     // Produces the next input state snapshot by polling the underlying inputs
     // that were previously added to this input state
     //
@@ -154,6 +202,11 @@
             next.axes[name].poll();
         }
 
+        next.events = NZJS.Input.mergeEvents(
+            buttonNames.map(function(name) { return namedEvents(name, next.buttons[name]); })
+            .concat(axisNames.map(function(name) { return namedEvents(name, next.axes[name]); }))
+        );
+
         return next;
     }
 
@@ -14,9 +14,68 @@
     var lastTick = 0;
     var lastDraw = 0;
 
+    // Pushes a screen on top of the screen stack, suspending the screen
+    // below it. If the screen has an input context (screen.input, see
+    // input/context.js), it's pushed on top of the context stack.
+    //
+    NZJS.pushScreen = function(screen) {
+
+        if (screens.length > 0) {
+            screens[screens.length - 1].suspend();
+        }
+
+        screens.push(screen);
+        if (screen.input) {
+            NZJS.Input.Contexts.push(screen.input);
+        }
+    }
+
+    // Pops the top screen off the screen stack, along with its input
+    // context, and resumes the screen below it. Returns the popped screen.
+    //
+    NZJS.popScreen = function() {
+
+        var screen = screens.pop();
+        if (!screen) {
+            return null;
+        }
+
+        if (screen.input) {
+            NZJS.Input.Contexts.remove(screen.input);
+        }
+        if (screens.length > 0) {
+            screens[screens.length - 1].resume();
+        }
+
+        return screen;
+    }
+
+    // Calls the method with the given name on the top screen, if it has
+    // that method
+    //
+    function notifyScreen(method, arg) {
+
+        var screen = screens[screens.length - 1];
+        if (screen && screen[method]) {
+            screen[method](arg);
+        }
+    }
+
     // Initializes the game
     function init() {
 
+        // Let screens know about pointer lock and focus changes (see
+        // input/focus.js)
+        NZJS.Input.onPointerLockChange = function(locked) {
+            notifyScreen('pointerLockChange', locked);
+        }
+        NZJS.Input.onPointerLockError = function() {
+            notifyScreen('pointerLockError');
+        }
+        NZJS.Input.onInputLost = function(reason) {
+            notifyScreen('inputLost', reason);
+        }
+
         // Init in-browser technologies (may not be supported by all browsers)
         NZJS.WebGL.init();
         NZJS.RTC.init();
@@ -24,7 +83,7 @@
         if (NZJS.Config.DebugNetworking) {
             var debug = new NZJS.Screens.NetDebug();
             debug.init();
-            screens.push(debug);
+            NZJS.pushScreen(debug);
         }
         else {
             // Create and load the load screen
@@ -32,7 +91,7 @@
             // to the load screen ctor
             var load = new NZJS.Screens.Loading();
             load.init();
-            screens.push(load);
+            NZJS.pushScreen(load);
 
             // Create the main menu screen and set the load screen to show 
             // its load progress
@@ -57,6 +116,10 @@
 
         schedule(tick, NZJS.Config.TicksPerSecond);
 
+        // Poll every screen's input, so the screens below the top one keep
+        // tracking which of their buttons are held
+        NZJS.Input.Contexts.poll();
+
         if (screens.length > 0) {
             var screen = screens[screens.length - 1];
             if (screen.isLoaded) {
@@ -91,7 +154,10 @@
     // Runs the game loop
     function run() {
         setTimeout(tick, 0);
-        setTimeout(draw, 0);
+
+        if (!NZJS.Config.Headless) {
+            setTimeout(draw, 0);
+        }
     }
 
     // The game's entry point
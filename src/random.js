@@ -0,0 +1,60 @@
+/*
+ * random.js
+ *
+ * A seeded pseudo-random number generator. Unlike Math.random(), the numbers
+ * it produces depend only on its seed, so anything driven by it (a match,
+ * a simulated network; see NZJS.Debug.Replay and
+ * NZJS.Transport.SimulatedConnection) plays out the same way every time it's
+ * given the same seed:
+ *
+ *      var rng = new NZJS.Random(seed);
+ *      var roll = rng.next();          // [0, 1)
+ *      var damage = rng.range(5, 10);  // [5, 10)
+ *
+ * The generator is Mulberry32: fast, with 32 bits of state, which is plenty
+ * for gameplay and testing but not for cryptography.
+ */
+
+(function(NZJS) {
+    'use strict';
+
+    // Picks a seed for a generator whose seed doesn't matter
+    //
+    NZJS.randomSeed = function() {
+        return Math.floor(Math.random() * 0x7FFFFFFF);
+    }
+
+    // Creates a generator
+    // seed - An integer. Defaults to NZJS.randomSeed().
+    //
+    function Random(seed) {
+
+        this.seed = seed === undefined ? NZJS.randomSeed() : seed;
+        this._state = this.seed >>> 0;
+    }
+    NZJS.Random = Random;
+
+    // Gets the next number, in [0, 1)
+    //
+    Random.prototype.next = function() {
+
+        var t = this._state = (this._state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Gets the next number, in [min, max)
+    //
+    Random.prototype.range = function(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Returns true with the given probability (0 - 1)
+    //
+    Random.prototype.chance = function(probability) {
+        return this.next() < probability;
+    }
+
+})(NZJS);
@@ -0,0 +1,582 @@
+/*
+ * codec.js
+ *
+ * A compact binary wire format for NZJS.Replay.Record history. Pass a Codec
+ * to Record.pack() to get an ArrayBuffer instead of a JSON string, and pass
+ * a Codec with the same words to Record.unpack() on the other end.
+ *
+ * The changelists in a record are opaque, so the codec encodes them
+ * structurally (null, booleans, numbers, strings, arrays and plain objects).
+ * Two things make this much smaller than JSON:
+ *
+ * - Strings that appear over and over (property names like 'type' and
+ *   'name', values like 'axis', button and axis names) are sent as a small
+ *   index into a dictionary. The unpacking side needs the packing side's
+ *   words: a Dictionary (see below) sends them to the peer once per
+ *   connection, in a Replay.Words message. Packed records carry a hash of
+ *   the dictionary, and decode() throws if it doesn't match its own.
+ *   Strings missing from the dictionary are still sent, just inline.
+ *
+ * - Numbers are sent as variable-length integers. Timestamps are delta
+ *   encoded in microseconds. Records round the times they record to
+ *   microseconds (see NZJS.Replay.quantizeTime()), so they come back
+ *   exactly as they were packed. Non-integer values are quantized to
+ *   1 / options.floatScale.
+ *
+ * Layout (all integers are LEB128 varints; signed ones are zigzagged):
+ *
+ *      u8      magic, 'N' (0x4E)
+ *      u8      format version
+ *      varint  number of dictionary words
+ *      u32     FNV-1a hash of the dictionary (little endian)
+ *      varint  float scale
+ *      varint  number of entries
+ *      entries:
+ *          u8      entry kind (0 = changelist, 1 = snapshot)
+ *          svarint microseconds since the previous entry (first: since 0)
+ *          value   the changelist
+ *
+ * A value is a one-byte tag followed by the tag's payload (see Tag below).
+ */
+
+;(function(NZJS) {
+    'use strict';
+
+    NZJS.Replay = NZJS.Replay || { };
+
+    var MAGIC = 0x4E;
+    var VERSION = 3;
+
+    // Largest magnitude sent as a varint rather than a double
+    var MAX_INTEGER = 9007199254740991;
+
+    // Identifies the kind of each encoded value
+    //
+    var Tag = {
+        Null: 0,
+        False: 1,
+        True: 2,
+        Integer: 3,     // svarint
+        Float: 4,       // svarint, in units of 1 / floatScale
+        Double: 5,      // f64 (non-finite or huge numbers only)
+        Word: 6,        // varint index into the dictionary
+        String: 7,      // varint byte length, then UTF-8
+        Array: 8,       // varint length, then each value
+        Object: 9       // varint key count, then (key, value) pairs
+    };
+
+    // Entry kinds
+    //
+    var Entry = {
+        Diff: 0,
+        Snapshot: 1
+    };
+
+    // The message peers send each other their words in (see Dictionary)
+    //
+    NZJS.Transport.defineMessage('Replay.Words', {
+        maxSize: 65536,
+        type: 'object',
+        fields: {
+            name: { type: 'string', maxLength: 64 },
+            words: { type: 'array', maxLength: 4096, items: { type: 'string', maxLength: 256 } },
+            reply: { type: 'boolean' }
+        }
+    });
+
+    // Creates a new Codec object
+    //
+    // words: An array of strings to send by index instead of inline. The
+    //        peer must unpack with the same words, in the same order (see
+    //        Dictionary).
+    //
+    // options: An optional object with the following properties:
+    //          - floatScale: non-integer numbers are rounded to the nearest
+    //            multiple of 1 / floatScale, which must be a positive
+    //            integer. Defaults to 10000.
+    //
+    function Codec(words, options) {
+
+        options = options || { };
+
+        this.words = (words || [ ]).slice();
+        this.floatScale = options.floatScale || 10000;
+
+        if (!isScale(this.floatScale)) {
+            throw new Error('NZJS.Replay.Codec: floatScale must be a positive integer, not ' + this.floatScale);
+        }
+
+        // Maps each word to its index in this.words
+        //
+        this._index = Object.create(null);
+        for (var i = 0; i < this.words.length; ++i) {
+            this._index[this.words[i]] = i;
+        }
+
+        this._hash = hashWords(this.words);
+    }
+    NZJS.Replay.Codec = Codec;
+
+    // Indicates whether the given value is binary data (i.e. pack() output
+    // that needs a Codec to unpack) rather than a JSON string
+    //
+    Codec.isBinary = function(data) {
+        return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+    }
+
+    // Encodes a list of { t: <time>, d: <changelist> } entries into an
+    // ArrayBuffer. Snapshot entries, { t: <time>, k: <changelist> }, are
+    // encoded too (see NZJS.Replay.Subscriber)
+    //
+    Codec.prototype.encode = function(entries) {
+
+        var out = new Writer();
+
+        out.byte(MAGIC);
+        out.byte(VERSION);
+        out.uint(this.words.length);
+        out.uint32(this._hash);
+        out.uint(this.floatScale);
+        out.uint(entries.length);
+
+        var last = 0;
+        for (var i = 0; i < entries.length; ++i) {
+            var entry = entries[i];
+            var time = Math.round(entry.t * NZJS.Replay.TimeScale);
+
+            if (!(Math.abs(time) <= MAX_INTEGER)) {
+                throw new Error('NZJS.Replay.Codec: can\'t pack an entry at time ' + entry.t);
+            }
+
+            out.byte(entry.k ? Entry.Snapshot : Entry.Diff);
+            out.int(time - last);
+            last = time;
+
+            this._encodeValue(out, entry.k || entry.d);
+        }
+
+        return out.finish();
+    }
+
+    // Decodes the output of encode() back into the list of entries it was
+    // given
+    //
+    Codec.prototype.decode = function(data) {
+
+        var bytes = data instanceof ArrayBuffer ?
+                    new Uint8Array(data) :
+                    new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+        var input = new Reader(bytes);
+
+        if (input.byte() != MAGIC) {
+            throw new Error('NZJS.Replay.Codec: not a packed record');
+        }
+
+        var version = input.byte();
+        if (version != VERSION) {
+            throw new Error('NZJS.Replay.Codec: unsupported format version ' + version);
+        }
+
+        var wordCount = input.uint();
+        var hash = input.uint32();
+        if (wordCount != this.words.length || hash != this._hash) {
+            throw new Error('NZJS.Replay.Codec: packed with a different dictionary');
+        }
+
+        // Quantized values are divided by the scale, so a bad one would
+        // turn them all into Infinity or NaN
+        var floatScale = input.uint();
+        if (!isScale(floatScale)) {
+            throw new Error('NZJS.Replay.Codec: bad float scale ' + floatScale);
+        }
+
+        var count = input.uint();
+
+        var entries = [ ];
+        var last = 0;
+        for (var i = 0; i < count; ++i) {
+
+            var kind = input.byte();
+            if (kind != Entry.Diff && kind != Entry.Snapshot) {
+                throw new Error('NZJS.Replay.Codec: unknown entry kind ' + kind);
+            }
+
+            last += input.int();
+
+            var entry = { t: last / NZJS.Replay.TimeScale };
+
+            entry[kind == Entry.Snapshot ? 'k' : 'd'] = this._decodeValue(input, floatScale);
+            entries.push(entry);
+        }
+
+        return entries;
+    }
+
+    Codec.prototype._encodeValue = function(out, value) {
+
+        if (value === null || value === undefined) {
+            out.byte(Tag.Null);
+        }
+        else if (value === false) {
+            out.byte(Tag.False);
+        }
+        else if (value === true) {
+            out.byte(Tag.True);
+        }
+        else if (typeof value == 'number') {
+
+            if (!isFinite(value) || Math.abs(value) > MAX_INTEGER) {
+                out.byte(Tag.Double);
+                out.float64(value);
+            }
+            else if (Math.floor(value) === value) {
+                out.byte(Tag.Integer);
+                out.int(value);
+            }
+            else {
+                out.byte(Tag.Float);
+                out.int(Math.round(value * this.floatScale));
+            }
+        }
+        else if (typeof value == 'string') {
+            this._encodeString(out, value);
+        }
+        else if (Array.isArray(value)) {
+
+            out.byte(Tag.Array);
+            out.uint(value.length);
+
+            for (var i = 0; i < value.length; ++i) {
+                this._encodeValue(out, value[i]);
+            }
+        }
+        else {
+            var keys = Object.keys(value);
+
+            out.byte(Tag.Object);
+            out.uint(keys.length);
+
+            for (var i = 0; i < keys.length; ++i) {
+                this._encodeString(out, keys[i]);
+                this._encodeValue(out, value[keys[i]]);
+            }
+        }
+    }
+
+    Codec.prototype._encodeString = function(out, str) {
+
+        if (this._index[str] !== undefined) {
+            out.byte(Tag.Word);
+            out.uint(this._index[str]);
+        }
+        else {
+            out.byte(Tag.String);
+            out.string(str);
+        }
+    }
+
+    Codec.prototype._decodeValue = function(input, floatScale) {
+
+        var tag = input.byte();
+
+        switch (tag) {
+            case Tag.Null:      return null;
+            case Tag.False:     return false;
+            case Tag.True:      return true;
+            case Tag.Integer:   return input.int();
+            case Tag.Float:     return input.int() / floatScale;
+            case Tag.Double:    return input.float64();
+            case Tag.Word:      return this._decodeWord(input);
+            case Tag.String:    return input.string();
+
+            case Tag.Array:
+                var length = input.uint();
+                var array = [ ];
+                for (var i = 0; i < length; ++i) {
+                    array.push(this._decodeValue(input, floatScale));
+                }
+                return array;
+
+            case Tag.Object:
+                var count = input.uint();
+                var obj = { };
+                for (var i = 0; i < count; ++i) {
+                    var keyTag = input.byte();
+                    var key = keyTag == Tag.Word ? this._decodeWord(input) :
+                              keyTag == Tag.String ? input.string() :
+                              null;
+
+                    if (key === null) {
+                        throw new Error('NZJS.Replay.Codec: bad object key tag ' + keyTag);
+                    }
+
+                    obj[key] = this._decodeValue(input, floatScale);
+                }
+                return obj;
+        }
+
+        throw new Error('NZJS.Replay.Codec: bad value tag ' + tag);
+    }
+
+    Codec.prototype._decodeWord = function(input) {
+
+        var index = input.uint();
+        if (index >= this.words.length) {
+            throw new Error('NZJS.Replay.Codec: word index ' + index + ' out of range');
+        }
+
+        return this.words[index];
+    }
+
+    // Agrees with the peer at the other end of an NZJS.Transport.Connection
+    // on the dictionaries history is packed with. Each side tells the other
+    // the words it packs with, once per connection, and unpacks what the
+    // other side sends with the other side's words.
+    //
+    // Create it before the connection opens, so it hears the peer's words
+    // however soon they arrive, and call start() once it's open (it's called
+    // for you if the connection is already open):
+    //
+    //      var dictionary = new NZJS.Replay.Dictionary(connection, 'inputs',
+    //                                                  NZJS.Input.codecWords(state));
+    //      connection.onopen = function() { dictionary.start(); };
+    //
+    // Then pack with dictionary.local, and unpack with dictionary.remote once
+    // the peer's words arrive (see onready()).
+    //
+    // connection: The NZJS.Transport.Connection to the peer
+    // name: The name of the dictionary, which the peer must use too, so one
+    //       connection can carry several (e.g. 'inputs' and 'world')
+    // words, options: The words and options this side packs with (see Codec)
+    //
+    function Dictionary(connection, name, words, options) {
+
+        this.connection = connection;
+        this.name = name;
+
+        // The codecs this side packs with, and unpacks the peer's history
+        // with (null until the peer's words arrive)
+        this.local = new Codec(words, options);
+        this.remote = null;
+
+        var self = this;
+        this._onWords = function(data) {
+            self._receive(data);
+        };
+        connection.on('Replay.Words', this._onWords);
+
+        if (connection.isReady()) {
+            this.start();
+        }
+    }
+    NZJS.Replay.Dictionary = Dictionary;
+
+    // Tells the peer the words this side packs with. Call it when the
+    // connection opens.
+    //
+    Dictionary.prototype.start = function() {
+        this._send(false);
+    }
+
+    // Stops listening for the peer's words
+    //
+    Dictionary.prototype.release = function() {
+        this.connection.off('Replay.Words', this._onWords);
+    }
+
+    // Event handler fired when the peer's words arrive, with the codec to
+    // unpack the peer's history with (also in this.remote)
+    //
+    Dictionary.prototype.onready = function(remote) { }
+
+    // Private method. Sends this side's words to the peer. reply is true
+    // when answering the peer's words.
+    //
+    Dictionary.prototype._send = function(reply) {
+
+        this.connection.sendReliably('Replay.Words', {
+            name: this.name,
+            words: this.local.words,
+            reply: reply
+        });
+    }
+
+    // Private method. Handles a Replay.Words message from the peer.
+    //
+    Dictionary.prototype._receive = function(data) {
+
+        if (data.name != this.name) {
+            return;
+        }
+
+        // The peer may have sent its words before this side created its
+        // Dictionary, in which case it never heard this side's words: answer
+        // them, so both sides end up knowing each other's
+        if (!data.reply && this.connection.isReady()) {
+            this._send(true);
+        }
+
+        if (this.remote && this.remote._hash == hashWords(data.words)) {
+            return;
+        }
+
+        this.remote = new Codec(data.words);
+        this.onready(this.remote);
+    }
+
+    // Whether a float scale is one values can be quantized with
+    //
+    function isScale(scale) {
+        return typeof scale == 'number' && scale > 0 && scale <= MAX_INTEGER && Math.floor(scale) === scale;
+    }
+
+    // 32-bit FNV-1a hash of a word list, used to detect peers that disagree
+    // about the dictionary
+    //
+    function hashWords(words) {
+
+        var hash = 0x811c9dc5;
+        var text = words.join('\u0000');
+
+        for (var i = 0; i < text.length; ++i) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return hash >>> 0;
+    }
+
+    // Appends bytes to a growable buffer
+    //
+    function Writer() {
+        this.bytes = new Uint8Array(64);
+        this.length = 0;
+    }
+
+    Writer.prototype._reserve = function(count) {
+
+        if (this.length + count <= this.bytes.length) {
+            return;
+        }
+
+        var size = this.bytes.length * 2;
+        while (size < this.length + count) {
+            size *= 2;
+        }
+
+        var bytes = new Uint8Array(size);
+        bytes.set(this.bytes.subarray(0, this.length));
+        this.bytes = bytes;
+    }
+
+    Writer.prototype.byte = function(b) {
+        this._reserve(1);
+        this.bytes[this.length++] = b;
+    }
+
+    Writer.prototype.uint32 = function(n) {
+        for (var i = 0; i < 4; ++i) {
+            this.byte(n & 0xFF);
+            n >>>= 8;
+        }
+    }
+
+    // n.b. uses arithmetic instead of bit operations so values above 2^31
+    // (e.g. timestamps in microseconds) survive
+    Writer.prototype.uint = function(n) {
+        while (n >= 0x80) {
+            this.byte((n % 0x80) | 0x80);
+            n = Math.floor(n / 0x80);
+        }
+        this.byte(n);
+    }
+
+    Writer.prototype.int = function(n) {
+        this.uint(n < 0 ? -2 * n - 1 : 2 * n);
+    }
+
+    Writer.prototype.float64 = function(x) {
+        this._reserve(8);
+        new DataView(this.bytes.buffer).setFloat64(this.length, x, true);
+        this.length += 8;
+    }
+
+    Writer.prototype.string = function(str) {
+        var bytes = new TextEncoder().encode(str);
+
+        this.uint(bytes.length);
+        this._reserve(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    Writer.prototype.finish = function() {
+        return this.bytes.buffer.slice(0, this.length);
+    }
+
+    // Reads bytes written by a Writer
+    //
+    function Reader(bytes) {
+        this.bytes = bytes;
+        this.offset = 0;
+    }
+
+    Reader.prototype.byte = function() {
+        if (this.offset >= this.bytes.length) {
+            throw new Error('NZJS.Replay.Codec: unexpected end of data');
+        }
+
+        return this.bytes[this.offset++];
+    }
+
+    Reader.prototype.uint32 = function() {
+        var n = 0;
+        for (var i = 0; i < 4; ++i) {
+            n += this.byte() * Math.pow(2, 8 * i);
+        }
+        return n;
+    }
+
+    Reader.prototype.uint = function() {
+        var n = 0;
+        var scale = 1;
+        var b;
+
+        do {
+            b = this.byte();
+            n += (b & 0x7F) * scale;
+            scale *= 0x80;
+        } while (b & 0x80);
+
+        return n;
+    }
+
+    Reader.prototype.int = function() {
+        var n = this.uint();
+        return n % 2 ? -(n + 1) / 2 : n / 2;
+    }
+
+    Reader.prototype.float64 = function() {
+        if (this.offset + 8 > this.bytes.length) {
+            throw new Error('NZJS.Replay.Codec: unexpected end of data');
+        }
+
+        var view = new DataView(this.bytes.buffer, this.bytes.byteOffset);
+        var x = view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return x;
+    }
+
+    Reader.prototype.string = function() {
+        var length = this.uint();
+        if (this.offset + length > this.bytes.length) {
+            throw new Error('NZJS.Replay.Codec: unexpected end of data');
+        }
+
+        var bytes = this.bytes.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return new TextDecoder().decode(bytes);
+    }
+
+})(NZJS);
@@ -29,13 +29,32 @@
 
     NZJS.Replay = NZJS.Replay || { };
 
+    // For walking the keys of states and changelists, which can come from
+    // peers and have a 'hasOwnProperty' key of their own
+    var hasOwn = Object.prototype.hasOwnProperty;
+
+    // The number of steps per second history is timed in. Times are rounded
+    // to whole steps (microseconds) as they're recorded, so NZJS.Replay.Codec
+    // can delta encode them as integers and still give back exactly the
+    // times the record has.
+    //
+    NZJS.Replay.TimeScale = 1000000;
+
+    // Rounds a time, in seconds, to a whole number of NZJS.Replay.TimeScale
+    // steps
+    //
+    NZJS.Replay.quantizeTime = function(time) {
+        return Math.round(time * NZJS.Replay.TimeScale) / NZJS.Replay.TimeScale;
+    }
+
     // Creates a new Record object
     //
-    // diff: A function(state, state) -> [ change, change, ... ].
+    // diff: A function(state, state, time) -> [ change, change, ... ].
     //       The 'state' and 'change' objects are opaque to Record.
     //       The diff function must take two state objects and produce a list
     //       of change objects that describe how to go from the first state
-    //       object to the second.
+    //       object to the second. The time the second state is being recorded
+    //       at is passed along for diff functions that sample over time.
     //       If the two states are identical, diff() should return [ ].
     //
     // apply: A function(state, [ change, change, ... ]) -> state
@@ -51,6 +70,9 @@
     // iff      diff(state1, state2) == changelist
     // then     apply(state1, changelist) == state2
     //
+    // Record also relies on apply(state, [ ]) returning a copy of state, which
+    // it uses to hand out states that walks are free to modify.
+    //
     // walk: A function(state) -> void. The `state` object is opaque to Record.
     //       Makes any necessary modifications needed whenever a Walk through a
     //       replay record is advanced.
@@ -70,10 +92,14 @@
         this.window = window;
 
         // Each item of the array below is an object
-        // { time: <Number>, diff: <Change list> }
+        // { time: <Number>, diff: <Change list>, size: <Number>,
+        //   state: <State>, stateSize: <Number> }
         // where
         // - time is the time at which the changelist was added
         // - diff is a changelist produced by diff()
+        // - state, present only on keyframes, is the full state after the
+        //   changelist was applied (see keyframeInterval below)
+        // - size and stateSize are the estimated sizes of diff and state
         //
         this._record = [ ];
 
@@ -82,10 +108,21 @@
         //
         this._base = base || { };
 
+        // The state before anything was recorded. Snapshots of a state are
+        // sent as the changelist from this state to it.
+        //
+        this._origin = this._base;
+
         // The time the base state was recorded
         //
         this._basetime = 0.0;
 
+        // Whether the base state holds recorded history (up to and including
+        // this._basetime), rather than being the state before anything was
+        // recorded. Until it does, history at this._basetime is still new.
+        //
+        this._covered = false;
+
         // The current state, against which new changes are diffed
         //
         this._current = this._base;
@@ -98,31 +135,167 @@
         //
         this._lastpack = 0.0;
 
+        // How often, in seconds, to store a full copy of the recorded state
+        // alongside a changelist. Walks seek by starting from the nearest of
+        // these keyframes instead of from the base state, so this trades
+        // memory for seek time. Change it before recording anything.
+        //
+        this.keyframeInterval = 1.0;
+
+        // An optional function(stateA, stateB, alpha) -> state that blends
+        // two states, where alpha is 0 at stateA and 1 at stateB. alpha may
+        // be greater than 1, which means extrapolating past stateB.
+        // interpolate() must not modify either state that was passed in.
+        // Walk.sampleAt() uses this to produce states in between recorded
+        // ones; without it, sampleAt() is step-wise like advanceTo().
+        // NZJS.Replay.lerp() works for states made of plain numbers.
+        //
+        this.interpolate = null;
+
+        // An optional function(change) -> description, which unpack() calls
+        // on every packed change before storing any of them. It returns a
+        // description of the problem (e.g. 'name must be a string') if
+        // apply() can't take the change, or null if it can. Without it,
+        // unpack() only checks that changes come in changelists.
+        //
+        this.validateChange = null;
+
+        // How many seconds past the newest recorded state Walk.sampleAt() may
+        // extrapolate when the record runs dry. Samples further ahead than
+        // this hold the extrapolated state. 0 disables extrapolation.
+        //
+        this.extrapolationLimit = 0.0;
+
+        // The most memory, in estimated bytes, this record may use to store
+        // history. When recording or unpacking goes over it, the oldest
+        // history is folded into the base state early, even though it is
+        // still inside the window. 0 means there is no limit.
+        //
+        this.memoryBudget = 0;
+
+        // The estimated size in bytes of everything in this._record, and of
+        // the base state
+        //
+        this._bytes = 0;
+        this._baseBytes = estimateSize(this._base);
+
+        // Running counters reported by stats()
+        //
+        this._stats = {
+            diffs: 0,           // Number of changelists recorded
+            diffBytes: 0,       // Estimated total size of those changelists
+            applies: 0,         // Number of calls to apply()
+            applyTime: 0.0,     // Seconds spent in apply()
+            packs: [ ]          // { time, bytes } for the last PACK_HISTORY packs
+        };
+
     }
     NZJS.Replay.Record = Record;
 
+    // How many calls to pack() stats() averages over
+    var PACK_HISTORY = 60;
+
+    // Roughly estimates how many bytes of memory a state or changelist takes
+    // up. Only meant for comparing records' sizes with each other and with
+    // a memory budget.
+    //
+    function estimateSize(value) {
+
+        switch (typeof value) {
+            case 'number':  return 8;
+            case 'boolean': return 4;
+            case 'string':  return 12 + 2 * value.length;
+            case 'object':  break;
+            default:        return 0;
+        }
+
+        if (value === null) {
+            return 4;
+        }
+
+        var size = 16;
+        for (var key in value) {
+            if (hasOwn.call(value, key)) {
+                size += 8 + 2 * key.length + estimateSize(value[key]);
+            }
+        }
+
+        return size;
+    }
+
+    // A Record interpolate() implementation for plain object, array and
+    // number states: numbers are blended linearly, while everything else is
+    // taken from whichever state alpha is closer to. Angles are blended the
+    // short way around only if you store them as e.g. a direction vector.
+    //
+    function lerp(a, b, alpha) {
+
+        if (typeof a == 'number' && typeof b == 'number') {
+            return a + (b - a) * alpha;
+        }
+
+        if (!a || !b || typeof a != 'object' || typeof b != 'object' ||
+            Array.isArray(a) != Array.isArray(b)) {
+
+            return alpha < 0.5 ? a : b;
+        }
+
+        var out = Array.isArray(b) ? [ ] : { };
+        for (var key in b) {
+            if (hasOwn.call(b, key)) {
+                out[key] = hasOwn.call(a, key) ? lerp(a[key], b[key], alpha) : b[key];
+            }
+        }
+
+        return out;
+    }
+    NZJS.Replay.lerp = lerp;
+
     // Adds new history to this record. 
     // Any history older than (time - this.window) will be automatically
     // deleted before new history is appended to this object.
     //
     // state: The state to add to this state _record
     // time: The simulation time at which to add the state to the _record.
-    //       If omitted, the current time (NZJS.getTime()) is used.
+    //       If omitted, the current time (NZJS.getTime()) is used. Either way
+    //       it's rounded to a microsecond (see NZJS.Replay.quantizeTime()).
     //
     Record.prototype.record = function(state, time) {
 
         if (time === undefined || time === null) {
             time = NZJS.getTime();
         }
+        time = NZJS.Replay.quantizeTime(time);
 
-        var changes = this.diff(this._current, state);
+        var changes = this.diff(this._current, state, time);
 
         if (changes.length > 0) {
             this._curtime = time;
-            this._current = this.apply(this._current, changes);
+            this._current = this._apply(this._current, changes);
 
             this._advanceBaseTo(time - this.window);
-            this._insertEntry({ time: time, diff: changes });
+
+            var last = this._record[this._record.length - 1];
+            if (last && last.time == time) {
+
+                // Recorded twice at the same time; fold the changes into one
+                // entry, since entries are identified by their time
+                this._bytes -= last.size;
+                last.diff = last.diff.concat(changes);
+                last.size = estimateSize(last.diff);
+                this._bytes += last.size;
+
+                this._setKeyframe(last, null);
+                this._placeKeyframes(this._record.length - 1);
+            }
+            else {
+                this._insertEntry({ time: time, diff: changes });
+            }
+
+            this._stats.diffs++;
+            this._stats.diffBytes += estimateSize(changes);
+
+            this._enforceBudget();
         }
     }
 
@@ -136,9 +309,13 @@
     //        If omitted, all history recorded since the last call to pack()
     //        will be serialized.
     //
-    Record.prototype.pack = function(since) {
+    // codec: An optional NZJS.Replay.Codec. If given, history is serialized
+    //        into a compact ArrayBuffer instead of a string, which the
+    //        receiving record must unpack with an equivalent codec.
+    //
+    Record.prototype.pack = function(since, codec) {
 
-        if (since === undefined) {
+        if (since === undefined || since === null) {
             since = this._lastpack;
         }
         this._lastpack = NZJS.getTime();
@@ -152,25 +329,198 @@
             }
         }
 
-        return JSON.stringify(output);
+        return this._countPack(codec ? codec.encode(output) : JSON.stringify(output));
     }
 
     // Deserializes history and stores it in this object.
     //
-    // changes: History information generated by calling pack()
+    // Unpacking is idempotent: history this record already has (i.e. any
+    // entry recorded at the same time as one this record already has, or at
+    // or before this record's base state) is ignored, so it's safe to unpack
+    // overlapping, retransmitted or reordered packets in any order.
+    //
+    // Throws an Error describing the problem if the packed history is
+    // malformed, in which case none of it is stored. Every change is checked
+    // with this.validateChange(), if set, before anything is stored, so
+    // apply() must not throw on changes it accepts.
+    //
+    // Returns { added: <Number>, ignored: <Number> }, the number of packed
+    // entries that were stored and ignored, respectively.
+    //
+    // changes: History information generated by calling pack() (or
+    //          NZJS.Replay.Subscriber.pack()), either as a JSON string or as
+    //          binary data
+    //
+    // codec: The NZJS.Replay.Codec to decode binary data with. Not needed for
+    //        JSON strings, so peers that pack with and without a codec can
+    //        talk to each other.
     //
-    Record.prototype.unpack = function(changes) {
+    Record.prototype.unpack = function(changes, codec) {
 
-        var packed = JSON.parse(changes);
+        var packed;
+        if (NZJS.Replay.Codec.isBinary(changes)) {
+
+            if (!codec) {
+                throw new Error('NZJS.Replay.Record: a Codec is needed to unpack binary history');
+            }
+
+            packed = codec.decode(changes);
+        }
+        else if (typeof changes == 'string') {
+
+            try {
+                packed = JSON.parse(changes);
+            }
+            catch (e) {
+                throw new Error('NZJS.Replay.Record: packed history is not valid JSON (' + e.message + ')');
+            }
+        }
+        else {
+            throw new Error('NZJS.Replay.Record: packed history must be a string or binary data, not ' + typeof changes);
+        }
+
+        validatePacked(packed, this.validateChange);
+
+        var result = { added: 0, ignored: 0 };
 
         for (var i = 0; i < packed.length; ++i) {
 
+            // JSON history may come from peers that don't round their times
+            var entry = packed[i];
+            var time = NZJS.Replay.quantizeTime(entry.t);
+            var stored = entry.k ?
+                         this._resetBase(time, this._apply(this._origin, entry.k)) :
+                         !this._covers(time) && this._insertEntry({ time: time, diff: entry.d });
+
+            if (stored) {
+                ++result.added;
+            }
+            else {
+                ++result.ignored;
+            }
+        }
+
+        this._advanceBaseTo(this.latest() - this.window);
+        this._enforceBudget();
+
+        return result;
+    }
+
+    // Throws an Error if the given parsed history isn't in the format pack()
+    // produces: [ { t: <time>, d: <changelist> } or { t: <time>, k: <changelist> }, ... ],
+    // or if validateChange (see Record.validateChange) rejects a change
+    //
+    function validatePacked(packed, validateChange) {
+
+        if (!Array.isArray(packed)) {
+            throw new Error('NZJS.Replay.Record: packed history must be an array of entries');
+        }
+
+        for (var i = 0; i < packed.length; ++i) {
             var entry = packed[i];
-            this._insertEntry({ time: entry.t, diff: entry.d });
+            var where = 'NZJS.Replay.Record: packed history entry ' + i;
+
+            if (!entry || typeof entry != 'object') {
+                throw new Error(where + ' is not an object');
+            }
+            if (typeof entry.t != 'number' || !isFinite(entry.t)) {
+                throw new Error(where + ' has no valid time ("t")');
+            }
+            var changes = entry.k !== undefined ? entry.k : entry.d;
+            if (!Array.isArray(changes)) {
+                throw new Error(where + ' has no changelist ("d" or "k")');
+            }
+
+            for (var j = 0; validateChange && j < changes.length; ++j) {
+                var error = validateChange(changes[j]);
+                if (error) {
+                    throw new Error(where + ', change ' + j + ': ' + error);
+                }
+            }
+        }
+    }
+
+    // Creates a new NZJS.Replay.Subscriber, which packs this record's history
+    // for one peer at a time, tracking what that peer has acknowledged
+    //
+    Record.prototype.subscribe = function() {
+
+        return new NZJS.Replay.Subscriber(this);
+    }
+
+    // Gets the time of the newest history in this record
+    //
+    Record.prototype.latest = function() {
+
+        var last = this._record[this._record.length - 1];
+        return last ? last.time : this._basetime;
+    }
+
+    // Gets statistics about this record's memory and bandwidth use, which are
+    // useful for tuning its window. Returns an object with these properties:
+    //
+    // - entries: The number of changelists stored
+    // - keyframes: How many of those changelists have keyframes
+    // - span: The number of seconds of history stored
+    // - bytes: The estimated number of bytes of memory the history takes up,
+    //          including the base state and keyframes
+    // - packs: { count, lastBytes, averageBytes, bytesPerSecond }, describing
+    //          the sizes of the output of pack() (and of Subscriber.pack()):
+    //          the size of the last one, the average of the last few, and the
+    //          total packed during the last second
+    // - diffs: { count, averageBytes }, describing the changelists recorded
+    // - apply: { count, totalTime, averageTime }, describing the calls made
+    //          to apply() (by this record and its walks), in seconds
+    //
+    Record.prototype.stats = function() {
+
+        var stats = this._stats;
+        var now = NZJS.getTime();
+
+        var keyframes = 0;
+        for (var i = 0; i < this._record.length; ++i) {
+            if (this._record[i].state) {
+                ++keyframes;
+            }
         }
+
+        var packBytes = 0;
+        var recentBytes = 0;
+        for (var i = 0; i < stats.packs.length; ++i) {
+            var pack = stats.packs[i];
+
+            packBytes += pack.bytes;
+            if (now - pack.time <= 1.0) {
+                recentBytes += pack.bytes;
+            }
+        }
+
+        var lastPack = stats.packs[stats.packs.length - 1];
+
+        return {
+            entries: this._record.length,
+            keyframes: keyframes,
+            span: this.latest() - this._basetime,
+            bytes: this._bytes + this._baseBytes,
+            packs: {
+                count: stats.packs.length,
+                lastBytes: lastPack ? lastPack.bytes : 0,
+                averageBytes: stats.packs.length ? packBytes / stats.packs.length : 0,
+                bytesPerSecond: recentBytes
+            },
+            diffs: {
+                count: stats.diffs,
+                averageBytes: stats.diffs ? stats.diffBytes / stats.diffs : 0
+            },
+            apply: {
+                count: stats.applies,
+                totalTime: stats.applyTime,
+                averageTime: stats.applies ? stats.applyTime / stats.applies : 0
+            }
+        };
     }
 
-    // Begins a non-rewindable walk of this record's state information over
+    // Begins a walk of this record's state information over
     // time. The NZJS.Replay.Walk object returned allows you to get the
     // recorded state as it changed over time.
     //
@@ -183,46 +533,247 @@
         return new NZJS.Replay.Walk(this, start);
     }
 
+    // Calls this.apply(), keeping track of how long it takes
+    //
+    Record.prototype._apply = function(state, diff) {
+
+        var start = NZJS.getExactTime();
+        var result = this.apply(state, diff);
+
+        this._stats.applies++;
+        this._stats.applyTime += NZJS.getExactTime() - start;
+
+        return result;
+    }
+
+    // Notes the size of packed history for stats(), and returns it
+    //
+    Record.prototype._countPack = function(packed) {
+
+        var packs = this._stats.packs;
+
+        packs.push({
+            time: NZJS.getTime(),
+            bytes: typeof packed == 'string' ? packed.length : packed.byteLength
+        });
+
+        if (packs.length > PACK_HISTORY) {
+            packs.shift();
+        }
+
+        return packed;
+    }
+
     // Advances this._base to the given time, deleting old history if needed
     //
     Record.prototype._advanceBaseTo = function(time) {
 
-        if (this._record.length == 0) {
-            // Nothing to do
-            return;
+        var count = 0;
+        while (count < this._record.length && this._record[count].time < time) {
+
+            var entry = this._record[count];
+
+            this._base = entry.state || this._apply(this._base, entry.diff);
+            this._basetime = entry.time;
+            ++count;
         }
 
-        this._basetime = this._record[0].time;
+        if (count > 0) {
+            this._removeEntries(count);
+            this._baseBytes = estimateSize(this._base);
+            this._covered = true;
+        }
+    }
+
+    // Gets whether history at the given time is already included in the
+    // base state
+    //
+    Record.prototype._covers = function(time) {
+        return this._covered && time <= this._basetime;
+    }
 
-        while (this._record.length > 0 && this._record[0].time < time) {
+    // Folds the oldest history into the base state until this record fits in
+    // this.memoryBudget. The newest entry is always kept.
+    //
+    Record.prototype._enforceBudget = function() {
+
+        // The base state grows as history is folded into it, so check again
+        // after each fold
+        while (this.memoryBudget && this._record.length > 1 &&
+               this._bytes + this._baseBytes > this.memoryBudget) {
+
+            var bytes = this._bytes + this._baseBytes;
+            var count = 0;
+
+            while (bytes > this.memoryBudget && count < this._record.length - 1) {
+                var entry = this._record[count];
+
+                bytes -= entry.size + (entry.stateSize || 0);
+                ++count;
+            }
 
-            this._base = this.apply(this._base, this._record[0].diff);
-            this._record.splice(0, 1);
+            this._advanceBaseTo(this._record[count].time);
+        }
+    }
+
+    // Deletes the given number of entries from the start of this._record
+    //
+    Record.prototype._removeEntries = function(count) {
+
+        for (var i = 0; i < count; ++i) {
+            var entry = this._record[i];
+            this._bytes -= entry.size + (entry.stateSize || 0);
+        }
+
+        this._record.splice(0, count);
+    }
+
+    // Sets (or, if state is null, clears) the keyframe state of an entry
+    //
+    Record.prototype._setKeyframe = function(entry, state) {
+
+        if (entry.state) {
+            this._bytes -= entry.stateSize;
+            delete entry.state;
+            delete entry.stateSize;
+        }
+
+        if (state) {
+            entry.state = state;
+            entry.stateSize = estimateSize(state);
+            this._bytes += entry.stateSize;
+        }
+    }
+
+    // Replaces the base state with a snapshot of the state at the given time,
+    // deleting any history the snapshot already includes. Snapshots older than
+    // the current base state are ignored.
+    // Returns whether the snapshot was used.
+    //
+    Record.prototype._resetBase = function(time, state) {
+
+        if (this._covers(time)) {
+            return false;
+        }
+
+        this._removeEntries(this._indexAfter(time));
+
+        this._base = state;
+        this._basetime = time;
+        this._covered = true;
+        this._baseBytes = estimateSize(state);
+
+        // Keyframes were built on top of the old base state
+        for (var i = 0; i < this._record.length; ++i) {
+            this._setKeyframe(this._record[i], null);
+        }
+        this._placeKeyframes(0);
+
+        return true;
+    }
+
+    // Gets the index of the first entry in this._record that was recorded
+    // strictly after the given time, or this._record.length if there is none.
+    // Binary searches, so this runs in O(log n)
+    //
+    Record.prototype._indexAfter = function(time) {
+
+        var lo = 0;
+        var hi = this._record.length;
+
+        while (lo < hi) {
+            var mid = (lo + hi) >>> 1;
+
+            if (this._record[mid].time > time) {
+                hi = mid;
+            }
+            else {
+                lo = mid + 1;
+            }
+        }
+
+        return lo;
+    }
+
+    // Gets a new copy of the recorded state as of the entry at the given index
+    // in this._record, starting from the closest keyframe at or before that
+    // entry. The copy looks as if it had been walked to the entry from the
+    // entry before it (i.e. walk() sees only the entry's own changes).
+    // An index of -1 gets a copy of the base state.
+    //
+    Record.prototype._stateAt = function(index) {
+
+        var from = index;
+        while (from >= 0 && !this._record[from].state) {
+            --from;
+        }
+
+        var state = this._apply(from >= 0 ? this._record[from].state : this._base, [ ]);
+
+        for (var i = from + 1; i <= index; ++i) {
+
+            if (i == index) {
+                this.walk(state);
+            }
+
+            state = this._apply(state, this._record[i].diff);
+        }
+
+        return state;
+    }
+
+    // Stores keyframes on the entries of this._record from the given index
+    // onward, wherever at least this.keyframeInterval seconds have passed
+    // since the previous keyframe
+    //
+    Record.prototype._placeKeyframes = function(from) {
+
+        var lastTime = this._basetime;
+        for (var i = from - 1; i >= 0; --i) {
+            if (this._record[i].state) {
+                lastTime = this._record[i].time;
+                break;
+            }
+        }
+
+        for (var i = from; i < this._record.length; ++i) {
+            var entry = this._record[i];
+
+            if (entry.time - lastTime >= this.keyframeInterval) {
+                this._setKeyframe(entry, this._stateAt(i));
+                lastTime = entry.time;
+            }
         }
     }
 
     // Inserts an entry into this._record, making sure that entries are stored
-    // in order of increaing time
+    // in order of increaing time. Entries at the same time as an existing
+    // entry are duplicates, and are not inserted. (Packed entries the base
+    // state already includes are weeded out by unpack(); see _covers().)
+    // Returns whether the entry was inserted.
     //
     Record.prototype._insertEntry = function(entry) {
 
-        // Check if we can insert at the end (fast exit)
-        var last = this._record[this._record.length - 1];
-        if (last === undefined || last.time < entry.time) {
+        var index = this._indexAfter(entry.time);
+        var before = this._record[index - 1];
 
-            this._record.push(entry);
-            return;
+        if (before && before.time == entry.time) {
+            return false;
         }
 
-        // Figure out where in the _record to place the entry
-        for (var i = this._record.length - 1; i >= 0; --i) {
-            var other = this._record[i];
+        entry.size = estimateSize(entry.diff);
+        this._bytes += entry.size;
+        this._record.splice(index, 0, entry);
 
-            if (other.time > entry.time) {
-                this._record.splice(i, 0, entry);
-                return;
-            }
+        // Keyframes after an entry inserted out of order no longer include
+        // its changes, so they need to be rebuilt
+        for (var i = index + 1; i < this._record.length; ++i) {
+            this._setKeyframe(this._record[i], null);
         }
+
+        this._placeKeyframes(index);
+
+        return true;
     }
 
 })(NZJS);
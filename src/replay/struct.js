@@ -0,0 +1,393 @@
+/*
+ * struct.js
+ *
+ * Generic diff() and apply() implementations for NZJS.Replay.Record, which
+ * work on any state made of plain objects, arrays, strings, numbers, booleans
+ * and null. Use these to record entity or world state without writing custom
+ * diff code:
+ *
+ *      var record = new NZJS.Replay.StructRecord(1.0, {
+ *          pos: { '*': NZJS.Replay.quantized(0.01) },
+ *          pathCache: NZJS.Replay.ignored
+ *      });
+ *
+ *      record.record({ pos: { x: 1.0, y: 2.0 }, hp: 100, pathCache: [ ... ] });
+ *
+ * Changelists are lists of these changes, applied in order:
+ *
+ *      { op: 'set', path: [ 'pos', 'x' ], value: 1.5 }
+ *      { op: 'del', path: [ 'target' ] }
+ *      { op: 'splice', path: [ 'squad' ], index: 2, remove: 1, items: [ ... ] }
+ *
+ * where each path lists the object keys (strings) and array indices (numbers)
+ * leading from the root of the state to the value being changed.
+ *
+ * Schemas describe how parts of the state are recorded. A schema is one of:
+ *
+ * - NZJS.Replay.ignored: the value is never recorded. Ignored fields are left
+ *   out of recorded states entirely.
+ * - NZJS.Replay.quantized(step): numbers are rounded to the nearest multiple
+ *   of step before being recorded, and only changes that survive rounding
+ *   are recorded.
+ * - A plain object mapping keys to schemas for the keys of an object value.
+ *   The special key '*' applies to every key (or array item) that has no
+ *   schema of its own.
+ * - undefined: the value is recorded exactly.
+ *
+ * Apart from ignored fields and rounding, diffs maintain the Record invariant:
+ *
+ *      applyStructDiff(a, diffStructs(a, b, schema)) == b
+ */
+
+;(function(NZJS) {
+    'use strict';
+
+    NZJS.Replay = NZJS.Replay || { };
+
+    // States can come from peers, and their objects can have a
+    // 'hasOwnProperty' key of their own
+    var hasOwn = Object.prototype.hasOwnProperty;
+
+    // Schema for values that are never recorded
+    //
+    var ignored = { };
+    NZJS.Replay.ignored = ignored;
+
+    // Schema for numbers that are rounded to a multiple of step
+    //
+    function Quantized(step) {
+        this.step = step;
+    }
+
+    NZJS.Replay.quantized = function(step) {
+        return new Quantized(step);
+    }
+
+    // Gets the schema for the child of a value at the given key
+    //
+    function childSchema(schema, key) {
+
+        if (!schema || schema === ignored || schema instanceof Quantized) {
+            return undefined;
+        }
+
+        return hasOwn.call(schema, key) ? schema[key] : schema['*'];
+    }
+
+    function isObject(value) {
+        return value !== null && typeof value == 'object' && !Array.isArray(value);
+    }
+
+    // Gets a deep copy of a value, with ignored fields left out and numbers
+    // rounded as the schema says
+    //
+    function prepare(value, schema) {
+
+        if (schema instanceof Quantized && typeof value == 'number') {
+            return Math.round(value / schema.step) * schema.step;
+        }
+
+        if (Array.isArray(value)) {
+            var array = [ ];
+            for (var i = 0; i < value.length; ++i) {
+                array.push(prepare(value[i], childSchema(schema, i)));
+            }
+            return array;
+        }
+
+        if (isObject(value)) {
+            var obj = { };
+            for (var key in value) {
+                if (hasOwn.call(value, key)) {
+
+                    var child = childSchema(schema, key);
+                    if (child !== ignored) {
+                        obj[key] = prepare(value[key], child);
+                    }
+                }
+            }
+            return obj;
+        }
+
+        return value;
+    }
+
+    // Deep equality for prepared values
+    //
+    function equal(a, b) {
+
+        if (a === b) {
+            return true;
+        }
+
+        if (Array.isArray(a) && Array.isArray(b)) {
+            if (a.length != b.length) {
+                return false;
+            }
+
+            for (var i = 0; i < a.length; ++i) {
+                if (!equal(a[i], b[i])) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        if (isObject(a) && isObject(b)) {
+            var keys = Object.keys(a);
+            if (keys.length != Object.keys(b).length) {
+                return false;
+            }
+
+            for (var i = 0; i < keys.length; ++i) {
+                if (!hasOwn.call(b, keys[i]) || !equal(a[keys[i]], b[keys[i]])) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        return false;
+    }
+
+    function diffValues(a, b, schema, path, out) {
+
+        if (schema === ignored) {
+            return;
+        }
+
+        if (isObject(a) && isObject(b)) {
+            diffObjects(a, b, schema, path, out);
+        }
+        else if (Array.isArray(a) && Array.isArray(b)) {
+            diffArrays(a, b, schema, path, out);
+        }
+        else {
+            var value = prepare(b, schema);
+            if (!equal(a, value)) {
+                out.push({ op: 'set', path: path.slice(), value: value });
+            }
+        }
+    }
+
+    function diffObjects(a, b, schema, path, out) {
+
+        for (var key in a) {
+            if (hasOwn.call(a, key) && !hasOwn.call(b, key) &&
+                childSchema(schema, key) !== ignored) {
+
+                out.push({ op: 'del', path: path.concat([ key ]) });
+            }
+        }
+
+        for (var key in b) {
+            if (hasOwn.call(b, key)) {
+
+                var child = childSchema(schema, key);
+                path.push(key);
+
+                if (child === ignored) {
+                    // Nothing to record
+                }
+                else if (!hasOwn.call(a, key)) {
+                    out.push({ op: 'set', path: path.slice(), value: prepare(b[key], child) });
+                }
+                else {
+                    diffValues(a[key], b[key], child, path, out);
+                }
+
+                path.pop();
+            }
+        }
+    }
+
+    // Arrays of the same length are diffed item by item. Otherwise, the items
+    // between the longest common prefix and suffix are replaced with a single
+    // splice.
+    //
+    function diffArrays(a, b, schema, path, out) {
+
+        if (a.length == b.length) {
+            for (var i = 0; i < a.length; ++i) {
+                path.push(i);
+                diffValues(a[i], b[i], childSchema(schema, i), path, out);
+                path.pop();
+            }
+            return;
+        }
+
+        var items = prepare(b, schema);
+        var shortest = Math.min(a.length, items.length);
+
+        var prefix = 0;
+        while (prefix < shortest && equal(a[prefix], items[prefix])) {
+            ++prefix;
+        }
+
+        var suffix = 0;
+        while (suffix < shortest - prefix &&
+               equal(a[a.length - 1 - suffix], items[items.length - 1 - suffix])) {
+            ++suffix;
+        }
+
+        out.push({
+            op: 'splice',
+            path: path.slice(),
+            index: prefix,
+            remove: a.length - prefix - suffix,
+            items: items.slice(prefix, items.length - suffix)
+        });
+    }
+
+    // A NZJS.Replay.Record diff() implementation for plain object states.
+    // Produces a changelist from a to b, leaving out what the schema ignores.
+    //
+    function diffStructs(a, b, schema) {
+
+        var out = [ ];
+        diffValues(a, b, schema, [ ], out);
+        return out;
+    }
+    NZJS.Replay.diffStructs = diffStructs;
+
+    // Gets a shallow copy of an object or array
+    //
+    function shallowCopy(value) {
+
+        if (Array.isArray(value)) {
+            return value.slice();
+        }
+
+        var copy = { };
+        for (var key in value) {
+            if (hasOwn.call(value, key)) {
+                copy[key] = value[key];
+            }
+        }
+        return copy;
+    }
+
+    // A NZJS.Replay.Record apply() implementation for the output of
+    // diffStructs(). Doesn't modify state: objects and arrays along the path
+    // of each change are copied, and the rest of the new state is shared with
+    // the old one. An empty changelist produces a deep copy of the state.
+    //
+    function applyStructDiff(state, diff) {
+
+        if (diff.length == 0) {
+            return prepare(state, undefined);
+        }
+
+        // The objects/arrays copied so far, which are safe to modify
+        var copies = [ ];
+
+        function writable(value) {
+            if (copies.indexOf(value) >= 0) {
+                return value;
+            }
+
+            var copy = shallowCopy(value);
+            copies.push(copy);
+            return copy;
+        }
+
+        var root = { value: state };
+
+        for (var i = 0; i < diff.length; ++i) {
+            var change = diff[i];
+            var path = [ 'value' ].concat(change.path);
+
+            // Copy each container on the way down to the changed value
+            var parent = root;
+            for (var j = 0; j < path.length - 1; ++j) {
+                parent[path[j]] = writable(parent[path[j]]);
+                parent = parent[path[j]];
+            }
+
+            var key = path[path.length - 1];
+
+            if (change.op == 'set') {
+                parent[key] = change.value;
+            }
+            else if (change.op == 'del') {
+                delete parent[key];
+            }
+            else if (change.op == 'splice') {
+                var array = parent[key] = writable(Array.isArray(parent[key]) ? parent[key] : [ ]);
+                array.splice.apply(array, [ change.index, change.remove ].concat(change.items));
+            }
+        }
+
+        return root.value;
+    }
+    NZJS.Replay.applyStructDiff = applyStructDiff;
+
+    function isCount(value) {
+        return typeof value == 'number' && Math.floor(value) === value && value >= 0;
+    }
+
+    // A NZJS.Replay.Record validateChange() implementation for the changes
+    // diffStructs() makes. Path keys that would reach an object's prototype
+    // are rejected along with malformed changes.
+    //
+    function checkStructChange(change) {
+
+        if (!change || typeof change != 'object' || !Array.isArray(change.path)) {
+            return 'not a change with a path';
+        }
+
+        for (var i = 0; i < change.path.length; ++i) {
+            var key = change.path[i];
+
+            if (typeof key == 'string' ? key == '__proto__' : !isCount(key)) {
+                return 'bad path key ' + JSON.stringify(key);
+            }
+        }
+
+        switch (change.op) {
+            case 'set':
+                return hasOwn.call(change, 'value') ? null : 'set without a value';
+
+            case 'del':
+                return change.path.length > 0 ? null : 'del without a path';
+
+            case 'splice':
+                return isCount(change.index) && isCount(change.remove) && Array.isArray(change.items) ?
+                       null : 'splice needs an index, a remove count and items';
+        }
+
+        return 'unknown op ' + JSON.stringify(change.op);
+    }
+
+    // A NZJS.Replay.Record for plain object states, diffed structurally
+    //
+    // window: The number of seconds of history to maintain (see
+    //         NZJS.Replay.Record)
+    // schema: An optional schema for the states (see the top of this file)
+    // base: The base state at which to begin. If omitted, { } is used.
+    //
+    function StructRecord(window, schema, base) {
+
+        NZJS.Replay.Record.call(this,
+            function(a, b) { return diffStructs(a, b, schema); },
+            applyStructDiff,
+            function(state) { },
+            window,
+            prepare(base || { }, schema)
+            );
+
+        this.schema = schema;
+        this.validateChange = checkStructChange;
+    }
+
+    NZJS.Replay.StructRecord = StructRecord;
+    StructRecord.prototype = new NZJS.Replay.Record();
+
+    // Dictionary words for an NZJS.Replay.Codec that packs structural
+    // changelists compactly. Add your states' own keys after these.
+    //
+    NZJS.Replay.structCodecWords = [
+        'op', 'path', 'value', 'index', 'remove', 'items', 'set', 'del', 'splice'
+    ];
+
+})(NZJS);
@@ -0,0 +1,110 @@
+/*
+ * subscriber.js
+ *
+ * Streams the history in one NZJS.Replay.Record to one peer. Create one
+ * subscriber per peer by calling subscribe() on the record:
+ *
+ *      var sub = worldRecord.subscribe();
+ *
+ * Each time you send the peer an update, pack everything the peer hasn't
+ * acknowledged yet:
+ *
+ *      connection.send('WorldState', sub.pack());
+ *
+ * The peer unpacks the update into its own record and replies with the time of
+ * the newest history it has (record.latest()), which you pass to ack():
+ *
+ *      sub.ack(time);
+ *
+ * Over a connection's unreliable channel, the transport can acknowledge the
+ * update for you instead (see src/transport/connection.js):
+ *
+ *      var time = worldRecord.latest();
+ *      connection.send('WorldState', sub.pack(), {
+ *          onAcked: function() { sub.ack(time); }
+ *      });
+ *
+ * Until the peer acknowledges some history, every update includes it again, so
+ * updates lost in transit (or acknowledgements lost on the way back) are
+ * made up for by the next update. If the peer falls so far behind that the
+ * history it needs has already left the record's window, the update starts
+ * with a snapshot of the record's oldest state instead.
+ */
+
+;(function(NZJS) {
+    'use strict';
+
+    NZJS.Replay = NZJS.Replay || { };
+
+    // Creates a new Subscriber object. Generally you call
+    // NZJS.Replay.Record.subscribe() instead of creating these manually.
+    //
+    // record: The NZJS.Replay.Record to pack history from
+    //
+    function Subscriber(record) {
+
+        this.record = record;
+
+        // The time of the newest history the peer has acknowledged, or null
+        // if it hasn't acknowledged anything
+        //
+        this.acked = null;
+    }
+    NZJS.Replay.Subscriber = Subscriber;
+
+    // Serializes all of the record's history the peer hasn't acknowledged.
+    // The output can be passed to NZJS.Replay.Record.unpack() on the peer.
+    // Once the peer has acknowledged everything, the output holds no
+    // history, which unpack() accepts all the same.
+    //
+    // codec: An optional NZJS.Replay.Codec (see NZJS.Replay.Record.pack())
+    //
+    Subscriber.prototype.pack = function(codec) {
+
+        var record = this.record;
+        var output = [ ];
+        var since = this.acked;
+
+        if (!record._covered) {
+
+            // Nothing has been folded into the base state yet, so all of the
+            // history the peer hasn't acknowledged is still in the record.
+            // History at the base time isn't part of the base state, so an
+            // ack of that time (e.g. record.latest() of an empty record)
+            // doesn't cover it.
+            if (since === null || since <= record._basetime) {
+                since = -Infinity;
+            }
+        }
+        else if (since === null || since < record._basetime) {
+
+            // The peer needs history that's been folded into the base state,
+            // so send the base state in full
+            output.push({
+                t: record._basetime,
+                k: record.diff(record._origin, record._base)
+            });
+
+            since = record._basetime;
+        }
+
+        for (var i = record._indexAfter(since); i < record._record.length; ++i) {
+            var entry = record._record[i];
+
+            output.push({ t: entry.time, d: entry.diff });
+        }
+
+        return record._countPack(codec ? codec.encode(output) : JSON.stringify(output));
+    }
+
+    // Marks all history up to and including the given time as received by
+    // the peer, so later calls to pack() leave it out
+    //
+    Subscriber.prototype.ack = function(time) {
+
+        if (this.acked === null || time > this.acked) {
+            this.acked = time;
+        }
+    }
+
+})(NZJS);
@@ -5,9 +5,17 @@
  * get the recorded state over time. You can advance a walk at any rate you
  * want; the walk does not have to occur in real time.
  *
- * You may not rewind a walk: once advanced to a given time, you cannot query
- * the same walk object for a time before the time currently advanced to.
- * Instead, you must start a new walk using NZJS.Replay.Record.getWalk().
+ * Walks can also seek to any time within the record's window, forward or
+ * backward. Seeking starts from the nearest keyframe the record stored at or
+ * before the target time (see NZJS.Replay.Record.keyframeInterval), so it
+ * costs O(log n + k), where k is the number of changes recorded between
+ * keyframes. Advancing a walk forward costs O(log n + k) as well, where k is
+ * the number of changes being advanced over.
+ *
+ * Walk states are step-wise: they change only when a recorded change is
+ * reached. To draw smoothly between recorded states (e.g. at a higher rate
+ * than the record was made at), give the record an interpolate() function and
+ * use sampleAt().
  *
  * Walks internally store a reference to the record data structure. This means
  * that if you store new data in the record that was used to start a walk,
@@ -29,40 +37,154 @@
 
         // The current state of this walk
         //
-        this.state = this._record._base;
+        this.state = this._record._apply(this._record._base, [ ]);
+
+        // The current time position of this walk. Until the record's base
+        // state includes recorded history, history at its base time hasn't
+        // been applied yet, so the walk starts before it.
+        //
+        this.time = this._record._covered ? this._record._basetime : -Infinity;
 
-        // The current time position of this walk
+        // Running counters reported by stats()
         //
-        this.time = this._record._basetime;
+        this._stats = {
+            applied: 0,         // Number of changelists applied
+            seeks: 0,           // Number of calls to seek()
+            busyTime: 0.0       // Seconds spent advancing and seeking
+        };
 
         this.advanceTo(start);
     }
     NZJS.Replay.Walk = Walk;
 
-    // Advances this walk to the given time. It is an error to pass a time
-    // earlier than this.time
+    // Advances this walk to the given time, applying every change recorded
+    // after this.time, up to and including the given time. Passing a time
+    // earlier than this.time is the same as calling seek()
     //
     Walk.prototype.advanceTo = function(time) {
 
         if (time < this.time) {
-            throw new Error('You cannot rewind a Walk');
+            this.seek(time);
+            return;
         }
 
-        this._record.walk(this.state);
+        var record = this._record;
+        var entries = record._record;
+        var start = NZJS.getExactTime();
 
-        for (var i = 0; i < this._record._record.length; ++i) {
-            var entry = this._record._record[i];
+        record.walk(this.state);
+
+        for (var i = record._indexAfter(this.time); i < entries.length; ++i) {
+            var entry = entries[i];
 
             if (entry.time > time) {
                 // Advanced as far as we need to
                 break;
             }
-            else if (entry.time > this.time) {
-                this.state = this._record.apply(this.state, entry.diff);
-            }
+
+            this.state = record._apply(this.state, entry.diff);
+            this._stats.applied++;
+        }
+
+        this.time = time;
+        this._stats.busyTime += NZJS.getExactTime() - start;
+    }
+
+    // Moves this walk to the given time, which may be before or after
+    // this.time. The resulting state is the state as of the last change
+    // recorded at or before the given time, as if the walk had been advanced
+    // to that change from the one before it. If the time is older than the
+    // record's history, the record's oldest known state is used.
+    //
+    Walk.prototype.seek = function(time) {
+
+        var record = this._record;
+        var index = record._indexAfter(time) - 1;
+        var start = NZJS.getExactTime();
+
+        this.state = record._stateAt(index);
+        if (index < 0) {
+            record.walk(this.state);
         }
 
         this.time = time;
+        this._stats.seeks++;
+        this._stats.busyTime += NZJS.getExactTime() - start;
+    }
+
+    // Moves this walk to the given time (see advanceTo()) and returns the
+    // state there, blended between the recorded states before and after the
+    // time using the record's interpolate() function. Past the newest
+    // recorded state, the last two recorded states are extrapolated for up to
+    // the record's extrapolationLimit seconds.
+    //
+    // Returns this.state if the record has no interpolate() function or there
+    // is nothing to blend with. Either way, do not modify the returned state.
+    //
+    Walk.prototype.sampleAt = function(time) {
+
+        this.advanceTo(time);
+
+        var record = this._record;
+        var entries = record._record;
+
+        if (!record.interpolate) {
+            return this.state;
+        }
+
+        var index = record._indexAfter(time);
+        var prevTime = index > 0 ? entries[index - 1].time : record._basetime;
+
+        if (index < entries.length) {
+
+            var next = entries[index];
+            var alpha = (time - prevTime) / (next.time - prevTime);
+
+            return record.interpolate(this.state, record._apply(this.state, next.diff), alpha);
+        }
+
+        // The record ran dry; extrapolate from the last two recorded states
+        var last = entries[index - 1];
+        if (!last || record.extrapolationLimit <= 0 || time <= last.time) {
+            return this.state;
+        }
+
+        var beforeTime = index > 1 ? entries[index - 2].time : record._basetime;
+        if (beforeTime >= last.time) {
+            return this.state;
+        }
+
+        // The state before the last one doesn't change until new history
+        // arrives, so only rebuild it when the record changes
+        if (this._dryEntry !== last || this._dryLength !== entries.length) {
+            this._dryEntry = last;
+            this._dryLength = entries.length;
+            this._dryState = record._stateAt(index - 2);
+        }
+
+        var ahead = Math.min(time - last.time, record.extrapolationLimit);
+        return record.interpolate(this._dryState, this.state,
+                                  1.0 + ahead / (last.time - beforeTime));
+    }
+
+    // Gets statistics about the work this walk has done. Returns an object
+    // with these properties:
+    //
+    // - time: The time this walk is at
+    // - applied: The number of changelists applied while advancing
+    // - seeks: The number of times seek() was called
+    // - busyTime: The number of seconds spent advancing and seeking
+    //
+    // See NZJS.Replay.Record.stats() for the cost of the apply() calls.
+    //
+    Walk.prototype.stats = function() {
+
+        return {
+            time: this.time,
+            applied: this._stats.applied,
+            seeks: this._stats.seeks,
+            busyTime: this._stats.busyTime
+        };
     }
 
 })(NZJS);
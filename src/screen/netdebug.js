@@ -1,18 +1,170 @@
 /*
  * netdebug.js
  *
- * A screen implementation for initial network debugging
+ * A screen implementation for initial network debugging.
+ *
+ * Pings back and forth over a pair of local connections, and shows the
+ * quality of the link (see NZJS.Transport.Connection.stats()) in an overlay
+ * on top of the canvas.
+ *
+ * The link goes through a network simulator (NZJS.Transport.
+ * SimulatedConnection), whose settings apply both ways and can be changed
+ * with these keys:
+ *
+ * - Q/A: latency +/- 10 ms
+ * - W/S: jitter +/- 5 ms
+ * - E/D: loss +/- 1 %
+ * - R/F: duplication +/- 1 %
+ * - T/G: reordering +/- 1 %
+ * - Y/H: bandwidth x2 / x0.5 (doubling past 1 MB/s makes it unlimited)
+ * - Backspace: back to a perfect link
+ *
+ * A bad enough link makes the connections time out and close (local
+ * connections don't reconnect); Backspace then makes a new pair.
+ *
+ * The simulator's seed is NZJS.Config.NetDebugSeed, if set, so runs with
+ * the same settings can be reproduced.
  */
 
-(function(NZJS) {
+(function(NZJS, document) {
     'use strict';
 
+    // How many pings to send per second
+    var PING_RATE = 20;
+
+    // How often to refresh the overlay, in seconds
+    var OVERLAY_INTERVAL = 0.25;
+
+    // The simulator settings the keys change: the keys that raise and lower
+    // each setting, by how much, and its lowest and highest values
+    var CONTROLS = [
+        { setting: 'latency', up: 'q', down: 'a', step: 0.01, min: 0.0, max: 2.0 },
+        { setting: 'jitter', up: 'w', down: 's', step: 0.005, min: 0.0, max: 1.0 },
+        { setting: 'loss', up: 'e', down: 'd', step: 1, min: 0, max: 100 },
+        { setting: 'duplicate', up: 'r', down: 'f', step: 1, min: 0, max: 100 },
+        { setting: 'reorder', up: 't', down: 'g', step: 1, min: 0, max: 100 }
+    ];
+
+    // Bandwidth caps, in bytes per second: the one the first halving from
+    // unlimited gives, and the largest one before doubling makes it unlimited
+    var FIRST_BANDWIDTH = 65536;
+    var MAX_BANDWIDTH = 1048576;
+
+    NZJS.Transport.defineMessage('NetDebug.Ping', {
+        type: 'object',
+        fields: {
+            n: { type: 'integer', min: 0 }
+        }
+    });
+
+    // For hostileMessageTest()
+    NZJS.Transport.defineMessage('NetDebug.Test', {
+        type: 'object',
+        fields: {
+            n: { type: 'integer', optional: true }
+        }
+    });
+
+    // For messageTest()
+    NZJS.Transport.defineMessage('NetDebug.Schema', {
+        maxSize: 256,
+        type: 'object',
+        fields: {
+            team: { type: 'integer', min: 0, max: 3 },
+            name: { type: 'string', maxLength: 8 },
+            mode: { type: 'string', values: [ 'ffa', 'ctf' ], optional: true },
+            path: { type: 'array', maxLength: 2, items: { type: 'number' }, optional: true }
+        }
+    });
+
     function NetDebugScreen(screens) {
         this.screens = screens;
+
+        // The local connection pair the pings go over. The first goes
+        // through the simulator.
+        this.connections = null;
+        this.simulator = null;
+
+        var controls = new NZJS.Input.State();
+        CONTROLS.forEach(function(control) {
+            controls.addButton(control.setting + 'Up', NZJS.Input.key(control.up));
+            controls.addButton(control.setting + 'Down', NZJS.Input.key(control.down));
+        });
+        controls.addButton('bandwidthUp', NZJS.Input.key('y'));
+        controls.addButton('bandwidthDown', NZJS.Input.key('h'));
+        controls.addButton('reset', NZJS.Input.key('backspace'));
+        this.input = new NZJS.Input.Context(controls);
+
+        // What's become of the link, for the overlay
+        this._status = 'connecting';
+
+        this._pings = 0;
+        this._sinceOverlay = 0.0;
+        this._pending = 0.0;
+        this._overlay = null;
     }
     NZJS.Screens = NZJS.Screens || { };
     NZJS.Screens.NetDebug = NetDebugScreen;
 
+    // Creates the element that shows link quality over the canvas, or
+    // returns null if there's no DOM to put it in (e.g. when headless)
+    //
+    function createOverlay() {
+
+        if (!document.createElement || !document.body) {
+            return null;
+        }
+
+        var overlay = document.createElement('pre');
+        overlay.style.position = 'absolute';
+        overlay.style.left = '8px';
+        overlay.style.top = '8px';
+        overlay.style.margin = '0';
+        overlay.style.padding = '4px 8px';
+        overlay.style.color = '#fff';
+        overlay.style.background = 'rgba(0, 0, 0, 0.5)';
+        overlay.style.font = '12px monospace';
+        overlay.style.pointerEvents = 'none';
+
+        document.body.appendChild(overlay);
+        return overlay;
+    }
+
+    // Formats a connection's link quality for the overlay
+    //
+    function describeLink(stats) {
+
+        function ms(seconds) {
+            return seconds === null ? '-' : (seconds * 1000.0).toFixed(1) + ' ms';
+        }
+
+        return 'rtt     ' + ms(stats.rtt) + '\n' +
+               'jitter  ' + ms(stats.jitter) + '\n' +
+               'loss    ' + (stats.loss * 100.0).toFixed(1) + ' %\n' +
+               'sent    ' + stats.sent + ' (' + stats.acked + ' acked, ' +
+                            stats.lost + ' lost, ' + stats.pending + ' pending)\n' +
+               'recv    ' + stats.received;
+    }
+
+    // Formats the simulator's settings and counters for the overlay
+    //
+    function describeSimulator(simulator) {
+
+        var link = simulator.settings.out.unreliable;
+        var simulated = simulator.simulated;
+        var bandwidth = link.bandwidth > 0 ? (link.bandwidth / 1024).toFixed(0) + ' KB/s' : 'unlimited';
+
+        return 'simulating (seed ' + simulator.random.seed + ')\n' +
+               '  latency    ' + (link.latency * 1000.0).toFixed(0) + ' ms   [Q/A]\n' +
+               '  jitter     ' + (link.jitter * 1000.0).toFixed(0) + ' ms   [W/S]\n' +
+               '  loss       ' + link.loss + ' %   [E/D]\n' +
+               '  duplicate  ' + link.duplicate + ' %   [R/F]\n' +
+               '  reorder    ' + link.reorder + ' %   [T/G]\n' +
+               '  bandwidth  ' + bandwidth + '   [Y/H]\n' +
+               '  dropped ' + simulated.dropped + ', duplicated ' + simulated.duplicated +
+               ', reordered ' + simulated.reordered + '   [Backspace resets]';
+    }
+
     function recordTest() {
 
         /*
@@ -62,7 +214,9 @@
         state.axes['a2'].value = 0.9;
         record.record(state, 0.3);
 
-        otherRecord.unpack(record.pack(0.1));
+        // Overlaps the previous pack() at t=0.1, which should be ignored
+        var result = otherRecord.unpack(record.pack(0.1));
+        if (result.added != 2 || result.ignored != 1) throw new Error();
 
         state.buttons['b1'].wasDown = true;
         state.buttons['b2'].wasDown = false;
@@ -171,14 +325,1569 @@
         if (state.value('a2') != 1.0) throw new Error();
     }
 
+    function keyframeTest() {
+
+        // States are { v: <Number> }, and changelists the new v
+        function diff(a, b) {
+            return a.v === b.v ? [ ] : [ b.v ];
+        }
+
+        function apply(state, changes) {
+            var out = { v: state.v };
+            changes.forEach(function(v) { out.v = v; });
+            return out;
+        }
+
+        var record = new NZJS.Replay.Record(diff, apply, function(state) { }, 100.0, { v: 0 });
+        record.keyframeInterval = 0.5;
+        for (var i = 1; i <= 300; ++i) {
+            record.record({ v: i }, i / 100);
+        }
+
+        if (record.stats().keyframes != 6) throw new Error();
+
+        // Seeking either way finds the last state at or before the time,
+        // starting from the nearest keyframe
+        var walk = record.beginWalk(0.0);
+        var times = [ 1.505, 0.205, 2.995, 3.0, 0.005, 1.0, 2.5 ];
+        for (var i = 0; i < times.length; ++i) {
+            var applies = record.stats().apply.count;
+
+            walk.seek(times[i]);
+            if (walk.state.v != Math.floor(times[i] * 100 + 1e-9)) throw new Error();
+            if (record.stats().apply.count - applies > 51) throw new Error();
+        }
+
+        // Advancing backward seeks; forward applies only what's in between
+        walk.advanceTo(1.0);
+        if (walk.state.v != 100 || walk.stats().seeks != times.length + 1) throw new Error();
+
+        var applied = walk.stats().applied;
+        walk.advanceTo(1.1);
+        if (walk.state.v != 110 || walk.stats().applied - applied != 10) throw new Error();
+
+        // Times before the record's history give its oldest state
+        walk.seek(-1.0);
+        if (walk.state.v != 0) throw new Error();
+
+        // Keyframes stay right when history arrives out of order
+        record._insertEntry({ time: 1.555, diff: [ -5 ] });
+        walk.seek(1.557);
+        if (walk.state.v != -5) throw new Error();
+        walk.seek(2.2);
+        if (walk.state.v != 220) throw new Error();
+    }
+
+    function policyTest() {
+
+        function near(a, b) {
+            return Math.abs(a - b) < 1e-9;
+        }
+
+        var state = new NZJS.Input.State();
+        state.addAxis('a', new NZJS.Input.AxisSnapshot(0.0));
+        state.addAxis('s', new NZJS.Input.AxisSnapshot(0.0));
+        state.addButton('hasOwnProperty', new NZJS.Input.ButtonSnapshot(false, false, false));
+
+        var record = new NZJS.Input.Record(10.0, {
+            a: { interval: 1.0 },
+            s: { step: 0.5, threshold: 0.5 }
+        });
+
+        // a rises to a peak at t=0.3 and turns around; s only moves far
+        // enough to record once
+        var a = [ 0, 1, 2, 3, 2, 1 ];
+        var s = [ 0, 0.2, 0.7, 1.2, 1.3, 1.3 ];
+        for (var i = 0; i < a.length; ++i) {
+            state.axes['a'].value = a[i];
+            state.axes['s'].value = s[i];
+            state.buttons['hasOwnProperty'].wasDown = i % 2 == 1;
+            record.record(state, i / 10);
+        }
+
+        // Nothing between samples was recorded, but the peak was, at the
+        // time it was polled, along with the value after it
+        var walk = record.beginWalk(0.0);
+        var expected = [ [ 0.15, 1.5 ], [ 0.3, 3 ], [ 0.35, 2.5 ], [ 0.4, 2 ] ];
+        for (var i = 0; i < expected.length; ++i) {
+            walk.advanceTo(expected[i][0]);
+            if (!near(record.valueAt(walk, 'a'), expected[i][1])) throw new Error();
+        }
+
+        walk = record.beginWalk(0.5);
+        if (walk.state.value('a') != 2) throw new Error();
+
+        // Rounded to the step, and only once it moved past the threshold
+        if (walk.state.value('s') != 1.0) throw new Error();
+        if (record.beginWalk(0.25).state.value('s') != 0.0) throw new Error();
+
+        // Buttons named after Object.prototype methods are recorded too
+        if (!walk.state.down('hasOwnProperty')) throw new Error();
+        if (record.beginWalk(0.45).state.down('hasOwnProperty')) throw new Error();
+    }
+
+    function replayTest() {
+
+        var state = new NZJS.Input.State();
+        state.addButton('constructor', new NZJS.Input.ButtonSnapshot(false, false, false));
+        state.addAxis('a', new NZJS.Input.AxisSnapshot(0.0));
+
+        // The button is tapped between 0.1 and 0.2
+        var record = new NZJS.Input.Record(10.0);
+        var downs = [ false, true, false, false ];
+        for (var i = 0; i < downs.length; ++i) {
+            state.buttons['constructor'].wasDown = downs[i];
+            state.axes['a'].value = i;
+            record.record(state, i / 10);
+        }
+
+        // The first state has no edges
+        var now = 0.0;
+        var replay = record.beginReplay(0.0, function() { return now; });
+        if (replay.down('constructor') || replay.pressed('constructor') || replay.value('a') != 0) throw new Error();
+
+        // Taps shorter than a tick are still pressed, and reported as events
+        now = 0.25;
+        replay = replay.pollNext();
+        if (!replay.down('constructor') || !replay.pressed('constructor')) throw new Error();
+        if (replay.value('a') != 2 || replay.events.length != 4) throw new Error();
+
+        replay = replay.stateAt(0.35);
+        if (replay.down('constructor') || !replay.released('constructor')) throw new Error();
+        if (!replay.finished()) throw new Error();
+
+        // Seeking back has no edges either
+        replay = replay.stateAt(0.15);
+        if (!replay.down('constructor') || replay.pressed('constructor')) throw new Error();
+        if (replay.value('a') != 1 || replay.events.length != 0) throw new Error();
+    }
+
+    function replayFileTest() {
+
+        var state = new NZJS.Input.State();
+        state.addButton('fire', new NZJS.Input.ButtonSnapshot(false, false, false));
+
+        var record = new NZJS.Input.Record(10.0);
+        for (var i = 0; i < 4; ++i) {
+            state.buttons.fire.wasDown = i % 2 == 1;
+            record.record(state, i / 10);
+        }
+
+        var replay = new NZJS.Debug.Replay({ map: 'arena', seed: 42 });
+        replay.addPlayer('p1', 'Alice', record);
+
+        // Replay files read back as they were written
+        var text = replay.serialize();
+        var parsed = NZJS.Debug.Replay.parse(text);
+        if (parsed.map != 'arena' || parsed.seed != 42 || parsed.players[0].name != 'Alice') throw new Error();
+        if (parsed.records.p1.latest() !== record.latest()) throw new Error();
+        if (JSON.stringify(parsed.span()) != JSON.stringify(replay.span())) throw new Error();
+
+        // Bad players are caught when parsing, naming the player
+        function rejects(edit, message) {
+            var data = JSON.parse(text);
+            edit(data);
+            try {
+                NZJS.Debug.Replay.parse(JSON.stringify(data));
+            }
+            catch (e) {
+                return e.message.indexOf(message) >= 0;
+            }
+            return false;
+        }
+
+        if (!rejects(function(data) { data.players[0] = 'p1'; }, 'player 0 is not an object')) throw new Error();
+        if (!rejects(function(data) { delete data.players[0].name; }, 'player 0 has no name')) throw new Error();
+        if (!rejects(function(data) { data.players[0].id = { }; }, 'player 0 has no valid id')) throw new Error();
+        if (!rejects(function(data) { data.players.push(data.players[0]); }, 'player 1 has the same id')) throw new Error();
+        if (!rejects(function(data) { data.players[0].id = 'constructor'; }, 'no input record for player constructor')) throw new Error();
+        if (!rejects(function(data) { data.records.p1 = '[{"t":1,"d":[{"type":"btn"}]}]'; },
+                     'bad input record for player p1')) throw new Error();
+    }
+
+    function keyTest() {
+
+        var spec = NZJS.Input.keySpec('A');
+        if (spec.codes.join() != '65' || spec.location !== undefined) throw new Error();
+
+        spec = NZJS.Input.keySpec('RShift');
+        if (spec.codes.join() != '16' || spec.location != 2 || spec.modifier != 'shiftKey') throw new Error();
+
+        // Names that aren't keys throw, even ones Object.prototype has
+        var names = [ 'f13', 'constructor', '__proto__', 'toString' ];
+        for (var i = 0; i < names.length; ++i) {
+            try {
+                NZJS.Input.keySpec(names[i]);
+            }
+            catch (e) {
+                continue;
+            }
+            throw new Error();
+        }
+
+        if (NZJS.Input.keyName({ keyCode: 16, location: 2 }) != 'shift') throw new Error();
+        if (NZJS.Input.keyName({ keyCode: 18, location: 1 }) != 'alt') throw new Error();
+        if (NZJS.Input.keyName({ keyCode: 173 }) != '-') throw new Error();
+        if (NZJS.Input.keyName({ keyCode: 255 }) !== null) throw new Error();
+
+        // Physical keys match by KeyboardEvent.code, whatever the layout
+        var key = NZJS.Input.key('a');
+        var code = NZJS.Input.code('KeyQ');
+        var azertyA = { keyCode: 65, code: 'KeyQ' };
+
+        if (!key._matches(azertyA) || !code._matches(azertyA)) throw new Error();
+        if (code._matches({ keyCode: 81, code: 'KeyA' })) throw new Error();
+
+        key.release();
+        code.release();
+    }
+
+    function structTest() {
+
+        // Compares values whatever order their keys are in
+        function same(a, b) {
+            return JSON.stringify(a, sorted) == JSON.stringify(b, sorted);
+        }
+
+        function sorted(key, value) {
+            if (!value || typeof value != 'object' || Array.isArray(value)) {
+                return value;
+            }
+
+            var out = { };
+            Object.keys(value).sort().forEach(function(k) { out[k] = value[k]; });
+            return out;
+        }
+
+        // apply(a, diff(a, b)) == b, without modifying a
+        var states = [
+            { },
+            { hp: 100, pos: { x: 1, y: 2 }, squad: [ 'a', 'b', 'c' ] },
+            { hp: 90, pos: { x: 1.5, y: 2 }, squad: [ 'a', 'x', 'b', 'c' ], target: null },
+            { hp: 90, pos: { y: 2 }, squad: [ 'c' ], hasOwnProperty: { constructor: 1 } },
+            { hp: 90, pos: [ 1, 2 ], squad: [ ], hasOwnProperty: 2 }
+        ];
+
+        for (var i = 0; i < states.length; ++i) {
+            for (var j = 0; j < states.length; ++j) {
+                var before = JSON.stringify(states[i]);
+                var diff = NZJS.Replay.diffStructs(states[i], states[j]);
+
+                if (!same(NZJS.Replay.applyStructDiff(states[i], diff), states[j])) throw new Error();
+                if (JSON.stringify(states[i]) != before) throw new Error();
+                if (i == j && diff.length != 0) throw new Error();
+            }
+        }
+
+        // Schemas leave out ignored fields and only record rounded changes
+        var schema = { pos: { '*': NZJS.Replay.quantized(0.5) }, cache: NZJS.Replay.ignored };
+        var a = { pos: { x: 1.0 }, cache: [ 1 ] };
+
+        if (NZJS.Replay.diffStructs(a, { pos: { x: 1.1 }, cache: [ 2 ] }, schema).length != 0) throw new Error();
+        if (!same(NZJS.Replay.diffStructs(a, { pos: { x: 1.4 } }, schema),
+                  [ { op: 'set', path: [ 'pos', 'x' ], value: 1.5 } ])) throw new Error();
+
+        // Unpacked states with hostile keys walk like any other
+        var record = new NZJS.Replay.StructRecord(10.0);
+        record.unpack(JSON.stringify([ { t: 1, d: [ { op: 'set', path: [ 'a' ], value: { hasOwnProperty: 1 } } ] },
+                                       { t: 2, d: [ { op: 'set', path: [ 'a', 'b' ], value: 2 } ] } ]));
+
+        if (!same(record.beginWalk(2.0).state, { a: { hasOwnProperty: 1, b: 2 } })) throw new Error();
+    }
+
+    function sampleTest() {
+
+        // A record whose changelists are whole states
+        function copy(state) {
+            return JSON.parse(JSON.stringify(state));
+        }
+
+        var record = new NZJS.Replay.Record(
+            function(a, b) { return [ copy(b) ]; },
+            function(state, changes) { return copy(changes.length ? changes[changes.length - 1] : state); },
+            function(state) { },
+            10.0
+        );
+        record.interpolate = NZJS.Replay.lerp;
+        record.record({ x: 0, hasOwnProperty: 1 }, 1.0);
+        record.record({ x: 10, hasOwnProperty: 3 }, 2.0);
+
+        // In between recorded states, numbers are blended...
+        var walk = record.beginWalk(1.0);
+        var state = walk.sampleAt(1.25);
+        if (state.x != 2.5 || state.hasOwnProperty != 1.5) throw new Error();
+
+        // ...and past the newest one, they're held without an
+        // extrapolation limit
+        if (walk.sampleAt(3.0).x != 10) throw new Error();
+
+        // With one, they keep going for that long, and then hold
+        record.extrapolationLimit = 0.5;
+        walk = record.beginWalk(1.0);
+        if (walk.sampleAt(2.25).x != 12.5) throw new Error();
+        if (walk.sampleAt(4.0).x != 15) throw new Error();
+    }
+
+    function statsTest() {
+
+        var record = new NZJS.Replay.StructRecord(100.0);
+        for (var i = 0; i < 100; ++i) {
+            record.record({ x: i, name: 'unit' }, i / 10);
+        }
+
+        var stats = record.stats();
+        if (stats.entries != 100 || stats.diffs.count != 100 || !(stats.diffs.averageBytes > 0)) throw new Error();
+        if (Math.abs(stats.span - 9.9) > 1e-9 || !(stats.bytes > 0)) throw new Error();
+
+        // Packs are counted whoever packs them
+        var first = record.pack(0.0);
+        var second = record.subscribe().pack();
+        var packs = record.stats().packs;
+        if (packs.count != 2 || packs.lastBytes != second.length) throw new Error();
+        if (packs.averageBytes != (first.length + second.length) / 2) throw new Error();
+        if (packs.bytesPerSecond != first.length + second.length) throw new Error();
+
+        // Walks count what they apply
+        var applies = record.stats().apply.count;
+        var walk = record.beginWalk(0.0);
+        walk.advanceTo(5.0);
+        if (walk.stats().applied != 51 || record.stats().apply.count <= applies) throw new Error();
+
+        // Going over the memory budget folds the oldest history into the
+        // base state early, inside the window
+        record.memoryBudget = Math.floor(stats.bytes / 2);
+        record.record({ x: 100, name: 'unit' }, 10.0);
+
+        stats = record.stats();
+        if (stats.bytes > record.memoryBudget || stats.entries >= 101 || stats.entries == 0) throw new Error();
+        if (record.beginWalk(10.0).state.x != 100 || record.beginWalk(0.0).state.x == 0) throw new Error();
+
+        // ...but always keeps the newest history
+        record.memoryBudget = 1;
+        record.record({ x: 101, name: 'unit' }, 10.1);
+        if (record.stats().entries != 1 || record.beginWalk(10.1).state.x != 101) throw new Error();
+    }
+
+    function gamepadTest() {
+
+        // A standard pad, reported by a stand-in for navigator.getGamepads()
+        // in a slot real pads are unlikely to be in
+        var pad = { index: 3, connected: true, mapping: 'standard', buttons: [ ], axes: [ 0, 0, 0, 0 ] };
+        for (var i = 0; i < 17; ++i) {
+            pad.buttons.push({ pressed: false, value: 0 });
+        }
+
+        var pads = [ null, null, null, pad ];
+        var hadGetGamepads = Object.prototype.hasOwnProperty.call(navigator, 'getGamepads');
+        var getGamepads = navigator.getGamepads;
+        var onConnected = NZJS.Input.onPadConnected;
+        var onDisconnected = NZJS.Input.onPadDisconnected;
+        var events = [ ];
+
+        navigator.getGamepads = function() { return pads; };
+        NZJS.Input.onPadConnected = function(pad) { events.push('connected ' + pad.index); };
+        NZJS.Input.onPadDisconnected = function(index) { events.push('disconnected ' + index); };
+
+        try {
+            var state = new NZJS.Input.State();
+            state.addButton('jump', NZJS.Input.padButton(3, 'a').and(NZJS.Input.not(NZJS.Input.padButton(3, 1))));
+            state.addButton('fire', NZJS.Input.axisButton(NZJS.Input.padAxis(3, 'triggers', 'right'), 0.5, 1.0));
+            state.addAxis('move', NZJS.Input.padAxis(3, 'left', 'horiz'));
+
+            state = state.pollNext();
+            if (state.down('jump') || state.down('fire') || state.value('move') != 0) throw new Error();
+            if (events.join() != 'connected 3') throw new Error();
+
+            // Buttons, triggers and sticks are read when polled, and compose
+            pad.buttons[0].pressed = true;
+            pad.buttons[7].value = 0.75;
+            pad.axes[0] = -2.0;
+            state = state.pollNext();
+            if (!state.pressed('jump') || !state.pressed('fire') || state.value('move') != -1) throw new Error();
+
+            pad.buttons[1].pressed = true;
+            state = state.pollNext();
+            if (!state.released('jump') || !state.down('fire')) throw new Error();
+
+            // Disconnected pads read as released
+            pads = [ ];
+            state = state.pollNext();
+            if (state.down('fire') || state.value('move') != 0) throw new Error();
+            if (events.join() != 'connected 3,disconnected 3') throw new Error();
+
+            if (NZJS.Input.padButtonIndex('start') != 9 || NZJS.Input.padButtonIndex(20) != 20) throw new Error();
+            state.release();
+        }
+        finally {
+            if (hadGetGamepads) {
+                navigator.getGamepads = getGamepads;
+            }
+            else {
+                delete navigator.getGamepads;
+            }
+            NZJS.Input.onPadConnected = onConnected;
+            NZJS.Input.onPadDisconnected = onDisconnected;
+        }
+    }
+
+    function filterTest() {
+
+        // An axis whose value the test sets
+        var source = NZJS.Input.buttonAxis(0.0);
+        var aim = source.deadzone(0.1).curve('expo', 2).invert().clamp(-0.5, 0.5);
+
+        function value(raw) {
+            source.baseValue = raw;
+            aim.poll();
+            return aim.value;
+        }
+
+        if (value(0.05) != 0 || value(-0.1) != 0) throw new Error();
+        if (Math.abs(value(0.55) + 0.25) > 1e-9) throw new Error();
+        if (value(-1.0) != 0.5 || value(1.0) != -0.5) throw new Error();
+
+        var tripled = source.curve(function(v) { return v * 3; });
+        source.baseValue = 0.25;
+        tripled.poll();
+        if (tripled.value != 0.75) throw new Error();
+
+        try {
+            source.curve('cubic');
+            throw new Error('created');
+        }
+        catch (e) {
+            if (e.message == 'created') throw new Error();
+        }
+
+        // Smoothing takes the first value as is, then follows changes
+        // without overshooting them
+        var smooth = source.smooth(1000.0);
+        source.baseValue = 0.5;
+        smooth.poll();
+        source.baseValue = 1.0;
+        smooth.poll();
+        if (smooth.value < 0.5 || smooth.value >= 1.0) throw new Error();
+
+        // States snapshot, and records record, the filtered value
+        var state = new NZJS.Input.State();
+        state.addAxis('aim', aim);
+        source.baseValue = 0.55;
+        state = state.pollNext();
+        if (Math.abs(state.value('aim') + 0.25) > 1e-9) throw new Error();
+
+        var record = new NZJS.Input.Record(10.0);
+        record.record(state, 1.0);
+        var replay = record.beginReplay(1.0, function() { return 1.0; });
+        if (Math.abs(replay.value('aim') + 0.25) > 1e-3) throw new Error();
+    }
+
+    function pointerAxisTest() {
+
+        // Mouse movement adds up between polls
+        var horiz = NZJS.Input.mouse('horiz', 2.0);
+        var vert = NZJS.Input.mouse('vert', 2.0);
+        horiz._onMouseMove({ movementX: 3, movementY: 1 });
+        horiz._onMouseMove({ movementX: 5, movementY: 1 });
+        vert._onMouseMove({ movementX: 3, movementY: -4 });
+
+        horiz.poll();
+        vert.poll();
+        if (horiz.value != 4.0 || horiz.events.length != 2) throw new Error();
+        if (vert.value != -2.0 || vert.events.length != 1) throw new Error();
+
+        horiz.poll();
+        if (horiz.value != 0.0 || horiz.events.length != 0) throw new Error();
+
+        // Movement that wasn't polled is dropped on release
+        horiz._onMouseMove({ movementX: 7 });
+        horiz.release();
+        horiz.poll();
+        vert.release();
+        if (horiz.value != 0.0 || horiz.events.length != 0) throw new Error();
+
+        // Wheel deltas in lines and pages are scaled to pixels
+        var wheel = NZJS.Input.wheel('vert', 100.0);
+        wheel._onWheel({ deltaX: 9, deltaY: 1, deltaMode: 1 });
+        wheel._onWheel({ deltaX: 9, deltaY: 60, deltaMode: 0 });
+        wheel.poll();
+        if (wheel.value != 1.0 || wheel.events.length != 2) throw new Error();
+
+        wheel._onWheel({ deltaY: -1, deltaMode: 2 });
+        wheel.poll();
+        wheel.release();
+        if (wheel.value != -8.0) throw new Error();
+
+        // The cursor is placed over a stand-in canvas
+        var canvas = {
+            getBoundingClientRect: function() {
+                return { left: 100, top: 50, width: 200, height: 100 };
+            }
+        };
+
+        var getElementById = document.getElementById;
+        var cursor = NZJS.Input.cursor('horiz');
+        try {
+            document.getElementById = function() { return canvas; };
+
+            cursor._onMouseMove({ clientX: 200, clientY: 0 });
+            cursor.poll();
+            if (cursor.value != 0.0) throw new Error();
+
+            cursor._onMouseMove({ clientX: 400, clientY: 0 });
+            cursor.poll();
+            cursor.poll();
+            if (cursor.value != 2.0 || cursor.events.length != 0) throw new Error();
+        }
+        finally {
+            document.getElementById = getElementById;
+            cursor.release();
+        }
+    }
+
+    function contextTest() {
+
+        var fire = NZJS.Input.code('KeyF');
+        var jump = NZJS.Input.code('Space');
+        var select = NZJS.Input.code('KeyF');
+        var look = NZJS.Input.mouse('horiz', 1.0);
+        var menuLook = NZJS.Input.mouse('horiz', 1.0);
+
+        var game = new NZJS.Input.State();
+        game.addButton('fire', fire);
+        game.addButton('jump', jump);
+        game.addAxis('look', look);
+
+        var menu = new NZJS.Input.State();
+        menu.addButton('select', select);
+        menu.addAxis('look', menuLook);
+
+        // Stand in for the document events every input listens to
+        function setDown(buttons, down) {
+            buttons.forEach(function(btn) {
+                btn._setDown(down);
+            });
+        }
+
+        function move(x) {
+            look._onMouseMove({ movementX: x });
+            menuLook._onMouseMove({ movementX: x });
+        }
+
+        var gameContext = new NZJS.Input.Context(game);
+        var menuContext = new NZJS.Input.Context(menu, [ 'select' ]);
+        var contexts = NZJS.Input.Contexts;
+        var stack = contexts._stack;
+
+        try {
+            contexts._stack = [ ];
+            contexts.push(gameContext);
+            contexts.push(menuContext);
+
+            if (menuContext.consumed().join() != 'code KeyF') throw new Error();
+
+            // Only the inputs the menu consumes are masked below it
+            setDown([ fire, select ], true);
+            setDown([ jump ], true);
+            move(3);
+            contexts.poll();
+            if (!menuContext.state.pressed('select')) throw new Error();
+            if (gameContext.state.down('fire')) throw new Error();
+            if (!gameContext.state.pressed('jump')) throw new Error();
+            if (gameContext.state.value('look') != 3) throw new Error();
+
+            menuContext.consume = true;
+            move(2);
+            contexts.poll();
+            if (gameContext.state.value('look') != 0) throw new Error();
+            if (!gameContext.state.down('jump')) throw new Error();
+
+            // A button held while masked stays up until it's pressed again
+            contexts.remove(menuContext);
+            contexts.poll();
+            if (gameContext.state.down('fire')) throw new Error();
+
+            setDown([ fire, select ], false);
+            contexts.poll();
+            setDown([ fire, select ], true);
+            contexts.poll();
+            if (!gameContext.state.pressed('fire')) throw new Error();
+
+            // Pushing a context doesn't turn held buttons into presses
+            contexts.push(menuContext);
+            contexts.poll();
+            if (menuContext.state.down('select')) throw new Error();
+
+            // Contexts that consume nothing mask nothing
+            menuContext.consume = false;
+            setDown([ jump ], false);
+            contexts.poll();
+            setDown([ jump ], true);
+            contexts.poll();
+            if (!gameContext.state.pressed('jump')) throw new Error();
+        }
+        finally {
+            contexts._stack = stack;
+            game.release();
+            menu.release();
+        }
+    }
+
+    function inputLostTest() {
+
+        var key = NZJS.Input.code('KeyW');
+        var click = NZJS.Input.click('leftclick');
+        var tapped = NZJS.Input.code('KeyE');
+        var buttons = [ key, click, tapped ];
+
+        try {
+            key._setDown(true);
+            click._setDown(true);
+            buttons.forEach(function(btn) { btn.poll(); });
+
+            // Held buttons go up on the next poll, since the browser won't
+            // send the events that release them
+            tapped._setDown(true);
+            NZJS.Input.releaseAll();
+            buttons.forEach(function(btn) { btn.poll(); });
+            if (!key.released() || !click.released()) throw new Error();
+
+            // A tap that happened before input was lost still counts
+            if (!tapped.pressed()) throw new Error();
+
+            tapped.poll();
+            if (!tapped.released()) throw new Error();
+
+            // And they're pressed normally once input comes back
+            key._setDown(true);
+            key.poll();
+            if (!key.pressed()) throw new Error();
+        }
+        finally {
+            buttons.forEach(function(btn) { btn.release(); });
+        }
+
+        // Released buttons aren't affected by releaseAll()
+        key._setDown(true);
+        NZJS.Input.releaseAll();
+        key.poll();
+        if (!key.down()) throw new Error();
+    }
+
+    function profileTest() {
+
+        var data = {
+            name: 'test',
+            buttons: {
+                fire: { key: 'space' },
+                jump: { or: [ { key: 'w' }, { click: 'leftclick' } ] }
+            },
+            axes: {
+                look: { mouse: 'horiz', sensitivity: 200, filters: [ { deadzone: 0.1 } ] },
+                move: { base: 0, buttons: [ { button: { key: 'a' }, up: 0, down: -1 } ] }
+            }
+        };
+
+        // Saved profiles and states built from them give back the same bindings
+        var profile = NZJS.Input.Profile.parse(new NZJS.Input.Profile(data).serialize());
+        if (JSON.stringify(profile.toJSON()) != JSON.stringify(data)) throw new Error();
+
+        var state = profile.build();
+        if (JSON.stringify(NZJS.Input.Profile.fromState(state, 'test')) != JSON.stringify(data)) throw new Error();
+
+        // Rebinding warns about inputs another action reads
+        var conflicts = profile.conflicts('fire', { key: 'w' });
+        if (JSON.stringify(conflicts) != '[{"input":"key W","actions":["jump","fire"]}]') throw new Error();
+        if (profile.conflicts().length != 0) throw new Error();
+
+        // Bindings that can't be built are rejected when they're bound
+        var bad = [
+            { and: [ ] }, { sequence: [ ] }, { chord: [ ] }, { click: 'backclick' },
+            { key: 'constructor' }, { code: '' }, { mouse: 'horiz' }, { }
+        ];
+        for (var i = 0; i < bad.length; ++i) {
+            try {
+                profile.bind('fire', bad[i]);
+            }
+            catch (e) {
+                continue;
+            }
+            throw new Error();
+        }
+
+        var badAxes = [ { mouse: 'diagonal' }, { wheel: 1 }, { cursor: 'vert', filters: [ { } ] }, { key: 'a' } ];
+        for (var i = 0; i < badAxes.length; ++i) {
+            try {
+                profile.bindAxis('look', badAxes[i]);
+            }
+            catch (e) {
+                continue;
+            }
+            throw new Error();
+        }
+
+        // The state being replaced is only released once its replacement is built
+        var released = 0;
+        state.release = function() {
+            ++released;
+            NZJS.Input.State.prototype.release.call(this);
+        };
+
+        profile.buttons.broken = { click: 'backclick' };
+        try {
+            profile.build(state);
+            throw new Error('built');
+        }
+        catch (e) {
+            if (e.message == 'built' || released != 0) throw new Error();
+        }
+
+        delete profile.buttons.broken;
+        profile.bind('fire', { key: 'x' });
+        var rebuilt = profile.build(state);
+        if (released != 1 || NZJS.Input.Profile.fromState(rebuilt).buttons.fire.key != 'x') throw new Error();
+
+        rebuilt.release();
+    }
+
+    function gestureTest() {
+
+        // Buttons the test presses, which count how often they're polled
+        function button() {
+            var btn = { next: false, isDown: false, wasDown: false, polls: 0, events: [ ] };
+
+            btn.poll = function() {
+                ++btn.polls;
+                btn.wasDown = btn.isDown;
+                btn.isDown = btn.next;
+            };
+            btn.down = function() { return btn.isDown; };
+            btn.pressed = function() { return btn.isDown && !btn.wasDown; };
+            btn.released = function() { return !btn.isDown && btn.wasDown; };
+            btn.release = function() { };
+            return btn;
+        }
+
+        var now = 0.0;
+        var getTime = NZJS.getTime;
+        NZJS.getTime = function() { return now; };
+
+        // Sets which buttons are down, polls the gesture and moves time on
+        function tick(gesture, down, seconds) {
+            for (var i = 0; i < down.length; i += 2) {
+                down[i].next = down[i + 1];
+            }
+            gesture.poll();
+            now += seconds || 1 / 60;
+            return gesture.down();
+        }
+
+        try {
+            var a = button();
+            var b = button();
+
+            // A button twice in a row is a double press, polled once a tick
+            var twice = NZJS.Input.sequence([ a, a ], 0.5);
+            if (tick(twice, [ a, true ]) || tick(twice, [ a, false ])) throw new Error();
+            if (!tick(twice, [ a, true ]) || a.polls != 3) throw new Error();
+            tick(twice, [ a, false ]);
+
+            // ...within the timeout
+            tick(twice, [ a, true ], 1.0);
+            tick(twice, [ a, false ]);
+            if (tick(twice, [ a, true ])) throw new Error();
+            tick(twice, [ a, false ]);
+
+            // Out of order presses start over; presses in the same tick count
+            // in order
+            var ab = NZJS.Input.sequence([ a, b ], 0.5);
+            if (tick(ab, [ b, true ]) || tick(ab, [ b, false, a, true ])) throw new Error();
+            if (!tick(ab, [ b, true ])) throw new Error();
+            tick(ab, [ a, false, b, false ]);
+            if (!tick(ab, [ a, true, b, true ])) throw new Error();
+            tick(ab, [ a, false, b, false ]);
+
+            // Chords count a button that's in them twice once
+            var chord = NZJS.Input.chord([ a, a, b ], 0.1);
+            if (tick(chord, [ a, true ]) || !tick(chord, [ b, true ])) throw new Error();
+            tick(chord, [ a, false, b, false ]);
+            if (tick(chord, [ a, true ], 0.2) || tick(chord, [ b, true ])) throw new Error();
+            tick(chord, [ a, false, b, false ]);
+
+            // Holds and taps are timed from the press
+            var hold = NZJS.Input.holdFor(a, 0.5);
+            if (tick(hold, [ a, true ], 0.4) || tick(hold, [ ], 0.2) || !tick(hold, [ ])) throw new Error();
+            tick(hold, [ a, false ]);
+
+            var tap = NZJS.Input.tap(a, 0.2);
+            if (tick(tap, [ a, true ], 0.1) || !tick(tap, [ a, false ]) || tick(tap, [ ])) throw new Error();
+            if (tick(tap, [ a, true ], 0.3) || tick(tap, [ a, false ])) throw new Error();
+
+            var doubleTap = NZJS.Input.doubleTap(a, 0.25);
+            tick(doubleTap, [ a, true ], 0.1);
+            tick(doubleTap, [ a, false ], 0.1);
+            if (!tick(doubleTap, [ a, true ]) || tick(doubleTap, [ a, false ])) throw new Error();
+        }
+        finally {
+            NZJS.getTime = getTime;
+        }
+    }
+
+    function baseTimeTest() {
+
+        // History recorded at t=0 (the time of the initial base state) is kept
+        var record = new NZJS.Replay.StructRecord(10.0);
+        record.record({ x: 1 }, 0.0);
+        record.record({ x: 2 }, 1.0);
+
+        if (record.stats().entries != 2) throw new Error();
+        if (record.beginWalk(0.0).state.x != 1) throw new Error();
+        if (record.beginWalk(0.5).state.x != 1) throw new Error();
+
+        // ...and reaches other records, packed either way
+        var other = new NZJS.Replay.StructRecord(10.0);
+        if (other.unpack(record.pack(0.0)).added != 2) throw new Error();
+        if (other.beginWalk(0.0).state.x != 1) throw new Error();
+
+        other = new NZJS.Replay.StructRecord(10.0);
+        if (other.unpack(record.subscribe().pack()).added != 2) throw new Error();
+        if (other.beginWalk(0.0).state.x != 1) throw new Error();
+
+        var state = new NZJS.Input.State();
+        state.addButton('b1', new NZJS.Input.ButtonSnapshot(true, true, false, false));
+
+        var inputs = new NZJS.Input.Record(10.0);
+        inputs.record(state, 0.0);
+
+        if (!inputs.beginWalk(0.0).state.down('b1')) throw new Error();
+        if (!inputs.beginReplay().down('b1')) throw new Error();
+
+        // Once history is folded into the base state, packed history it
+        // covers is ignored
+        var windowed = new NZJS.Replay.StructRecord(1.0);
+        for (var t = 0; t < 5; ++t) {
+            windowed.record({ x: t }, t);
+        }
+
+        other = new NZJS.Replay.StructRecord(1.0);
+        other.unpack(windowed.subscribe().pack());
+
+        var result = other.unpack(windowed.pack(0.0));
+        if (result.added != 0 || result.ignored != 2) throw new Error();
+        if (other.beginWalk(4.0).state.x != 4) throw new Error();
+    }
+
+    function codecTimeTest() {
+
+        // Times are recorded to the microsecond, and come back from the
+        // codec exactly as recorded, even ones a single microsecond apart
+        var record = new NZJS.Replay.StructRecord(10.0);
+        var times = [ 1.0, 1.0 + 1 / 3, 1.0 + 1 / 3 + 1e-6, 2.5 + 1e-9 ];
+        for (var i = 0; i < times.length; ++i) {
+            record.record({ x: i }, times[i]);
+        }
+
+        var recorded = record._record.map(function(entry) { return entry.time; });
+        for (var i = 0; i < times.length; ++i) {
+            if (recorded[i] !== NZJS.Replay.quantizeTime(times[i])) throw new Error();
+        }
+
+        var codec = new NZJS.Replay.Codec([ 'x' ]);
+        var packed = record.pack(0.0, codec);
+
+        var entries = codec.decode(packed);
+        for (var i = 0; i < times.length; ++i) {
+            if (entries[i].t !== recorded[i]) throw new Error();
+        }
+
+        // ...so unpacking them again finds the entries already there
+        var other = new NZJS.Replay.StructRecord(10.0);
+        if (other.unpack(packed, codec).added != 4) throw new Error();
+        if (other.unpack(packed, codec).added != 0) throw new Error();
+        if (other.latest() !== record.latest()) throw new Error();
+        if (other.beginWalk(recorded[2]).state.x != 2) throw new Error();
+
+        // Times are always delta encoded, never sent as doubles: a second of
+        // 60 Hz ticks at real (unrounded) times packs as small as the same
+        // ticks at whole milliseconds
+        var ticks = new NZJS.Replay.StructRecord(10.0);
+        var aligned = new NZJS.Replay.StructRecord(10.0);
+        for (var i = 0; i < 60; ++i) {
+            var time = 100.0 + i / 60 + Math.random() * 1e-3;
+            ticks.record({ x: i }, time);
+            aligned.record({ x: i }, Math.round(time * 1000) / 1000);
+        }
+        if (ticks.pack(0.0, codec).byteLength != aligned.pack(0.0, codec).byteLength) throw new Error();
+
+        // A float scale of 0 in the header (after the magic, version, one
+        // byte word count and hash) is rejected rather than dividing by it
+        var bytes = new Uint8Array(packed);
+        var zeroScale = new Uint8Array(bytes.length - 1);
+        zeroScale.set(bytes.subarray(0, 7));
+        zeroScale.set(bytes.subarray(9), 8);
+
+        var third = new NZJS.Replay.StructRecord(10.0);
+        try {
+            third.unpack(zeroScale.buffer, codec);
+            throw new Error('unpacked');
+        }
+        catch (e) {
+            if (e.message == 'unpacked' || third.stats().entries != 0) throw new Error();
+        }
+
+        // The same goes for bad local scales
+        try {
+            new NZJS.Replay.Codec([ ], { floatScale: -1 });
+            throw new Error('created');
+        }
+        catch (e) {
+            if (e.message == 'created') throw new Error();
+        }
+    }
+
+    function dictionaryTest() {
+
+        var pair = NZJS.Transport.createLocalConnections();
+        var sent = 0;
+
+        // Connections that are open, and deliver reliable messages at once
+        pair.forEach(function(conn, i) {
+            var peer = pair[1 - i];
+
+            conn.isReady = function() { return true; };
+            conn.onrecv = function(what, data) { };
+            conn.sendReliably = function(what, data) {
+                var text = JSON.stringify({ what: what, data: data });
+                ++sent;
+                peer.rcon.onrecv(JSON.parse(text), text.length);
+            };
+        });
+
+        // The first side's words arrive before the second side listens, so
+        // the second side's words get an answer
+        var left = new NZJS.Replay.Dictionary(pair[0], 'test', [ 'x', 'y' ]);
+        var other = new NZJS.Replay.Dictionary(pair[0], 'other', [ 'z' ]);
+        var right = new NZJS.Replay.Dictionary(pair[1], 'test', [ 'y', 'hasOwnProperty' ]);
+
+        if (sent != 4 || other.remote) throw new Error();
+        if (left.remote.words.join() != 'y,hasOwnProperty') throw new Error();
+        if (right.remote.words.join() != 'x,y') throw new Error();
+
+        // Each side unpacks what the other packs
+        var record = new NZJS.Replay.StructRecord(10.0);
+        record.record({ x: 1, hasOwnProperty: 2 }, 1.0);
+
+        var copy = new NZJS.Replay.StructRecord(10.0);
+        if (copy.unpack(record.pack(0.0, left.local), right.remote).added != 1) throw new Error();
+        if (copy.unpack(record.pack(0.0, right.local), left.remote).added != 0) throw new Error();
+        if (copy.beginWalk(1.0).state.hasOwnProperty != 2) throw new Error();
+
+        // ...and not with its own words
+        try {
+            copy.unpack(record.pack(0.0, left.local), right.local);
+            throw new Error('unpacked');
+        }
+        catch (e) {
+            if (e.message == 'unpacked') throw new Error();
+        }
+
+        [ left, other, right ].forEach(function(dictionary) { dictionary.release(); });
+        pair.forEach(function(conn) {
+            conn.onclose = function(reason) { };
+            conn.close();
+        });
+    }
+
+    function subscriberTest() {
+
+        var record = new NZJS.Replay.StructRecord(10.0);
+        var sub = record.subscribe();
+        var other = new NZJS.Replay.StructRecord(10.0);
+
+        record.record({ x: 1 }, 1.0);
+        record.record({ x: 2 }, 2.0);
+        if (other.unpack(sub.pack()).added != 2) throw new Error();
+
+        // A peer that's caught up gets an empty update
+        sub.ack(other.latest());
+        var result = other.unpack(sub.pack());
+        if (result.added != 0 || result.ignored != 0) throw new Error();
+
+        record.record({ x: 3 }, 3.0);
+        result = other.unpack(sub.pack());
+        if (result.added != 1 || result.ignored != 0) throw new Error();
+        if (other.beginWalk(3.0).state.x != 3) throw new Error();
+    }
+
+    function badUnpackTest() {
+
+        function rejects(record, packed) {
+            try {
+                record.unpack(JSON.stringify(packed));
+            }
+            catch (e) {
+                return record.stats().entries == 0;
+            }
+            return false;
+        }
+
+        // A bad change anywhere means nothing is stored, not even the good
+        // entries before it
+        var record = new NZJS.Replay.StructRecord(10.0);
+        if (!rejects(record, [ { t: 1, d: [ { op: 'set', path: [ 'a' ], value: 1 } ] },
+                               { t: 2, d: [ { op: 'splice', path: [ 'a' ], index: -1 } ] } ])) throw new Error();
+        if (!rejects(record, [ { t: 1, d: [ { op: 'set', path: [ '__proto__', 'x' ], value: 1 } ] } ])) throw new Error();
+        if (!rejects(record, [ { t: 1, d: [ { op: 'move', path: [ 'a' ] } ] } ])) throw new Error();
+
+        var inputs = new NZJS.Input.Record(10.0);
+        if (!rejects(inputs, [ { t: 1, d: [ { type: 'btn', name: 'b1', down: 'yes' } ] } ])) throw new Error();
+        if (!rejects(inputs, [ { t: 1, d: [ { type: 'axis', name: 'a1', value: null } ] } ])) throw new Error();
+        if (!rejects(inputs, [ { t: 1, d: [ { type: 'btn', name: '__proto__', down: true } ] } ])) throw new Error();
+
+        // Keys that shadow Object.prototype methods are just keys
+        var hostile = [ { t: 1, d: [ { type: 'btn', name: 'hasOwnProperty', down: true } ] } ];
+        if (inputs.unpack(JSON.stringify(hostile)).added != 1) throw new Error();
+        if (inputs.stats().entries != 1) throw new Error();
+    }
+
+    function messageTest() {
+
+        function valid(data) {
+            return NZJS.Transport.validateMessage('NetDebug.Schema', data) === null;
+        }
+
+        if (!valid({ team: 3, name: 'alice' })) throw new Error();
+        if (!valid({ team: 0, name: '', mode: 'ctf', path: [ 0.5, -1 ] })) throw new Error();
+
+        [
+            { team: 4, name: 'alice' },
+            { team: 1.5, name: 'alice' },
+            { team: -1, name: 'alice' },
+            { team: 1, name: 'alice-long' },
+            { team: 1, name: 'alice', mode: 'tdm' },
+            { team: 1, name: 'alice', path: [ 1, 2, 3 ] },
+            { team: 1, name: 'alice', path: [ '1' ] },
+            { team: 1, name: 'alice', path: [ Infinity ] },
+            { team: 1 },
+            { team: 1, name: 'alice', extra: true },
+            [ 1, 'alice' ],
+            null
+        ].forEach(function(data) {
+            if (valid(data)) throw new Error(JSON.stringify(data));
+        });
+
+        // Types are registered once, with well-formed schemas
+        [
+            function() { NZJS.Transport.defineMessage('NetDebug.Schema', { type: 'any' }); },
+            function() { NZJS.Transport.defineMessage('NetDebug.Bad', { type: 'thing' }); },
+            function() { NZJS.Transport.defineMessage('NetDebug.Bad', { type: 'object', fields: { n: { } } }); },
+            function() { NZJS.Transport.validateMessage('NetDebug.Unknown', { }); }
+        ].forEach(function(fn) {
+            try {
+                fn();
+                throw new Error('returned');
+            }
+            catch (e) {
+                if (e.message == 'returned') throw new Error();
+            }
+        });
+        if (NZJS.Transport.messageSchema('NetDebug.Bad') !== null) throw new Error();
+        if (NZJS.Transport.maxMessageSize('NetDebug.Schema') != 256) throw new Error();
+        if (NZJS.Transport.maxMessageSize('NetDebug.Test') != NZJS.Transport.MaxMessageSize) throw new Error();
+
+        // Received messages are routed to the handlers for their type, and
+        // anything else is dropped and counted
+        var conn = NZJS.Transport.createLocalConnections()[1];
+        var teams = [ ];
+        var unhandled = [ ];
+        var drops = [ ];
+
+        function onSchema(data, what) { teams.push(data.team); }
+        conn.on('NetDebug.Schema', onSchema);
+        conn.onrecv = function(what, data) { unhandled.push(what); };
+        conn.ondrop = function(reason, what, error) { drops.push(reason); };
+
+        conn.rcon.onrecv({ what: 'NetDebug.Schema', data: { team: 1, name: 'a' } }, 64);
+        conn.rcon.onrecv({ what: 'NetDebug.Schema', data: { team: 2, name: 'b' } }, 257);
+        conn.rcon.onrecv({ what: 'NetDebug.Schema', data: { team: 9, name: 'c' } }, 64);
+        conn.rcon.onrecv({ what: 'NetDebug.Unknown', data: { } }, 64);
+        conn.rcon.onrecv({ what: 'NetDebug.Schema' }, 64);
+        conn.rcon.onrecv({ what: 'NetDebug.Test', data: { n: 1 } }, 64);
+
+        conn.off('NetDebug.Schema', onSchema);
+        conn.rcon.onrecv({ what: 'NetDebug.Schema', data: { team: 3, name: 'd' } }, 64);
+
+        if (teams.join() != '1') throw new Error();
+        if (unhandled.join() != 'NetDebug.Test,NetDebug.Schema') throw new Error();
+        if (drops.join() != 'tooLarge,invalid,unknown,malformed') throw new Error();
+        if (conn.dropped.tooLarge != 1 || conn.dropped.invalid != 1 ||
+            conn.dropped.unknown != 1 || conn.dropped.malformed != 1) throw new Error();
+
+        // Only registered types can be handled, and only valid data sent
+        try {
+            conn.on('NetDebug.Unknown', onSchema);
+            throw new Error('added');
+        }
+        catch (e) {
+            if (e.message == 'added') throw new Error();
+        }
+
+        try {
+            conn._datagram('NetDebug.Schema', { team: 9, name: 'e' });
+            throw new Error('made');
+        }
+        catch (e) {
+            if (e.message == 'made') throw new Error();
+        }
+
+        conn.onclose = function(reason) { };
+        conn.close();
+    }
+
+    function hostileMessageTest() {
+
+        // Keys that shadow Object.prototype methods are just keys
+        if (!NZJS.Transport.validateMessage('NetDebug.Test', { hasOwnProperty: 1 })) throw new Error();
+        if (!NZJS.Transport.validateMessage('NetDebug.Test', JSON.parse('{ "__proto__": 1 }'))) throw new Error();
+        if (NZJS.Transport.validateMessage('NetDebug.Test', { n: 1 })) throw new Error();
+
+        // Received datagrams with such keys are dropped or handled, never
+        // thrown on
+        var conn = NZJS.Transport.createLocalConnections()[1];
+        var received = 0;
+        conn.on('NetDebug.Test', function(data) { ++received; });
+
+        conn.rcon.onrecv({ what: 'NetDebug.Test', data: { hasOwnProperty: 1 } }, 64);
+        conn.rcon.onrecv({ what: 'NetDebug.Test', data: { n: 1 }, hasOwnProperty: 1 }, 64);
+        conn.rcon.onrecv({ hasOwnProperty: 1 }, 64);
+        conn.ucon.onrecv({ ack: -1, bits: 0, hasOwnProperty: 1 }, 64);
+        conn.ucon.onrecv({ seq: 0, ack: -1, bits: 0, what: 'NetDebug.Test', data: { n: 2 },
+                           hasOwnProperty: 1 }, 64);
+
+        if (received != 2) throw new Error();
+        if (conn.dropped.invalid != 1 || conn.dropped.malformed != 1) throw new Error();
+
+        // Removing handlers that were never added does nothing, whatever
+        // the type is called
+        conn.off('toString', function() { });
+        conn.off('hasOwnProperty', function() { });
+
+        conn.onclose = function(reason) { };
+        conn.close();
+    }
+
+    function sequenceTest() {
+
+        var conn = NZJS.Transport.createLocalConnections()[1];
+        var received = 0;
+        conn.on('NetDebug.Test', function(data) { ++received; });
+
+        function datagram(seq, ack) {
+            return { seq: seq, ack: ack, bits: 0, what: 'NetDebug.Test', data: { } };
+        }
+
+        conn.ucon.onrecv(datagram(0, -1), 64);
+
+        // Sequence numbers far ahead, and acks of datagrams never sent, are
+        // malformed, and change nothing
+        conn.ucon.onrecv(datagram(1e300, -1), 64);
+        conn.ucon.onrecv(datagram(5000, -1), 64);
+        conn.ucon.onrecv(datagram(1, 1e300), 64);
+        conn.ucon.onrecv({ ack: 0, bits: 0 }, 64);
+        if (conn.dropped.malformed != 4) throw new Error();
+
+        // So duplicates are still caught
+        conn.ucon.onrecv(datagram(0, -1), 64);
+        if (conn.dropped.duplicate != 1) throw new Error();
+
+        conn.ucon.onrecv(datagram(1000, -1), 64);
+        if (received != 2 || conn.stats().received != 2) throw new Error();
+
+        conn.onclose = function(reason) { };
+        conn.close();
+    }
+
+    function eventBufferTest() {
+
+        // Inputs nobody polls keep only their latest events
+        var buffer = new NZJS.Input.EventBuffer();
+        for (var i = 0; i < 10000; ++i) {
+            buffer.record({ value: i });
+        }
+
+        var events = buffer.take();
+        if (events.length >= 10000 || events[events.length - 1].value != 9999) throw new Error();
+        if (buffer.take().length != 0) throw new Error();
+    }
+
+    function simulatorTest() {
+
+        var runs = [ ];
+
+        // Passes datagrams in through a simulator on a bad link, and notes
+        // what happened to each
+        function run(seed) {
+            var pair = NZJS.Transport.createLocalConnections();
+            var simulator = new NZJS.Transport.SimulatedConnection(pair[0], seed);
+            var fates = [ ];
+            runs.push(simulator);
+
+            simulator.configure({ loss: 30, duplicate: 30, reorder: 30 }, 'in');
+            simulator.onrecv = function(what, data) { };
+            simulator.onclose = pair[0].onclose = pair[1].onclose = function(reason) { };
+
+            for (var i = 0; i < 100; ++i) {
+                var before = JSON.stringify(simulator.simulated);
+                pair[0].ucon.onrecv({ seq: i, ack: -1, bits: 0, what: 'NetDebug.Test', data: { n: i } }, 64);
+                fates.push(before == JSON.stringify(simulator.simulated) ? '.' : JSON.stringify(simulator.simulated));
+            }
+
+            // The reliable channel is only ever delayed
+            var simulated = JSON.stringify(simulator.simulated);
+            for (var j = 0; j < 20; ++j) {
+                pair[0].rcon.onrecv({ what: 'NetDebug.Test', data: { n: j } }, 64);
+            }
+            if (JSON.stringify(simulator.simulated) != simulated) throw new Error();
+
+            simulator.close();
+            pair[0].close();
+            pair[1].close();
+            return fates.join(' ');
+        }
+
+        // The same seed makes the same choices for the same traffic
+        var first = run(1234);
+        if (run(1234) != first) throw new Error();
+        if (run(4321) == first) throw new Error();
+
+        // And every kind of choice gets made
+        var simulated = runs[0].simulated;
+        if (!simulated.dropped || !simulated.duplicated || !simulated.reordered) throw new Error();
+        if (runs[0].random.seed != 1234) throw new Error();
+
+        try {
+            runs[0].configure({ lag: 1 });
+            throw new Error('configured');
+        }
+        catch (e) {
+            if (e.message == 'configured') throw new Error();
+        }
+    }
+
+    function signalerTest() {
+
+        var broker = new NZJS.RTC.Broker();
+
+        // Connects a signaler to the broker with a socket that delivers
+        // messages right away, and starts out connecting
+        function connect() {
+            var server = { };
+            var client = { readyState: 0 };
+
+            client.send = function(text) { server.onmessage({ data: text }); };
+            client.close = function() { server.onclose(); client.onclose(); };
+            server.send = function(text) { client.onmessage({ data: text }); };
+            broker.accept(server);
+
+            var signaler = new NZJS.RTC.Signaler(client);
+            signaler.seen = [ ];
+            signaler.onjoin = function(peers) { signaler.seen.push('join ' + peers.join()); };
+            signaler.onpeerjoin = function(peer) { signaler.seen.push('peer-join ' + peer); };
+            signaler.onpeerleave = function(peer) { signaler.seen.push('peer-leave ' + peer); };
+            signaler.onerror = function(message) { signaler.seen.push('error'); };
+            return signaler;
+        }
+
+        function open(signaler) {
+            signaler.socket.readyState = 1;
+            signaler.socket.onopen();
+        }
+
+        // Joins sent before the socket opens are sent once it does
+        var alice = connect();
+        var bob = connect();
+        alice.join('lobby', 'alice');
+        if (alice.room !== null) throw new Error();
+
+        open(alice);
+        open(bob);
+        bob.join('lobby', 'bob');
+
+        if (alice.room != 'lobby' || alice.id != 'alice') throw new Error();
+        if (alice.seen.join('|') != 'join |peer-join bob') throw new Error();
+        if (bob.seen.join('|') != 'join alice' || bob.peers.join() != 'alice') throw new Error();
+
+        // Peer ids are unique within a room
+        var carol = connect();
+        open(carol);
+        carol.join('lobby', 'bob');
+        if (carol.room !== null || carol.seen.join() != 'error') throw new Error();
+
+        // Signals that arrive before their handler is set wait for it, and
+        // ones a handler turns down wait for the next
+        var got = [ ];
+        bob.signal('alice', { channel: 'reliable', n: 1 });
+        bob.signal('alice', { channel: 'unreliable', n: 2 });
+
+        alice._listen('bob', 'reliable', function(data) { return false; });
+        alice._listen('bob', 'reliable', function(data) { got.push(data.n); });
+        bob.signal('alice', { channel: 'reliable', n: 3 });
+        if (got.join() != '1,3') throw new Error();
+
+        // Leaving tells the rest of the room, and drops the leaver's signals
+        bob.leave();
+        if (alice.peers.length != 0 || alice.seen.pop() != 'peer-leave bob') throw new Error();
+        if (alice._pendingCount != 0) throw new Error();
+
+        bob.join('lobby', 'bob');
+        alice.socket.close();
+        if (alice.room !== null || bob.seen.pop() != 'peer-leave alice') throw new Error();
+        if (Object.keys(broker.rooms).join() != 'lobby') throw new Error();
+
+        bob.leave();
+        carol.socket.close();
+        if (Object.keys(broker.rooms).length != 0) throw new Error();
+    }
+
+    function brokerTest() {
+
+        var broker = new NZJS.RTC.Broker();
+
+        // Sockets that hand the broker messages right away, and keep the
+        // ones it sends back
+        function peer() {
+            var socket = { sent: [ ] };
+            socket.send = function(text) { socket.sent.push(JSON.parse(text)); };
+            socket.say = function(message) { socket.onmessage({ data: JSON.stringify(message) }); };
+
+            broker.accept(socket);
+            return socket;
+        }
+
+        var alice = peer();
+        var bob = peer();
+        var mallory = peer();
+
+        alice.say({ type: 'join', room: 'lobby', peer: 'alice' });
+        bob.say({ type: 'join', room: 'lobby', peer: 'bob' });
+
+        // Room and peer names that are Object.prototype keys reach no one
+        // else, and don't throw
+        mallory.say({ type: 'join', room: '__proto__', peer: 'bob' });
+        mallory.sent.length = 0;
+
+        alice.say({ type: 'signal', to: 'bob', data: 1 });
+        bob.say({ type: 'join', room: 'lobby2', peer: 'bob' });
+        if (mallory.sent.length != 0) throw new Error();
+        if (bob.sent[bob.sent.length - 2].data != 1) throw new Error();
+
+        mallory.say({ type: 'signal', to: 'constructor', data: 1 });
+        mallory.say({ type: 'join', room: 'constructor', peer: 'hasOwnProperty' });
+        mallory.say({ type: 'signal', to: '__proto__', data: 1 });
+        mallory.onmessage({ data: 'null' });
+        mallory.onmessage({ data: '[ 1 ]' });
+
+        var errors = mallory.sent.filter(function(m) { return m.type == 'error'; });
+        if (errors.length != 4) throw new Error();
+
+        // Signals nobody listens for are only held up to a limit
+        var signaler = new NZJS.RTC.Signaler({ readyState: 1, send: function() { } });
+        var dropped = 0;
+        signaler.onerror = function() { ++dropped; };
+
+        for (var i = 0; i < 300; ++i) {
+            signaler._receive(JSON.stringify({ type: 'signal', from: 'bob', data: { channel: 'c' + i } }));
+        }
+        if (dropped != 300 - 256) throw new Error();
+
+        signaler._receive(JSON.stringify({ type: 'peer-left', peer: 'bob' }));
+        signaler._receive(JSON.stringify({ type: 'signal', from: 'bob', data: { channel: 'c' } }));
+        if (dropped != 300 - 256) throw new Error();
+    }
+
+    function attemptTest() {
+
+        var signaler = new NZJS.RTC.Signaler({ readyState: 1, send: function() { } });
+        signaler._receive(JSON.stringify({ type: 'joined', room: 'lobby', peer: 'bob', peers: [ 'alice' ] }));
+
+        function signal(attempt, kind) {
+            signaler._receive(JSON.stringify({ type: 'signal', from: 'alice',
+                data: { channel: 'reliable', attempt: attempt, kind: kind } }));
+        }
+
+        // Connections that only listen for signals, as the callee
+        function callee(attempt, handled) {
+            var conn = Object.create(NZJS.RTC.Connection.prototype);
+            conn.isReliable = true;
+            conn.state = NZJS.RTC.ConnectionState.Opening;
+
+            conn._listenVia(signaler, 'alice', attempt, function(data) {
+                handled.push(data.attempt + ' ' + data.kind);
+            });
+            return conn;
+        }
+
+        var first = [ ];
+        var conn = callee(0, first);
+
+        // The callee answers the first offer, ignoring signals from other
+        // tries and repeats of the offer...
+        signal(0, 'offer');
+        signal(0, 'candidate');
+        signal(0, 'offer');
+        signal(undefined, 'candidate');
+        if (first.join() != '0 offer,0 candidate' || conn.attempt != 0) throw new Error();
+
+        // ...and leaves a newer try for the next connection
+        signal(1, 'offer');
+        conn._stopSignaling();
+        signal(0, 'candidate');
+        if (first.length != 2) throw new Error();
+
+        var second = [ ];
+        callee(1, second);
+        signal(1, 'candidate');
+        if (second.join() != '1 offer,1 candidate') throw new Error();
+
+        // Connections that can reconnect time out even if they never open
+        function channel() {
+            return { state: NZJS.RTC.ConnectionState.Opening, close: function() { } };
+        }
+
+        var transport = new NZJS.Transport.Connection(channel(), channel(), function() { });
+        if (transport._attemptStarted === null || transport._heartbeatTimer === null) throw new Error();
+
+        transport.onclose = function(reason) { };
+        transport.close();
+    }
+
     // Loads assets needed by this screen
     NetDebugScreen.prototype.init = function() { 
         this.isLoaded = true; // No assets required
         recordTest();
+        keyframeTest();
+        policyTest();
+        replayTest();
+        replayFileTest();
+        keyTest();
+        structTest();
+        sampleTest();
+        statsTest();
+        gamepadTest();
+        filterTest();
+        pointerAxisTest();
+        contextTest();
+        inputLostTest();
+        profileTest();
+        gestureTest();
+        baseTimeTest();
+        subscriberTest();
+        codecTimeTest();
+        dictionaryTest();
+        badUnpackTest();
+        messageTest();
+        hostileMessageTest();
+        brokerTest();
+        signalerTest();
+        sequenceTest();
+        attemptTest();
+        eventBufferTest();
+        simulatorTest();
+
+        this._connect();
+        this._overlay = createOverlay();
+    }
+
+    // Makes a new pair of local connections, the first going through the
+    // simulator
+    //
+    NetDebugScreen.prototype._connect = function() {
+
+        var self = this;
+        var pair = NZJS.Transport.createLocalConnections();
+
+        this.simulator = new NZJS.Transport.SimulatedConnection(pair[0], NZJS.Config.NetDebugSeed);
+        this.connections = [ this.simulator, pair[1] ];
+        this.connections[1].on('NetDebug.Ping', function(data) { });
+
+        this._status = 'connecting';
+        this.simulator.onopen = function() {
+            self._status = 'open';
+        }
+        this.simulator.onclose = function(reason) {
+            self._status = 'closed (' + reason + ') [Backspace reconnects]';
+        }
+    }
+
+    // Changes the simulator's settings according to the keys pressed. The
+    // settings are the same both ways on both channels, so they're read from
+    // one of them.
+    //
+    NetDebugScreen.prototype._adjustLink = function(controls) {
+
+        var current = this.simulator.settings.out.unreliable;
+        var link = { };
+        for (var name in current) {
+            link[name] = current[name];
+        }
+
+        CONTROLS.forEach(function(control) {
+            var value = link[control.setting];
+
+            if (controls.pressed(control.setting + 'Up')) {
+                value += control.step;
+            }
+            if (controls.pressed(control.setting + 'Down')) {
+                value -= control.step;
+            }
+
+            // Rounded to the step, so repeated steps don't accumulate error
+            value = Math.round(value / control.step) * control.step;
+            link[control.setting] = Math.max(control.min, Math.min(value, control.max));
+        });
+
+        if (controls.pressed('bandwidthUp') && link.bandwidth > 0) {
+            link.bandwidth = link.bandwidth * 2 > MAX_BANDWIDTH ? 0 : link.bandwidth * 2;
+        }
+        if (controls.pressed('bandwidthDown')) {
+            link.bandwidth = link.bandwidth > 0 ? Math.max(link.bandwidth / 2, 1024) : FIRST_BANDWIDTH;
+        }
+
+        if (controls.pressed('reset')) {
+            if (this.simulator.isReady()) {
+                this.simulator.reset();
+            }
+            else if (this._status != 'connecting') {
+                this._connect();
+            }
+        }
+        else {
+            this.simulator.configure(link);
+        }
     }
 
     // Updates the screen's logic
-    NetDebugScreen.prototype.tick = function(dt) { }
+    NetDebugScreen.prototype.tick = function(dt) {
+
+        this._adjustLink(this.input.state);
+
+        var conn = this.connections[0];
+
+        if (conn.isReady()) {
+            this._pending += dt * PING_RATE;
+            while (this._pending >= 1.0) {
+                this._pending -= 1.0;
+                conn.send('NetDebug.Ping', { n: this._pings++ });
+            }
+        }
+
+        this._sinceOverlay += dt;
+        if (this._overlay && this._sinceOverlay >= OVERLAY_INTERVAL) {
+            this._sinceOverlay = 0.0;
+            this._overlay.textContent = 'link    ' + this._status + '\n' +
+                                        describeLink(conn.stats()) + '\n\n' +
+                                        describeSimulator(this.simulator);
+        }
+    }
 
     // Renders this screen
     NetDebugScreen.prototype.draw = function(dt) { 
@@ -188,10 +1897,18 @@
     }
 
     // Called before a screen is pushed above this screen
-    NetDebugScreen.prototype.suspend = function() { }
+    NetDebugScreen.prototype.suspend = function() {
+        if (this._overlay) {
+            this._overlay.style.display = 'none';
+        }
+    }
 
     // Called when this screen is resumed after a screen above is popped
-    NetDebugScreen.prototype.resume = function() { }
+    NetDebugScreen.prototype.resume = function() {
+        if (this._overlay) {
+            this._overlay.style.display = '';
+        }
+    }
 
 
-})(NZJS);
+})(NZJS, document);
@@ -0,0 +1,239 @@
+/*
+ * replay.js
+ *
+ * Plays back a match replay (NZJS.Debug.Replay), feeding each player's
+ * recorded inputs into the simulation tick by tick, exactly as they were
+ * received during the match.
+ *
+ * The simulation is any object with these methods:
+ *
+ *      // Puts the simulation in the state the match began in
+ *      reset: function(replay) { ... }
+ *
+ *      // Advances the simulation dt seconds to the given match time.
+ *      // inputs maps each player id to that player's NZJS.Input.State.
+ *      tick: function(dt, inputs, time) { ... }
+ *
+ *      // Optional; renders the simulation
+ *      draw: function(dt) { ... }
+ *
+ * The simulation is always ticked at a fixed 1 / NZJS.Config.TicksPerSecond
+ * seconds per tick, whatever the playback speed, so it goes through the same
+ * steps on every playback. Seeking backward resets the simulation and
+ * replays it from the start of the match up to the target time.
+ *
+ * Controls:
+ *
+ * - Space: play/pause
+ * - J/L: seek back/forward 5 seconds
+ * - 1-5: set the playback speed to 1/4x, 1/2x, 1x, 2x or 4x
+ */
+
+;(function(NZJS) {
+    'use strict';
+
+    var SEEK_STEP = 5.0;
+    var SPEEDS = [ 0.25, 0.5, 1.0, 2.0, 4.0 ];
+
+    /** Initializes a replay screen
+     *
+     * @param screens The screen stack this screen is on
+     * @param replay The NZJS.Debug.Replay to play back
+     * @param simulation The simulation to feed the replay's inputs into
+     */
+    function ReplayScreen(screens, replay, simulation) {
+
+        this.screens = screens;
+        this.replay = replay;
+        this.simulation = simulation;
+
+        // Playback state
+        this.playing = false;
+        this.speed = 1.0;
+        this.span = replay.span();
+        this.time = this.span.start;
+
+        // The fixed amount of match time simulated per tick, and the number
+        // of ticks simulated since the start of the match. The time is
+        // computed from the tick count so rounding errors don't add up.
+        this._rate = NZJS.Config.TicksPerSecond;
+        this._step = 1.0 / this._rate;
+        this._ticks = 0;
+
+        // Playback time that hasn't been simulated yet, because it doesn't
+        // add up to a full tick
+        this._pending = 0.0;
+
+        // Maps each player id to the NZJS.Input.Replay playing back their
+        // input record
+        this._inputs = { };
+
+        // Playback controls, polled by the game loop (see input/context.js)
+        var controls = new NZJS.Input.State();
+        controls.addButton('PlayPause', NZJS.Input.key('space'));
+        controls.addButton('SeekBack', NZJS.Input.key('j'));
+        controls.addButton('SeekForward', NZJS.Input.key('l'));
+        for (var i = 0; i < SPEEDS.length; ++i) {
+            controls.addButton('Speed' + i, NZJS.Input.key(String(i + 1)));
+        }
+        this.input = new NZJS.Input.Context(controls);
+    }
+    NZJS.Screens = NZJS.Screens || { };
+    NZJS.Screens.Replay = ReplayScreen;
+
+    // Starts (or resumes) playback
+    ReplayScreen.prototype.play = function() {
+        this.playing = this._nextTime() <= this.span.end;
+    }
+
+    // Pauses playback
+    ReplayScreen.prototype.pause = function() {
+        this.playing = false;
+    }
+
+    // Sets the playback speed, as a multiple of real time
+    ReplayScreen.prototype.setSpeed = function(speed) {
+
+        if (!(speed > 0)) {
+            throw new Error('NZJS.Screens.Replay: speed must be positive');
+        }
+
+        this.speed = speed;
+    }
+
+    // Moves playback to the given match time, clamped to the replay's span.
+    // The simulation is stepped forward to the time, after being reset if
+    // the time is before the current one.
+    //
+    ReplayScreen.prototype.seek = function(time) {
+
+        time = Math.max(this.span.start, Math.min(time, this.span.end));
+
+        if (time < this.time) {
+            this._restart();
+        }
+
+        while (this._nextTime() <= time) {
+            this._tickSimulation();
+        }
+
+        this._pending = 0.0;
+        if (this._nextTime() > this.span.end) {
+            this.pause();
+        }
+    }
+
+    // Resets the simulation and the input replays to the start of the match
+    //
+    ReplayScreen.prototype._restart = function() {
+
+        var players = this.replay.players;
+
+        this.time = this.span.start;
+        this._ticks = 0;
+        for (var i = 0; i < players.length; ++i) {
+            var id = players[i].id;
+            this._inputs[id] = this.replay.records[id].beginReplay(this.time);
+        }
+
+        this.simulation.reset(this.replay);
+    }
+
+    // Gets the match time at the end of the next tick
+    //
+    ReplayScreen.prototype._nextTime = function() {
+        return this.span.start + (this._ticks + 1) / this._rate;
+    }
+
+    // Simulates one fixed-length tick, feeding the simulation every player's
+    // input state as of the end of the tick
+    //
+    ReplayScreen.prototype._tickSimulation = function() {
+
+        var players = this.replay.players;
+        var inputs = { };
+
+        this.time = this._nextTime();
+        this._ticks++;
+        for (var i = 0; i < players.length; ++i) {
+            var id = players[i].id;
+
+            this._inputs[id] = this._inputs[id].stateAt(this.time);
+            inputs[id] = this._inputs[id];
+        }
+
+        this.simulation.tick(this._step, inputs, this.time);
+    }
+
+    // Loads assets needed by this screen
+    ReplayScreen.prototype.init = function() {
+
+        this._restart();
+        this.isLoaded = true; // No assets required
+        this.play();
+    }
+
+    // Updates the screen's logic
+    ReplayScreen.prototype.tick = function(dt) {
+
+        var controls = this.input.state;
+
+        if (controls.pressed('PlayPause')) {
+            this.playing ? this.pause() : this.play();
+        }
+        if (controls.pressed('SeekBack')) {
+            this.seek(this.time - SEEK_STEP);
+        }
+        if (controls.pressed('SeekForward')) {
+            this.seek(this.time + SEEK_STEP);
+        }
+        for (var i = 0; i < SPEEDS.length; ++i) {
+            if (controls.pressed('Speed' + i)) {
+                this.setSpeed(SPEEDS[i]);
+            }
+        }
+
+        if (!this.playing) {
+            return;
+        }
+
+        this._pending += dt * this.speed;
+        while (this._pending >= this._step) {
+            if (this._nextTime() > this.span.end) {
+                this._pending = 0.0;
+                this.pause();
+                break;
+            }
+
+            this._pending -= this._step;
+            this._tickSimulation();
+        }
+    }
+
+    // Renders this screen
+    ReplayScreen.prototype.draw = function(dt) {
+
+        if (this.simulation.draw) {
+            this.simulation.draw(dt);
+        }
+        else {
+            var gl = NZJS.WebGL.gl;
+            gl.clearColor(0.0, 0.0, 0.0, 1.0);
+            gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        }
+    }
+
+    // Called before a screen is pushed above this screen
+    ReplayScreen.prototype.suspend = function() {
+        this.pause();
+    }
+
+    // Called when this screen is resumed after a screen above is popped
+    ReplayScreen.prototype.resume = function() { }
+
+    // Called when the page stops receiving input (see input/focus.js)
+    ReplayScreen.prototype.inputLost = function(reason) {
+        this.pause();
+    }
+
+})(NZJS);
@@ -7,7 +7,12 @@
 (function(NZJS) {
     'use strict';
 
-    var epoch = new Date().getTime();
+    // Use the high-resolution clock where there is one
+    var clock = (typeof performance !== 'undefined' && performance.now) ?
+                function() { return performance.now(); } :
+                function() { return new Date().getTime(); };
+
+    var epoch = clock();
     var now = 0;
 
     // Gets the current game time, in partial seconds [float].
@@ -21,12 +26,13 @@
     NZJS.getTime = getTime;
 
     // Gets the current game time, in partial seconds [float].
-    // This object creates garbage in order to query the current time. 
-    // Thus, if you plan on calling this often, see if NZJS.getTime suits your
-    // needs.
+    // Precise to a fraction of a millisecond in browsers that support
+    // performance.now(). This may create garbage in order to query the current
+    // time. Thus, if you plan on calling this often, see if NZJS.getTime suits
+    // your needs.
     //
     function getExactTime() {
-        return (new Date().getTime() - epoch) / 1000.0;
+        return (clock() - epoch) / 1000.0;
     }
     NZJS.getExactTime = getExactTime;
 
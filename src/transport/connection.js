@@ -3,51 +3,259 @@
  *
  * Responsible for sending and receiving datagrams to/from peers.
  * Driven by WebRTC.
+ *
+ * Each datagram is a message of a type registered in the message registry
+ * (see messages.js). Route received messages to handlers by type:
+ *
+ *      connection.on('Chat', function(data) { ... });
+ *
+ * Received messages that are malformed, of an unknown type, too large, or
+ * don't match their type's schema are dropped and counted in
+ * connection.dropped, so handlers only ever see valid data.
+ *
+ * Datagrams sent unreliably are numbered, and each side tells the other
+ * which of them it received: every unreliable datagram carries
+ *
+ *      seq:  Its sequence number (0, 1, 2, ...)
+ *      ack:  The newest sequence number received from the peer so far
+ *      bits: A bitfield of which of the 32 sequence numbers before ack were
+ *            received (bit n set = ack - n - 1 was received)
+ *
+ * along with its { what, data }. A side that has nothing to send sends a bare
+ * { ack, bits } shortly after receiving something, so acknowledgements flow
+ * either way. Once a datagram is acknowledged, or known to be lost (it fell
+ * out of the peer's bitfield, or went unacknowledged for
+ * NZJS.Transport.LossTimeout seconds), the connection tells the sender:
+ *
+ *      connection.send('WorldState', sub.pack(), {
+ *          onAcked: function(seq) { ... },
+ *          onLost: function(seq) { ... }
+ *      });
+ *
+ * The round trips of acknowledged datagrams feed the RTT, jitter and loss
+ * estimates reported by stats().
+ *
+ * A connection tells its owner when its link comes and goes:
+ *
+ *      connection.onopen = function(resumed) { ... };
+ *      connection.ondisconnect = function(reason) { ... };
+ *      connection.onclose = function(reason) { ... };
+ *
+ * Each side sends a bare acknowledgement at least every
+ * NZJS.Transport.HeartbeatInterval seconds, as a heartbeat. A peer that goes
+ * NZJS.Transport.HeartbeatTimeout seconds without being heard from is
+ * considered dead, as is one whose channels close.
+ *
+ * Connections made with connectVia() then reconnect: they fire
+ * ondisconnect(), and try again up to NZJS.Transport.ReconnectAttempts times,
+ * waiting NZJS.Transport.ReconnectDelay seconds before the first try and
+ * twice as long before each one after it (up to
+ * NZJS.Transport.MaxReconnectDelay). Once reconnected, onopen(true) fires and
+ * the session resumes where it left off: the same message handlers, sequence
+ * numbers and estimates. Nothing can be sent while reconnecting (see
+ * isReady()). If every try fails, or the connection can't reconnect (local
+ * connections can't), onclose() fires and the connection is closed for good.
+ * Every try, including the first, fails if it takes longer than
+ * NZJS.Transport.HeartbeatTimeout seconds. When the peer starts a new try on
+ * its own (e.g. it noticed the link was down first), the connection joins it
+ * right away.
+ *
+ * The reasons given to ondisconnect() and onclose() are:
+ *
+ *      'close':      close() was called
+ *      'disconnect': A channel closed (e.g. the peer closed the connection)
+ *      'timeout':    The peer went silent, or a reconnect took too long
+ *      'error':      A reconnect couldn't be started (see onerror())
  */
 
 ;(function(NZJS) {
 
-    NZJS.Transport = { };
+    NZJS.Transport = NZJS.Transport || { };
+
+    // How many seconds an unreliable datagram may go unacknowledged before
+    // it's considered lost
+    //
+    NZJS.Transport.LossTimeout = 1.0;
+
+    // How many seconds a connection waits for outgoing traffic to carry its
+    // acknowledgements before it sends them on their own
+    //
+    NZJS.Transport.AckDelay = 1.0 / 30.0;
+
+    // How often, in seconds, a connection with nothing else to send sends a
+    // heartbeat
+    //
+    NZJS.Transport.HeartbeatInterval = 0.25;
+
+    // How many seconds a connection waits to hear from its peer before
+    // considering it dead. Also the longest a reconnect may take.
+    //
+    NZJS.Transport.HeartbeatTimeout = 5.0;
+
+    // How many times a connection tries to reconnect before giving up, and
+    // how many seconds it waits before the first try and (at most) between
+    // tries
+    //
+    NZJS.Transport.ReconnectAttempts = 5;
+    NZJS.Transport.ReconnectDelay = 0.5;
+    NZJS.Transport.MaxReconnectDelay = 8.0;
+
+    // The number of sequence numbers each ack bitfield covers
+    var ACK_BITS = 32;
+
+    // How far past the newest sequence number received so far the next one
+    // may be. A larger jump means more datagrams were lost in a row than a
+    // live link loses, so it comes from a broken or hostile peer instead.
+    var MAX_SEQ_JUMP = 1024;
+
+    // For checking the keys of received datagrams, whose own keys may
+    // include 'hasOwnProperty'
+    var hasOwn = Object.prototype.hasOwnProperty;
+
+    // How quickly the RTT, jitter and loss estimates follow new samples
+    var RTT_GAIN = 1.0 / 8.0;
+    var JITTER_GAIN = 1.0 / 4.0;
+    var LOSS_GAIN = 1.0 / 16.0;
 
     // A transport-layer connection, which allows packets to optionally
     // be sent reliably or unreliably. Under the hood, this is accomplished
     // by wrapping two WebRTC connections: a reliable one and an unreliable
     // one.
     //
-    function Connection(reliableConn, unreliableConn) {
+    // reconnect: Optional. A function that returns a new pair of connections
+    //            to the same peer, [ <reliable>, <unreliable> ], already
+    //            connecting. When the peer started a newer try at connecting,
+    //            it's given that try's number to join (see
+    //            NZJS.RTC.Connection.connectVia()). Without it, this
+    //            connection closes for good when its link goes down, and
+    //            never times out while connecting.
+    //
+    function Connection(reliableConn, unreliableConn, reconnect) {
 
-        this.rcon = reliableConn;
-        this.ucon = unreliableConn;
+        // Message types -> lists of handlers (see on()). Any string can be
+        // passed to off(), so nothing is inherited.
+        this._handlers = Object.create(null);
 
-        this.rcon.onrecv = this.ucon.onrecv = function(datagram) {
+        // The number of received datagrams dropped, by reason:
+        // - malformed: Not JSON, or not a { what, data } object
+        // - unknown: Its type isn't registered
+        // - tooLarge: Larger than its type's maxSize
+        // - invalid: Its data doesn't match its type's schema
+        // - duplicate: An unreliable datagram that was already received
+        this.dropped = { malformed: 0, unknown: 0, tooLarge: 0, invalid: 0, duplicate: 0 };
 
-            if (!datagram.what) {
-                console.log('NZJS.Transport.Connection: packet ' + JSON.stringify(datagram));
-                console.log('NJZS.Transport.Connection: is missing a "what" property');
-            }
-            else if (!datagram.data) {
-                console.log('NZJS.Transport.Connection: packet ' + JSON.stringify(datagram));
-                console.log('NJZS.Transport.Connection: is missing a "data" property');
-            }
-            else {
-                this.onrecv(datagram.what, datagram.data);
-            }
+        // Unreliable datagrams sent: the next sequence number, and the
+        // datagrams waiting to be acknowledged, by sequence number
+        // ({ time, what, callbacks })
+        this._seq = 0;
+        this._unacked = { };
+
+        // Unreliable datagrams received: the newest sequence number, the ack
+        // bitfield for the ones before it, and whether the peer needs to be
+        // told about any of them
+        this._remoteSeq = -1;
+        this._remoteBits = 0;
+        this._ackTimer = null;
+
+        this._stats = {
+            rtt: null,      // Smoothed round trip time, in seconds
+            jitter: 0.0,    // Smoothed round trip time variation, in seconds
+            loss: 0.0,      // Smoothed fraction of datagrams lost
+            sent: 0,
+            received: 0,
+            acked: 0,
+            lost: 0
+        };
+
+        // The link's lifecycle: whether onopen() fired for the current
+        // channels and for any channels before them, whether the connection
+        // is closed for good, the reconnect tries made since the link was
+        // last up, and when the current try started
+        this._reconnect = reconnect || null;
+        this._ready = false;
+        this._opened = false;
+        this._closed = false;
+        this._attempts = 0;
+        this._attemptStarted = null;
+        this._reconnectTimer = null;
+
+        // When anything was last sent to and heard from the peer, for
+        // heartbeats
+        this._lastSent = 0.0;
+        this._lastHeard = 0.0;
+        this._heartbeatTimer = null;
+
+        // The first try at connecting times out like any reconnect
+        if (this._reconnect) {
+            this._attemptStarted = NZJS.getExactTime();
+            this._startHeartbeat();
         }
+
+        this._attach(reliableConn, unreliableConn);
     }
 
     NZJS.Transport.Connection = Connection;
 
     // Gets a value indicating whether this connection is ready to
     // send/receive data. If this connection is not ready, you 
-    // should not use it to send data (the data may not be sent,
-    // even if you call sendReliabily())
+    // can't use it to send data: send() and sendReliably() throw an Error.
     //
     Connection.prototype.isReady = function() {
-        return this.ucon.state == NZJS.RTC.ConnectionState.Opened &&
-               this.rcon.state == NZJS.RTC.ConnectionState.Opened;
+        return !this._closed &&
+               this.ucon.state == NZJS.RTC.ConnectionState.Open &&
+               this.rcon.state == NZJS.RTC.ConnectionState.Open;
+    }
+
+    // Event handler fired when the connection becomes ready (see isReady()).
+    // resumed is true if it reconnected after its link went down.
+    //
+    Connection.prototype.onopen = function(resumed) { }
+
+    // Event handler fired when the link goes down and the connection starts
+    // reconnecting, with the reason (see the top of this file)
+    //
+    Connection.prototype.ondisconnect = function(reason) { }
+
+    // Event handler fired when the connection is closed for good, with the
+    // reason (see the top of this file)
+    //
+    Connection.prototype.onclose = function(reason) { }
+
+    // Event handler fired when something goes wrong with either channel, or
+    // with a reconnect, with an Error describing the problem.
+    // The default stub prints the error.
+    //
+    Connection.prototype.onerror = function(error) {
+        console.log('NZJS.Transport.Connection: ' + error.message);
+    }
+
+    // Calls handler(data, what) for every valid message of the given
+    // registered type this connection receives. Throws an Error if the type
+    // isn't registered.
+    //
+    Connection.prototype.on = function(what, handler) {
+
+        if (!NZJS.Transport.messageSchema(what)) {
+            throw new Error('NZJS.Transport.Connection: unknown message type ' + what);
+        }
+
+        (this._handlers[what] = this._handlers[what] || [ ]).push(handler);
+    }
+
+    // Stops calling a handler added with on()
+    //
+    Connection.prototype.off = function(what, handler) {
+
+        var handlers = this._handlers[what] || [ ];
+        var index = handlers.indexOf(handler);
+
+        if (index >= 0) {
+            handlers.splice(index, 1);
+        }
     }
 
-    // Event handler fired when a datagram is received.
+    // Event handler fired when a valid message is received that no handler
+    // was added for with on().
     // The default stub prints a warning about the unhandled event.
     // what - what type of data is being sent (e.g. 'InputState')
     // data - the data to send
@@ -62,31 +270,627 @@
     // If the packet is dropped mid-transit, it will not be retransmitted.
     // Thus, use this only for non-critical data, or when missing data
     // can be receovered from (e.g. game state frames).
-    // This conection must be ready (this.ready() == true).
-    // what - what type of data is being sent (e.g. 'InputState')
+    // This conection must be ready (this.isReady() == true).
+    // Throws an Error if it isn't, or if the message doesn't match its type's
+    // schema.
+    // Returns the datagram's sequence number.
+    // what - the registered type of data being sent (e.g. 'InputState')
     // data - the data to send
+    // callbacks - optional; { onAcked: function(seq), onLost: function(seq) },
+    //             either of which may be omitted. One of them is called once
+    //             the fate of the datagram is known.
     //
-    Connection.prototype.send = function(what, data) {
-        this.ucon.send({ what: what, data: data });
+    Connection.prototype.send = function(what, data, callbacks) {
+
+        this._checkReady();
+
+        var datagram = this._datagram(what, data);
+        var seq = this._seq++;
+
+        datagram.seq = seq;
+        datagram.ack = this._remoteSeq;
+        datagram.bits = this._remoteBits;
+
+        this._unacked[seq] = { time: NZJS.getExactTime(), what: what, callbacks: callbacks || { } };
+        this._stats.sent++;
+        this._cancelAck();
+        this._expire();
+
+        this.ucon.send(datagram);
+        this._lastSent = NZJS.getExactTime();
+        return seq;
     }
 
     // Sends a datagram to the other peer losslessly.
     // The packet will be resent until it is acknowledged by the peer.
     // Thus, use this only for critical data, the loss of which cannot
     // be receoved from (e.g. signaling).
-    // This conection must be ready (this.ready() == true).
-    // what - what type of data is being sent (e.g. 'InputState')
+    // This conection must be ready (this.isReady() == true).
+    // Throws an Error if it isn't, or if the message doesn't match its type's
+    // schema.
+    // what - the registered type of data being sent (e.g. 'InputState')
     // data - the data to send
     //
-    Connection.prototype.sendReliably = function(datagram) {
-        this.rcon.send({ what: what, data: data });
+    Connection.prototype.sendReliably = function(what, data) {
+
+        this._checkReady();
+
+        this.rcon.send(this._datagram(what, data));
+        this._lastSent = NZJS.getExactTime();
+    }
+
+    // Event handler fired when the peer acknowledges an unreliable datagram,
+    // with its sequence number and type
+    //
+    Connection.prototype.onAcked = function(seq, what) { }
+
+    // Event handler fired when an unreliable datagram is considered lost,
+    // with its sequence number and type
+    //
+    Connection.prototype.onLost = function(seq, what) { }
+
+    // Gets estimates of the quality of the link to the peer, based on the
+    // unreliable datagrams sent so far. Returns an object with these
+    // properties:
+    //
+    // - rtt: The smoothed round trip time, in seconds, or null if no
+    //   datagram has been acknowledged yet
+    // - jitter: How much the round trip time varies, in seconds
+    // - loss: The smoothed fraction of datagrams lost (0 - 1)
+    // - sent, received: The number of unreliable datagrams sent and received
+    // - acked, lost: The number of datagrams sent that were acknowledged and
+    //   lost
+    // - pending: The number of datagrams sent that are neither yet
+    //
+    Connection.prototype.stats = function() {
+
+        this._expire();
+
+        var stats = this._stats;
+        return {
+            rtt: stats.rtt,
+            jitter: stats.jitter,
+            loss: stats.loss,
+            sent: stats.sent,
+            received: stats.received,
+            acked: stats.acked,
+            lost: stats.lost,
+            pending: Object.keys(this._unacked).length
+        };
+    }
+
+    // Event handler fired when a received datagram is dropped (see
+    // this.dropped), with the reason it was dropped, its type (if known) and
+    // a description of the problem
+    //
+    Connection.prototype.ondrop = function(reason, what, error) { }
+
+    // Private method. Throws an Error if this connection isn't ready, so
+    // nothing is sent into a closed channel unnoticed.
+    //
+    Connection.prototype._checkReady = function() {
+
+        if (!this.isReady()) {
+            throw new Error('NZJS.Transport.Connection: can\'t send on a connection that isn\'t ready' +
+                            (this._closed ? ' (it\'s closed)' : ''));
+        }
+    }
+
+    // Private method. Makes the datagram for a message, checking it against
+    // its type's schema so bad messages are caught where they're sent.
+    //
+    Connection.prototype._datagram = function(what, data) {
+
+        var error = NZJS.Transport.validateMessage(what, data);
+        if (error) {
+            throw new Error('NZJS.Transport.Connection: bad ' + what + ' message: ' + error);
+        }
+
+        return { what: what, data: data };
     }
 
-    // Closes this connection permanently
+    // Private method. Validates a received datagram and passes it to the
+    // handlers for its type, or drops it.
+    // size - the length of the datagram as received, in characters
+    //
+    Connection.prototype._receive = function(datagram, size) {
+
+        if (!datagram || typeof datagram != 'object' || Array.isArray(datagram) ||
+            typeof datagram.what != 'string' || !hasOwn.call(datagram, 'data')) {
+
+            this._drop('malformed', null, 'not a { what, data } object');
+            return;
+        }
+
+        var what = datagram.what;
+        if (!NZJS.Transport.messageSchema(what)) {
+            this._drop('unknown', what, 'unknown message type');
+            return;
+        }
+
+        var maxSize = NZJS.Transport.maxMessageSize(what);
+        if (size > maxSize) {
+            this._drop('tooLarge', what, size + ' characters (at most ' + maxSize + ')');
+            return;
+        }
+
+        var error = NZJS.Transport.validateMessage(what, datagram.data);
+        if (error) {
+            this._drop('invalid', what, error);
+            return;
+        }
+
+        var handlers = (this._handlers[what] || [ ]).slice();
+        if (handlers.length == 0) {
+            this.onrecv(what, datagram.data);
+        }
+        for (var i = 0; i < handlers.length; ++i) {
+            handlers[i](datagram.data, what);
+        }
+    }
+
+    // Private method. Handles a datagram from the unreliable channel: takes
+    // note of its sequence number and the acknowledgements it carries, then
+    // passes it on to _receive(), unless it's a bare acknowledgement or a
+    // duplicate.
+    //
+    Connection.prototype._receiveUnreliable = function(datagram, size) {
+
+        if (!datagram || typeof datagram != 'object' ||
+            !isSeq(datagram.ack, -1) || !isSeq(datagram.bits, 0) ||
+            (hasOwn.call(datagram, 'seq') && !isSeq(datagram.seq, 0))) {
+
+            this._drop('malformed', null, 'bad sequence header');
+            return;
+        }
+
+        if (datagram.ack >= this._seq || datagram.bits > 0xFFFFFFFF) {
+            this._drop('malformed', null, 'acknowledges datagrams that were never sent');
+            return;
+        }
+
+        if (hasOwn.call(datagram, 'seq') && datagram.seq - this._remoteSeq > MAX_SEQ_JUMP) {
+            this._drop('malformed', null, 'sequence number ' + datagram.seq + ' is too far ahead');
+            return;
+        }
+
+        this._processAcks(datagram.ack, datagram.bits);
+
+        if (!hasOwn.call(datagram, 'seq')) {
+            // A bare acknowledgement
+            return;
+        }
+
+        if (!this._markReceived(datagram.seq)) {
+            this._drop('duplicate', datagram.what, 'sequence number ' + datagram.seq + ' already received');
+            return;
+        }
+
+        this._stats.received++;
+        this._scheduleAck();
+
+        var message = { what: datagram.what };
+        if (hasOwn.call(datagram, 'data')) {
+            message.data = datagram.data;
+        }
+        this._receive(message, size);
+    }
+
+    // Private method. Records the arrival of a sequence number in the ack
+    // bitfield. Returns false if it had already arrived.
+    //
+    Connection.prototype._markReceived = function(seq) {
+
+        var shift = seq - this._remoteSeq;
+
+        if (shift > 0) {
+            // Newer than anything so far. The previous newest moves into the
+            // bitfield, along with the gap before this one.
+            if (this._remoteSeq < 0) {
+                this._remoteBits = 0;
+            }
+            else if (shift < ACK_BITS) {
+                this._remoteBits = ((this._remoteBits << shift) | (1 << (shift - 1))) >>> 0;
+            }
+            else if (shift == ACK_BITS) {
+                this._remoteBits = (1 << (ACK_BITS - 1)) >>> 0;
+            }
+            else {
+                this._remoteBits = 0;
+            }
+
+            this._remoteSeq = seq;
+            return true;
+        }
+
+        if (shift == 0) {
+            return false;
+        }
+
+        // Older than the newest. Too old to tell if it's a duplicate if it's
+        // outside the bitfield.
+        var bit = -shift - 1;
+        if (bit >= ACK_BITS) {
+            return true;
+        }
+
+        var mask = (1 << bit) >>> 0;
+        if (this._remoteBits & mask) {
+            return false;
+        }
+
+        this._remoteBits = (this._remoteBits | mask) >>> 0;
+        return true;
+    }
+
+    // Private method. Resolves the sent datagrams the peer acknowledged, and
+    // the ones it can no longer acknowledge.
+    //
+    Connection.prototype._processAcks = function(ack, bits) {
+
+        var now = NZJS.getExactTime();
+
+        for (var key in this._unacked) {
+            var seq = Number(key);
+            var distance = ack - seq;
+
+            if (distance == 0 || (distance > 0 && distance <= ACK_BITS &&
+                                  (bits & (1 << (distance - 1))) != 0)) {
+                this._resolve(seq, true, now);
+            }
+        }
+
+        this._expire(ack);
+    }
+
+    // Private method. Gives up on sent datagrams that went unacknowledged
+    // for too long, or (if the peer's newest ack is given) that fell out of
+    // its bitfield.
+    //
+    Connection.prototype._expire = function(ack) {
+
+        var now = NZJS.getExactTime();
+
+        for (var key in this._unacked) {
+            var seq = Number(key);
+
+            if (now - this._unacked[key].time > NZJS.Transport.LossTimeout ||
+                (ack !== undefined && ack - seq > ACK_BITS)) {
+                this._resolve(seq, false, now);
+            }
+        }
+    }
+
+    // Private method. Updates the estimates and fires the callbacks for a
+    // sent datagram that was acknowledged or lost.
+    //
+    Connection.prototype._resolve = function(seq, acked, now) {
+
+        var sent = this._unacked[seq];
+        var stats = this._stats;
+
+        delete this._unacked[seq];
+        stats.loss += ((acked ? 0.0 : 1.0) - stats.loss) * LOSS_GAIN;
+
+        if (acked) {
+            var rtt = now - sent.time;
+
+            if (stats.rtt === null) {
+                stats.rtt = rtt;
+                stats.jitter = rtt / 2.0;
+            }
+            else {
+                stats.jitter += (Math.abs(rtt - stats.rtt) - stats.jitter) * JITTER_GAIN;
+                stats.rtt += (rtt - stats.rtt) * RTT_GAIN;
+            }
+
+            stats.acked++;
+            this.onAcked(seq, sent.what);
+            if (sent.callbacks.onAcked) {
+                sent.callbacks.onAcked(seq);
+            }
+        }
+        else {
+            stats.lost++;
+            this.onLost(seq, sent.what);
+            if (sent.callbacks.onLost) {
+                sent.callbacks.onLost(seq);
+            }
+        }
+    }
+
+    // Private method. Makes sure the peer hears about the datagrams received
+    // from it soon, even if nothing is sent its way.
+    //
+    Connection.prototype._scheduleAck = function() {
+
+        if (this._ackTimer !== null) {
+            return;
+        }
+
+        var self = this;
+        this._ackTimer = setTimeout(function() {
+            self._ackTimer = null;
+            self._sendAck();
+            self._expire();
+        }, NZJS.Transport.AckDelay * 1000.0);
+    }
+
+    // Private method. Sends a bare acknowledgement, if the unreliable
+    // channel is open.
+    //
+    Connection.prototype._sendAck = function() {
+
+        if (this.ucon.state == NZJS.RTC.ConnectionState.Open) {
+            this.ucon.send({ ack: this._remoteSeq, bits: this._remoteBits });
+            this._lastSent = NZJS.getExactTime();
+        }
+    }
+
+    // Private method. Cancels a pending bare acknowledgement, because an
+    // outgoing datagram is about to carry it.
+    //
+    Connection.prototype._cancelAck = function() {
+
+        if (this._ackTimer !== null) {
+            clearTimeout(this._ackTimer);
+            this._ackTimer = null;
+        }
+    }
+
+    // Returns true if value is an integer no smaller than min, as sequence
+    // header fields must be
+    //
+    function isSeq(value, min) {
+        return typeof value == 'number' && Math.floor(value) === value && value >= min;
+    }
+
+    // Private method. Counts a dropped datagram.
+    //
+    Connection.prototype._drop = function(reason, what, error) {
+        this.dropped[reason]++;
+        this.ondrop(reason, what, error);
+    }
+
+    // Closes this connection permanently, firing onclose('close')
     //
     Connection.prototype.close = function() {
-        this.ucon.close();
-        this.rcon.close();
+
+        if (this._closed) {
+            return;
+        }
+
+        this._closed = true;
+        this._ready = false;
+
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        this._stopTimers();
+        this._detach();
+
+        this.onclose('close');
+    }
+
+    // Private method. Makes a pair of channels this connection's, handling
+    // their events.
+    //
+    Connection.prototype._attach = function(reliableConn, unreliableConn) {
+
+        this.rcon = reliableConn;
+        this.ucon = unreliableConn;
+
+        var self = this;
+
+        this.rcon.onrecv = function(datagram, size) {
+            self._lastHeard = NZJS.getExactTime();
+            self._receive(datagram, size);
+        }
+
+        this.ucon.onrecv = function(datagram, size) {
+            self._lastHeard = NZJS.getExactTime();
+            self._receiveUnreliable(datagram, size);
+        }
+
+        this.rcon.onmalformed = this.ucon.onmalformed = function(text) {
+            self._lastHeard = NZJS.getExactTime();
+            self._drop('malformed', null, 'not JSON');
+        }
+
+        this.rcon.onopen = this.ucon.onopen = function() {
+            self._channelOpened();
+        }
+
+        this.rcon.onclose = this.ucon.onclose = function() {
+            self._lost('disconnect');
+        }
+
+        this.rcon.onerror = this.ucon.onerror = function(error) {
+            self.onerror(error);
+        }
+
+        this.rcon.onsuperseded = this.ucon.onsuperseded = function(attempt) {
+            self._restart(attempt);
+        }
+
+        // In case both were open already
+        this._channelOpened();
+    }
+
+    // Private method. Closes the current channels, ignoring anything they
+    // do from now on (closing one can close the other).
+    //
+    Connection.prototype._detach = function() {
+
+        var channels = [ this.rcon, this.ucon ];
+
+        channels.forEach(function(channel) {
+            channel.onrecv = channel.onmalformed = function() { };
+            channel.onopen = channel.onclose = channel.onerror = function() { };
+            channel.onsuperseded = function() { };
+        });
+
+        channels.forEach(function(channel) {
+            if (channel.state != NZJS.RTC.ConnectionState.Closed) {
+                channel.close();
+            }
+        });
+    }
+
+    // Private method. Fires onopen() once both channels are open.
+    //
+    Connection.prototype._channelOpened = function() {
+
+        if (this._ready || !this.isReady()) {
+            return;
+        }
+
+        var resumed = this._opened;
+
+        this._ready = true;
+        this._opened = true;
+        this._attempts = 0;
+        this._attemptStarted = null;
+        this._lastSent = this._lastHeard = NZJS.getExactTime();
+        this._startHeartbeat();
+
+        this.onopen(resumed);
+    }
+
+    // Private method. Handles the link going down: reconnects, if this
+    // connection can and hasn't run out of tries, or closes it for good.
+    //
+    Connection.prototype._lost = function(reason) {
+
+        if (this._closed) {
+            return;
+        }
+
+        var wasReady = this._ready;
+
+        this._ready = false;
+        this._attemptStarted = null;
+        this._stopTimers();
+        this._detach();
+
+        if (!this._reconnect || this._attempts >= NZJS.Transport.ReconnectAttempts) {
+            this._closed = true;
+            this.onclose(reason);
+            return;
+        }
+
+        if (wasReady) {
+            this.ondisconnect(reason);
+        }
+
+        var delay = Math.min(NZJS.Transport.ReconnectDelay * Math.pow(2, this._attempts),
+                             NZJS.Transport.MaxReconnectDelay);
+        this._attempts++;
+
+        var self = this;
+        this._reconnectTimer = setTimeout(function() {
+            self._reconnectTimer = null;
+            self._attemptReconnect();
+        }, delay * 1000.0);
+    }
+
+    // Private method. Drops the current channels for ones that join the
+    // peer's newer try at connecting (see
+    // NZJS.RTC.Connection.onsuperseded()), without waiting or counting it
+    // as one of this connection's tries.
+    //
+    Connection.prototype._restart = function(attempt) {
+
+        if (this._closed) {
+            return;
+        }
+
+        var wasReady = this._ready;
+
+        this._ready = false;
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        this._stopTimers();
+        this._detach();
+
+        if (wasReady) {
+            this.ondisconnect('disconnect');
+        }
+
+        this._attemptReconnect(attempt);
+    }
+
+    // Private method. Makes one try at reconnecting. It fails if the new
+    // channels aren't both open within NZJS.Transport.HeartbeatTimeout
+    // seconds.
+    //
+    // attempt: Optional. The peer's try to join (see _restart())
+    //
+    Connection.prototype._attemptReconnect = function(attempt) {
+
+        var channels;
+        try {
+            channels = this._reconnect(attempt);
+        }
+        catch (e) {
+            this.onerror(e);
+            this._lost('error');
+            return;
+        }
+
+        this._attemptStarted = NZJS.getExactTime();
+        this._attach(channels[0], channels[1]);
+        this._startHeartbeat();
+    }
+
+    // Private method. Checks on the link every half heartbeat interval
+    // (see _heartbeat()), if it isn't already.
+    //
+    Connection.prototype._startHeartbeat = function() {
+
+        if (this._heartbeatTimer !== null || this._closed) {
+            return;
+        }
+
+        var self = this;
+        this._heartbeatTimer = setTimeout(function() {
+            self._heartbeatTimer = null;
+            self._heartbeat();
+        }, NZJS.Transport.HeartbeatInterval * 500.0);
+    }
+
+    // Private method. Sends a heartbeat if nothing was sent for a while,
+    // and gives up on the link if the peer went silent or a reconnect is
+    // taking too long.
+    //
+    Connection.prototype._heartbeat = function() {
+
+        var now = NZJS.getExactTime();
+        var timeout = NZJS.Transport.HeartbeatTimeout;
+
+        if (this._ready) {
+            if (now - this._lastHeard > timeout) {
+                this._lost('timeout');
+                return;
+            }
+            if (now - this._lastSent >= NZJS.Transport.HeartbeatInterval) {
+                this._sendAck();
+            }
+        }
+        else if (this._attemptStarted !== null && now - this._attemptStarted > timeout) {
+            this._lost('timeout');
+            return;
+        }
+
+        this._startHeartbeat();
+    }
+
+    // Private method. Stops the heartbeat and any pending acknowledgement.
+    //
+    Connection.prototype._stopTimers = function() {
+
+        clearTimeout(this._heartbeatTimer);
+        this._heartbeatTimer = null;
+        this._cancelAck();
     }
 
     // Creates two NZJS.Transport.Connection objects connected to
@@ -107,4 +911,49 @@
         return [ left, right ];
     }
 
+    // Creates an NZJS.Transport.Connection to a peer through a signaling
+    // broker (see src/transport/signal.js). The peer must call connectVia()
+    // too, naming this peer. The connection isn't ready until both of its
+    // channels are open (see isReady()). If its link goes down, it
+    // reconnects through the same signaler, which must still be in the
+    // peer's room.
+    //
+    // signaler: An NZJS.RTC.Signaler that has joined the peer's room
+    // peerId: The id of the peer to connect to
+    //
+    NZJS.Transport.connectVia = function(signaler, peerId) {
+
+        // The lowest numbered try at connecting the next channels may be
+        // part of. Each try the caller makes is newer than the last; the
+        // callee waits for one newer than the last it answered.
+        var attempt = 0;
+        var pair = null;
+
+        function channels(newer) {
+
+            if (pair) {
+                for (var i = 0; i < pair.length; ++i) {
+                    if (pair[i].attempt !== null) {
+                        attempt = Math.max(attempt, pair[i].attempt + 1);
+                    }
+                }
+            }
+            if (newer !== undefined) {
+                attempt = Math.max(attempt, newer);
+            }
+
+            var rcon = new NZJS.RTC.Connection(true);
+            var ucon = new NZJS.RTC.Connection(false);
+
+            ucon.connectVia(signaler, peerId, attempt);
+            rcon.connectVia(signaler, peerId, attempt);
+
+            pair = [ rcon, ucon ];
+            return pair;
+        }
+
+        var first = channels();
+        return new Connection(first[0], first[1], channels);
+    }
+
 })(NZJS);
@@ -0,0 +1,208 @@
+/*
+ * messages.js
+ *
+ * The registry of message types that NZJS.Transport.Connection objects can
+ * send and receive. Every type has a schema describing the data it carries,
+ * which connections check each received message against, so a malformed (or
+ * malicious) peer message is dropped before gameplay code ever sees it.
+ *
+ * Register a type once, before any connection uses it:
+ *
+ *      NZJS.Transport.defineMessage('Chat', {
+ *          maxSize: 1024,
+ *          type: 'object',
+ *          fields: {
+ *              from: { type: 'string', maxLength: 32 },
+ *              text: { type: 'string', maxLength: 256 },
+ *              team: { type: 'integer', min: 0, max: 3, optional: true }
+ *          }
+ *      });
+ *
+ * A schema describes a value with these properties:
+ *
+ * - type: One of 'number', 'integer', 'string', 'boolean', 'object', 'array'
+ *   or 'any'. 'any' accepts any JSON value, and is meant for data that's
+ *   validated elsewhere (e.g. a packed NZJS.Replay.Record, which unpack()
+ *   checks).
+ * - min, max: For numbers, the inclusive range of allowed values
+ * - maxLength: For strings and arrays, the largest allowed length
+ * - values: A list of the only values allowed
+ * - fields: For objects, the schema of each property. Properties that aren't
+ *   listed make the object invalid. Omit fields to allow any properties.
+ * - items: For arrays, the schema of every item
+ * - optional: For fields, true if the field may be missing
+ *
+ * The top-level schema may also have a maxSize: the largest message of this
+ * type accepted, in characters of the message as sent (the JSON text of
+ * { what, data }). It defaults to NZJS.Transport.MaxMessageSize.
+ */
+
+;(function(NZJS) {
+    'use strict';
+
+    NZJS.Transport = NZJS.Transport || { };
+
+    // The largest message accepted, in characters, for types that don't set
+    // a maxSize
+    //
+    NZJS.Transport.MaxMessageSize = 16384;
+
+    // Message types -> schemas
+    var registry = { };
+
+    var TYPES = [ 'number', 'integer', 'string', 'boolean', 'object', 'array', 'any' ];
+
+    // Messages come from peers, which may send objects with a key named
+    // hasOwnProperty, so it's never called on them directly
+    var hasOwn = Object.prototype.hasOwnProperty;
+
+    // Throws an Error if a schema (or any schema nested in it) is malformed
+    //
+    function checkSchema(schema, path) {
+
+        if (!schema || TYPES.indexOf(schema.type) < 0) {
+            throw new Error('NZJS.Transport: ' + path + ' needs a type (one of ' + TYPES.join(', ') + ')');
+        }
+
+        for (var name in schema.fields || { }) {
+            checkSchema(schema.fields[name], path + '.' + name);
+        }
+        if (schema.items) {
+            checkSchema(schema.items, path + '[]');
+        }
+    }
+
+    // Registers a message type. Throws an Error if the type is already
+    // registered or the schema is malformed.
+    //
+    // what: The name of the type (e.g. 'InputState')
+    // schema: The schema of the data messages of this type carry (see the
+    //         top of this file)
+    //
+    NZJS.Transport.defineMessage = function(what, schema) {
+
+        if (hasOwn.call(registry, what)) {
+            throw new Error('NZJS.Transport: message type ' + what + ' is already defined');
+        }
+
+        checkSchema(schema, what);
+        registry[what] = schema;
+    }
+
+    // Gets the schema of a registered message type, or null if the type
+    // isn't registered
+    //
+    NZJS.Transport.messageSchema = function(what) {
+        return hasOwn.call(registry, what) ? registry[what] : null;
+    }
+
+    // Gets the largest size allowed for messages of a registered type
+    //
+    NZJS.Transport.maxMessageSize = function(what) {
+
+        var schema = NZJS.Transport.messageSchema(what);
+        return schema && schema.maxSize !== undefined ? schema.maxSize : NZJS.Transport.MaxMessageSize;
+    }
+
+    // Gets the type name of a JSON value, as used by schemas
+    //
+    function typeOf(value) {
+
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        if (value === null) {
+            return 'null';
+        }
+        return typeof value;
+    }
+
+    // Returns a description of why value doesn't match schema, or null if it
+    // does. path names the value in the description.
+    //
+    function check(schema, value, path) {
+
+        var type = typeOf(value);
+
+        if (schema.type == 'integer') {
+            if (type != 'number' || Math.floor(value) !== value) {
+                return path + ' must be an integer';
+            }
+        }
+        else if (schema.type != 'any' && schema.type != type) {
+            return path + ' must be ' + (/^[aeiou]/.test(schema.type) ? 'an ' : 'a ') + schema.type;
+        }
+
+        if (type == 'number') {
+            if (!isFinite(value)) {
+                return path + ' must be finite';
+            }
+            if (schema.min !== undefined && value < schema.min) {
+                return path + ' must be at least ' + schema.min;
+            }
+            if (schema.max !== undefined && value > schema.max) {
+                return path + ' must be at most ' + schema.max;
+            }
+        }
+
+        if (schema.maxLength !== undefined && (type == 'string' || type == 'array') &&
+            value.length > schema.maxLength) {
+            return path + ' must be at most ' + schema.maxLength + ' long';
+        }
+
+        if (schema.values && schema.values.indexOf(value) < 0) {
+            return path + ' must be one of ' + JSON.stringify(schema.values);
+        }
+
+        if (type == 'object' && schema.fields) {
+            for (var name in value) {
+                if (hasOwn.call(value, name) && !hasOwn.call(schema.fields, name)) {
+                    return path + '.' + name + ' is not allowed';
+                }
+            }
+
+            for (var name in schema.fields) {
+                var field = schema.fields[name];
+
+                if (!hasOwn.call(value, name)) {
+                    if (field.optional) {
+                        continue;
+                    }
+                    return path + '.' + name + ' is missing';
+                }
+
+                var error = check(field, value[name], path + '.' + name);
+                if (error) {
+                    return error;
+                }
+            }
+        }
+
+        if (type == 'array' && schema.items) {
+            for (var i = 0; i < value.length; ++i) {
+                var error = check(schema.items, value[i], path + '[' + i + ']');
+                if (error) {
+                    return error;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Checks data against the schema of a message type. Returns a
+    // description of the problem (e.g. 'data.team must be at most 3'), or
+    // null if the data is valid. Throws an Error if the type isn't
+    // registered.
+    //
+    NZJS.Transport.validateMessage = function(what, data) {
+
+        var schema = NZJS.Transport.messageSchema(what);
+        if (!schema) {
+            throw new Error('NZJS.Transport: unknown message type ' + what);
+        }
+
+        return check(schema, data, 'data');
+    }
+
+})(NZJS);
@@ -3,11 +3,11 @@
  *
  * A small WebRTC wrapper for establishing and utilizing RTCDataChannel.
  *
- * Currently this wrapper only supports 'local' connections between two
- * NZJS.RTC.Connection objects running in the same tab. This is because WebRTC,
- * although peer-to-peer, requires an external 'broker' mechanism to help two
- * clients find each other. In the future, nullzero.js will use a WebSocket
- * connection to the matchmaking server as this brokering mechanism.
+ * WebRTC, although peer-to-peer, requires an external 'broker' mechanism to
+ * help two clients find each other. Connections can be brokered by a
+ * signaling server, over a WebSocket (see connectVia() and signal.js), or
+ * made 'locally' between two NZJS.RTC.Connection objects running in the same
+ * tab (see localConnectTo()).
  */
 
 ;(function(NZJS, window) {
@@ -68,6 +68,21 @@
         this.conn = conn;
         this.isReliable = isReliable;
         this.state = ConnectionState.Closed;
+
+        // The try at connecting this connection is part of, and how it's
+        // listening for its signals (see connectVia())
+        this.attempt = null;
+        this._signaling = null;
+
+        // The data channel doesn't always notice when the link underneath
+        // it fails, so watch for that too
+        var self = this;
+        conn.oniceconnectionstatechange = function() {
+            if (conn.iceConnectionState == 'failed' && self.state != ConnectionState.Closed) {
+                self.onerror(new Error('NZJS.RTC.Connection: the connection to the peer failed'));
+                self.close();
+            }
+        }
     }
     NZJS.RTC.Connection = Connection;
 
@@ -115,8 +130,8 @@
 
         // Start establishing the connection
         function logError(err) {
-            throw new Error('Problem establishing WebRTC connection: ' + 
-                             err.name + ': ' + err.message);
+            caller.onerror(new Error('Problem establishing WebRTC connection: ' +
+                                     err.name + ': ' + err.message));
         }
 
         callerc.createOffer(function(desc) {
@@ -140,29 +155,263 @@
         }, logError);
     }
 
-    // Event handler fired when a datagram is received.
+    // Establishes a connection to a peer through a signaling broker (see
+    // signal.js). The peer must call connectVia() on a connection with the
+    // same isReliable setting, naming this peer. Of the two, the peer with
+    // the smaller id makes the offer.
+    //
+    // signaler: An NZJS.RTC.Signaler that has joined the peer's room
+    // peerId: The id of the peer to connect to
+    // attempt: Optional. Numbers this try at connecting the pair (default
+    //          0), so signals left over from an earlier try are ignored. The
+    //          caller makes try number attempt; the callee answers the first
+    //          offer numbered attempt or higher. Either way, this.attempt is
+    //          then the number of the try this connection is part of.
+    //
+    // Like localConnectTo(), this is asynchronous: the state is Opening until
+    // the data channel opens. If the caller starts a newer try after the
+    // callee answered, the callee's onsuperseded() fires.
+    //
+    Connection.prototype.connectVia = function(signaler, peerId, attempt) {
+
+        if (signaler.id === null) {
+            throw new Error('NZJS.RTC.Connection: the signaler must join a room before connecting');
+        }
+
+        this.state = ConnectionState.Opening;
+
+        var self = this;
+        var conn = this.conn;
+        var channel = this.isReliable ? 'reliable' : 'unreliable';
+        var isCaller = signaler.id < peerId;
+
+        var SessionDescription = window.RTCSessionDescription ||
+                                 window.mozRTCSessionDescription;
+        var IceCandidate = window.RTCIceCandidate ||
+                           window.mozRTCIceCandidate;
+
+        // ICE candidates can't be added until the remote description is set
+        var haveRemote = false;
+        var candidates = [ ];
+
+        // Anything still in flight once the connection closes is moot
+        function logError(err) {
+            if (self.state != ConnectionState.Closed) {
+                self.onerror(new Error('Problem establishing WebRTC connection: ' +
+                                       err.name + ': ' + err.message));
+            }
+        }
+
+        function signal(data) {
+            data.channel = channel;
+            data.attempt = self.attempt;
+            signaler.signal(peerId, data);
+        }
+
+        function sendDescription(kind) {
+            return function(desc) {
+                conn.setLocalDescription(desc, function() {
+                    signal({ kind: kind, desc: { type: desc.type, sdp: desc.sdp } });
+                }, logError);
+            }
+        }
+
+        function setRemote(desc, then) {
+            conn.setRemoteDescription(new SessionDescription(desc), function() {
+                haveRemote = true;
+                for (var i = 0; i < candidates.length; ++i) {
+                    conn.addIceCandidate(candidates[i]);
+                }
+                candidates = [ ];
+
+                then();
+            }, logError);
+        }
+
+        conn.onicecandidate = function(ev) {
+            if (ev.candidate) {
+                signal({ kind: 'candidate', candidate: ev.candidate });
+            }
+        }
+
+        this._listenVia(signaler, peerId, attempt || 0, function(data) {
+
+            if (data.kind == 'offer' && !isCaller) {
+                setRemote(data.desc, function() {
+                    conn.createAnswer(sendDescription('answer'), logError);
+                });
+            }
+            else if (data.kind == 'answer' && isCaller) {
+                setRemote(data.desc, function() { });
+            }
+            else if (data.kind == 'candidate') {
+                var candidate = new IceCandidate(data.candidate);
+                haveRemote ? conn.addIceCandidate(candidate) : candidates.push(candidate);
+            }
+        });
+
+        // As with localConnectTo(), the caller creates the data channel
+        // before the offer, so it's included in the session description
+        if (isCaller) {
+            var opt = { reliable: this.isReliable, ordered: false };
+            this._setDataChannel(conn.createDataChannel('nzjs', opt));
+
+            conn.createOffer(sendDescription('offer'), logError);
+        }
+        else {
+            conn.ondatachannel = function(ev) {
+                self._setDataChannel(ev.channel);
+            }
+        }
+    }
+
+    // Event handler fired when a datagram is received, with the length of
+    // its text as received.
     // The default stub prints a warning about the unhandled event.
     //
-    Connection.prototype.onrecv = function(datagram) {
+    Connection.prototype.onrecv = function(datagram, size) {
         console.log('NZJS.RTC.Connection: received: ' + JSON.stringify(datagram));
         console.log('NZJS.RTC.Connection: override onrecv() to suppress this message.');
     }
 
+    // Event handler fired when a message that isn't valid JSON is received.
+    // The default stub ignores it.
+    //
+    Connection.prototype.onmalformed = function(text) { }
+
+    // Event handler fired when the connection opens (its state becomes Open)
+    //
+    Connection.prototype.onopen = function() { }
+
+    // Event handler fired when the connection closes (its state becomes
+    // Closed), whether close() was called or the link to the peer went down
+    //
+    Connection.prototype.onclose = function() { }
+
+    // Event handler fired on the callee of connectVia() when the caller
+    // starts a newer try at connecting, with the try's number. This
+    // connection won't hear from the caller again; the offer is left with
+    // the signaler for a new connection to answer (by calling connectVia()
+    // with that number).
+    //
+    Connection.prototype.onsuperseded = function(attempt) { }
+
+    // Event handler fired when something goes wrong with the connection,
+    // with an Error describing the problem.
+    // The default stub prints the error.
+    //
+    Connection.prototype.onerror = function(error) {
+        console.log('NZJS.RTC.Connection: ' + error.message);
+    }
+
     // Sends a datagram to the other peer
-    // This connection's state (NZJS.Connection.state) must be Opened
+    // This connection's state (NZJS.RTC.Connection.state) must be Open;
+    // throws an Error if it isn't.
     //
     Connection.prototype.send = function(datagram) {
+
+        if (this.state != ConnectionState.Open) {
+            throw new Error('NZJS.RTC.Connection: can\'t send on a connection that isn\'t open');
+        }
+
         this.data.send(JSON.stringify(datagram));
     }
 
     Connection.prototype.close = function() {
-        this.state = ConnectionState.Closing;
 
-        this.data.close();
-        this.data = null;
+        if (this.state != ConnectionState.Closed) {
+            this.state = ConnectionState.Closing;
+        }
+
+        if (this.data) {
+            this.data.close();
+            this.data = null;
+        }
         this.conn.close();
 
-        this.state = ConnectionState.Closed;
+        this._setClosed();
+    }
+
+    // Private method. Marks this connection closed, firing onclose() if it
+    // wasn't already.
+    //
+    Connection.prototype._setClosed = function() {
+
+        this._stopSignaling();
+
+        if (this.state != ConnectionState.Closed) {
+            this.state = ConnectionState.Closed;
+            this.onclose();
+        }
+    }
+
+    // Private method. Handles the signals of one try at connecting to a peer
+    // through a signaler (see connectVia()), calling handler(data) for each
+    // of them, until the connection closes. Signals from earlier tries are
+    // ignored.
+    //
+    Connection.prototype._listenVia = function(signaler, peerId, attempt, handler) {
+
+        var self = this;
+        var channel = this.isReliable ? 'reliable' : 'unreliable';
+        var isCaller = signaler.id < peerId;
+        var superseded = false;
+
+        // The callee finds out which try it's part of from the offer
+        this.attempt = isCaller ? attempt : null;
+
+        function listener(data) {
+
+            var n = data.attempt;
+            if (typeof n != 'number' || n < attempt) {
+                return;
+            }
+
+            if (self.attempt === null) {
+                if (data.kind != 'offer') {
+                    return;
+                }
+                self.attempt = n;
+            }
+            else if (n < self.attempt || (n == self.attempt && data.kind == 'offer')) {
+                // From an earlier try, or the offer again
+                return;
+            }
+            else if (n > self.attempt) {
+                if (isCaller) {
+                    return;
+                }
+
+                // The caller started over. Leave the signal for the
+                // connection that answers the new try.
+                if (!superseded) {
+                    superseded = true;
+                    setTimeout(function() {
+                        if (self.state != ConnectionState.Closed) {
+                            self.onsuperseded(n);
+                        }
+                    }, 0);
+                }
+                return false;
+            }
+
+            handler(data);
+        }
+
+        signaler._listen(peerId, channel, listener);
+        this._signaling = { signaler: signaler, peer: peerId, channel: channel, listener: listener };
+    }
+
+    // Private method. Stops handling signals (see _listenVia()), so they
+    // can reach the next connection to the peer.
+    //
+    Connection.prototype._stopSignaling = function() {
+
+        var signaling = this._signaling;
+        if (signaling) {
+            signaling.signaler._unlisten(signaling.peer, signaling.channel, signaling.listener);
+            this._signaling = null;
+        }
     }
 
     // Private method. Sets this connection's data channel to [data], also
@@ -174,16 +423,29 @@
 
         data.onopen = function(e) {
             self.state = ConnectionState.Open;
+            self.onopen();
         }
 
         data.onclose = function(e) {
-            self.state = ConnectionState.Closed;
+            self._setClosed();
+        }
+
+        data.onerror = function(e) {
+            self.onerror(e.error || new Error('NZJS.RTC.Connection: data channel error'));
         }
 
         data.onmessage = function(e) {
+            var datagram;
+            try {
+                datagram = JSON.parse(e.data);
+            }
+            catch (err) {
+                self.onmalformed(e.data);
+                return;
+            }
+
             if (self.onrecv) {
-                var datagram = JSON.parse(e.data);
-                self.onrecv(datagram);
+                self.onrecv(datagram, e.data.length);
             }
         }
     }
@@ -0,0 +1,491 @@
+/*
+ * signal.js
+ *
+ * Signaling for NZJS.RTC: the broker that lets two peers find each other and
+ * exchange the offer, answer and ICE candidates WebRTC needs before it can
+ * connect them directly.
+ *
+ * Peers connect to a broker over a WebSocket, join a room under a peer id,
+ * and can then signal any other peer in the same room:
+ *
+ *      var signaler = new NZJS.RTC.Signaler(NZJS.Config.SignalingURL);
+ *      signaler.onpeerjoin = function(peer) {
+ *          var conn = NZJS.Transport.connectVia(signaler, peer);
+ *          ...
+ *      };
+ *      signaler.join('lobby', 'alice');
+ *
+ * tools/broker.js is a broker that runs locally in Node. For tests, and for
+ * several peers in one tab, NZJS.RTC.Broker is the same broker in memory:
+ *
+ *      var broker = new NZJS.RTC.Broker();
+ *      var alice = new NZJS.RTC.Signaler(broker.socket());
+ *      var bob = new NZJS.RTC.Signaler(broker.socket());
+ *
+ * The protocol is JSON text messages. Peers send the broker:
+ *
+ *      { type: 'join', room: <room name>, peer: <peer id> }
+ *      { type: 'leave' }
+ *      { type: 'signal', to: <peer id>, data: <anything> }
+ *
+ * and the broker sends peers:
+ *
+ *      { type: 'joined', room: <room name>, peer: <your id>, peers: [ <peer id>, ... ] }
+ *      { type: 'peer-joined', peer: <peer id> }
+ *      { type: 'peer-left', peer: <peer id> }
+ *      { type: 'signal', from: <peer id>, data: <anything> }
+ *      { type: 'error', message: <what went wrong> }
+ *
+ * NZJS.RTC.Connection.connectVia() sends these signal data objects, one
+ * stream per channel ('reliable' or 'unreliable'), so a pair of peers can set
+ * up both of an NZJS.Transport.Connection's channels at once:
+ *
+ *      { channel: <channel>, attempt: <n>, kind: 'offer', desc: <RTCSessionDescription> }
+ *      { channel: <channel>, attempt: <n>, kind: 'answer', desc: <RTCSessionDescription> }
+ *      { channel: <channel>, attempt: <n>, kind: 'candidate', candidate: <RTCIceCandidate> }
+ *
+ * where attempt numbers the pair's tries at connecting, so signals from a
+ * try that was given up on don't reach the next one.
+ */
+
+;(function(NZJS, window) {
+    'use strict';
+
+    NZJS.RTC = NZJS.RTC || { };
+
+    // WebSocket.readyState values
+    var OPEN = 1;
+    var CLOSED = 3;
+
+    // The most signals a Signaler holds for handlers that haven't been set
+    // yet (see _listen()). Signals past that are dropped.
+    var MAX_PENDING = 256;
+
+    // Parses a message from the other end of a signaling socket. Returns null
+    // if it isn't a JSON object.
+    //
+    function parseMessage(text) {
+
+        var message;
+        try {
+            message = JSON.parse(text);
+        }
+        catch (e) {
+            return null;
+        }
+
+        return message && typeof message == 'object' && !Array.isArray(message) ? message : null;
+    }
+
+    // Talks to a signaling broker on behalf of one peer.
+    //
+    // socket: The URL of the broker's WebSocket (e.g. 'ws://localhost:8090'),
+    //         or an object that works like a WebSocket, such as one made by
+    //         NZJS.RTC.Broker.socket()
+    //
+    function Signaler(socket) {
+
+        if (typeof socket == 'string') {
+            socket = new window.WebSocket(socket);
+        }
+
+        this.socket = socket;
+
+        // The room this peer is in, its id there, and the ids of the other
+        // peers in it. Set once the broker confirms a join().
+        this.room = null;
+        this.id = null;
+        this.peers = [ ];
+
+        // Messages sent before the socket opened
+        this._queue = [ ];
+
+        // Signal handlers, keyed by '<peer id> <channel>', and the signals
+        // that arrived before their handler was set
+        this._handlers = { };
+        this._pending = { };
+        this._pendingCount = 0;
+
+        var self = this;
+
+        socket.onopen = function() {
+            var queue = self._queue;
+            self._queue = [ ];
+
+            for (var i = 0; i < queue.length; ++i) {
+                socket.send(queue[i]);
+            }
+        }
+
+        socket.onmessage = function(ev) {
+            self._receive(ev.data);
+        }
+
+        socket.onclose = function() {
+            self.room = self.id = null;
+            self.peers = [ ];
+            self.onclose();
+        }
+    }
+    NZJS.RTC.Signaler = Signaler;
+
+    // Event handler fired when the broker confirms a join(), with the ids of
+    // the peers already in the room
+    //
+    Signaler.prototype.onjoin = function(peers) { }
+
+    // Event handler fired when another peer joins this peer's room
+    //
+    Signaler.prototype.onpeerjoin = function(peer) { }
+
+    // Event handler fired when another peer leaves this peer's room
+    //
+    Signaler.prototype.onpeerleave = function(peer) { }
+
+    // Event handler fired when the broker reports an error.
+    // The default stub prints the error.
+    //
+    Signaler.prototype.onerror = function(message) {
+        console.log('NZJS.RTC.Signaler: ' + message);
+    }
+
+    // Event handler fired when the connection to the broker closes
+    //
+    Signaler.prototype.onclose = function() { }
+
+    // Joins a room under the given peer id, leaving the current room, if
+    // any. Peer ids must be unique within a room.
+    //
+    Signaler.prototype.join = function(room, id) {
+        this._send({ type: 'join', room: room, peer: id });
+    }
+
+    // Leaves the current room
+    //
+    Signaler.prototype.leave = function() {
+
+        this._send({ type: 'leave' });
+
+        this.room = this.id = null;
+        this.peers = [ ];
+    }
+
+    // Sends signal data to another peer in this peer's room
+    //
+    Signaler.prototype.signal = function(to, data) {
+        this._send({ type: 'signal', to: to, data: data });
+    }
+
+    // Closes the connection to the broker, leaving the current room
+    //
+    Signaler.prototype.close = function() {
+        this.socket.close();
+    }
+
+    // Private method. Calls handler(data) for each signal on the given
+    // channel from the given peer, including any that already arrived.
+    // Signals the handler returns false for are kept for the next handler
+    // set for the channel. Used by NZJS.RTC.Connection.connectVia().
+    //
+    Signaler.prototype._listen = function(peer, channel, handler) {
+
+        var key = peer + ' ' + channel;
+        var pending = this._pending[key] || [ ];
+        var kept = [ ];
+
+        this._handlers[key] = handler;
+        this._pendingCount -= pending.length;
+        delete this._pending[key];
+
+        for (var i = 0; i < pending.length; ++i) {
+            if (handler(pending[i]) === false) {
+                kept.push(pending[i]);
+            }
+        }
+
+        if (kept.length > 0) {
+            this._pending[key] = kept.concat(this._pending[key] || [ ]);
+            this._pendingCount += kept.length;
+        }
+    }
+
+    // Private method. Stops calling a handler set with _listen(), if it's
+    // still the channel's handler. Signals on the channel are kept until
+    // another handler is set.
+    //
+    Signaler.prototype._unlisten = function(peer, channel, handler) {
+
+        var key = peer + ' ' + channel;
+        if (this._handlers[key] === handler) {
+            delete this._handlers[key];
+        }
+    }
+
+    // Private method. Sends a message to the broker, or queues it until the
+    // socket opens.
+    //
+    Signaler.prototype._send = function(message) {
+
+        var text = JSON.stringify(message);
+
+        if (this.socket.readyState == OPEN) {
+            this.socket.send(text);
+        }
+        else if (this.socket.readyState != CLOSED) {
+            this._queue.push(text);
+        }
+    }
+
+    // Private method. Handles a message from the broker.
+    //
+    Signaler.prototype._receive = function(text) {
+
+        var message = parseMessage(text);
+        if (!message) {
+            this.onerror('bad message from broker: ' + text);
+            return;
+        }
+
+        switch (message.type) {
+
+            case 'joined':
+                this.room = message.room;
+                this.id = message.peer;
+                this.peers = Array.isArray(message.peers) ? message.peers.slice() : [ ];
+                this.onjoin(this.peers.slice());
+                break;
+
+            case 'peer-joined':
+                this.peers.push(message.peer);
+                this.onpeerjoin(message.peer);
+                break;
+
+            case 'peer-left':
+                var index = this.peers.indexOf(message.peer);
+                if (index >= 0) {
+                    this.peers.splice(index, 1);
+                }
+                this._dropPending(message.peer);
+                this.onpeerleave(message.peer);
+                break;
+
+            case 'signal':
+                var data = message.data || { };
+                var key = message.from + ' ' + data.channel;
+                var handler = this._handlers[key];
+
+                if (handler && handler(data) !== false) {
+                    break;
+                }
+
+                if (this._pendingCount >= MAX_PENDING) {
+                    this.onerror('too many signals nobody is listening for; dropped one from ' + message.from);
+                }
+                else {
+                    (this._pending[key] = this._pending[key] || [ ]).push(data);
+                    ++this._pendingCount;
+                }
+                break;
+
+            case 'error':
+                this.onerror(message.message);
+                break;
+
+            default:
+                this.onerror('unknown message type from broker: ' + message.type);
+        }
+    }
+
+    // Private method. Forgets the signals from a peer that arrived before
+    // their handler was set.
+    //
+    Signaler.prototype._dropPending = function(peer) {
+
+        for (var key in this._pending) {
+            if (key.indexOf(peer + ' ') == 0) {
+                this._pendingCount -= this._pending[key].length;
+                delete this._pending[key];
+            }
+        }
+    }
+
+    // A signaling broker: keeps track of which peers are in which rooms and
+    // forwards signals between them. Works with any WebSocket-like object,
+    // so tools/broker.js runs this same code behind a real WebSocket server.
+    //
+    function Broker() {
+
+        // Room names -> { <peer id>: <socket> }. Both names come from peers,
+        // so neither map has a prototype for them to collide with.
+        this.rooms = Object.create(null);
+    }
+    NZJS.RTC.Broker = Broker;
+
+    // Starts serving a peer connected on the given socket. The socket must
+    // have a send(text) method; this sets its onmessage and onclose
+    // handlers.
+    //
+    Broker.prototype.accept = function(socket) {
+
+        var self = this;
+        var peer = { socket: socket, room: null, id: null };
+
+        socket.onmessage = function(ev) {
+            self._receive(peer, ev.data);
+        }
+
+        socket.onclose = function() {
+            self._leave(peer);
+        }
+    }
+
+    // Creates a WebSocket-like object connected to this broker in memory,
+    // to pass to NZJS.RTC.Signaler. Messages are delivered asynchronously,
+    // the way they would be over a network.
+    //
+    Broker.prototype.socket = function() {
+
+        var client = new LocalSocket();
+        var server = new LocalSocket();
+
+        client._peer = server;
+        server._peer = client;
+
+        this.accept(server);
+        return client;
+    }
+
+    // Private method. Handles a message from a peer.
+    //
+    Broker.prototype._receive = function(peer, text) {
+
+        var message = parseMessage(text);
+        if (!message) {
+            this._error(peer, 'bad message: ' + text);
+            return;
+        }
+
+        switch (message.type) {
+
+            case 'join':
+                this._join(peer, String(message.room), String(message.peer));
+                break;
+
+            case 'leave':
+                this._leave(peer);
+                break;
+
+            case 'signal':
+                var room = peer.room === null ? null : this.rooms[peer.room];
+                var to = room && room[String(message.to)];
+
+                if (!to) {
+                    this._error(peer, 'no peer ' + message.to + ' in the room');
+                }
+                else {
+                    to.send(JSON.stringify({ type: 'signal', from: peer.id, data: message.data }));
+                }
+                break;
+
+            default:
+                this._error(peer, 'unknown message type ' + message.type);
+        }
+    }
+
+    // Private method. Moves a peer into a room.
+    //
+    Broker.prototype._join = function(peer, roomName, id) {
+
+        var taken = this.rooms[roomName] && this.rooms[roomName][id];
+        if (taken && taken !== peer.socket) {
+            this._error(peer, 'peer id ' + id + ' is taken in room ' + roomName);
+            return;
+        }
+
+        this._leave(peer);
+
+        var room = this.rooms[roomName] || Object.create(null);
+        var others = Object.keys(room);
+        this._broadcast(room, { type: 'peer-joined', peer: id });
+
+        room[id] = peer.socket;
+        this.rooms[roomName] = room;
+        peer.room = roomName;
+        peer.id = id;
+
+        peer.socket.send(JSON.stringify({ type: 'joined', room: roomName, peer: id, peers: others }));
+    }
+
+    // Private method. Takes a peer out of its room, if it's in one.
+    //
+    Broker.prototype._leave = function(peer) {
+
+        var room = peer.room === null ? null : this.rooms[peer.room];
+        if (!room) {
+            return;
+        }
+
+        delete room[peer.id];
+        if (Object.keys(room).length == 0) {
+            delete this.rooms[peer.room];
+        }
+        else {
+            this._broadcast(room, { type: 'peer-left', peer: peer.id });
+        }
+
+        peer.room = peer.id = null;
+    }
+
+    // Private method. Sends a message to every peer in a room.
+    //
+    Broker.prototype._broadcast = function(room, message) {
+
+        var text = JSON.stringify(message);
+        for (var id in room) {
+            room[id].send(text);
+        }
+    }
+
+    // Private method. Reports an error to a peer.
+    //
+    Broker.prototype._error = function(peer, message) {
+        peer.socket.send(JSON.stringify({ type: 'error', message: message }));
+    }
+
+    // One end of an in-memory, WebSocket-like connection (see
+    // Broker.socket()). Always open until closed.
+    //
+    function LocalSocket() {
+
+        this.readyState = OPEN;
+        this._peer = null;
+
+        this.onopen = this.onmessage = this.onclose = null;
+    }
+
+    LocalSocket.prototype.send = function(text) {
+
+        var peer = this._peer;
+
+        setTimeout(function() {
+            if (peer.readyState == OPEN && peer.onmessage) {
+                peer.onmessage({ data: text });
+            }
+        }, 0);
+    }
+
+    LocalSocket.prototype.close = function() {
+
+        var sockets = [ this, this._peer ];
+
+        for (var i = 0; i < sockets.length; ++i) {
+            if (sockets[i].readyState != CLOSED) {
+                sockets[i].readyState = CLOSED;
+                if (sockets[i].onclose) {
+                    sockets[i].onclose();
+                }
+            }
+        }
+    }
+
+})(NZJS, window);
@@ -0,0 +1,247 @@
+/*
+ * simulated.js
+ *
+ * Simulates a bad network on top of an NZJS.Transport.Connection, so
+ * problems that only show up over real links (lag, loss, duplicated or
+ * reordered datagrams, a slow uplink) can be reproduced with local
+ * connections:
+ *
+ *      var pair = NZJS.Transport.createLocalConnections();
+ *      var left = new NZJS.Transport.SimulatedConnection(pair[0], seed);
+ *
+ *      left.configure({ latency: 0.05, jitter: 0.01, loss: 5 });
+ *
+ * Use the SimulatedConnection in place of the connection it wraps (add
+ * message handlers to it, send through it, handle its events). Wrap the
+ * connection before it opens. Everything the connection sends and receives
+ * goes through the simulator, so one SimulatedConnection makes the whole link
+ * between two peers bad. A SimulatedConnection doesn't reconnect: if the
+ * simulated link is bad enough for the peer to time out, it closes.
+ *
+ * Settings apply per direction ('out' for what this side sends, 'in' for
+ * what it receives) and per channel ('reliable' or 'unreliable'):
+ *
+ * - latency: Seconds every datagram is delayed by
+ * - jitter: Up to this many more seconds, picked at random per datagram
+ * - loss: The percentage of datagrams dropped
+ * - duplicate: The percentage of datagrams delivered twice
+ * - reorder: The percentage of datagrams held back by reorderDelay more
+ *   seconds, so the ones sent after them overtake them
+ * - reorderDelay: See reorder. Defaults to 0.05.
+ * - bandwidth: The most bytes (characters of datagram text) per second the
+ *   direction carries; datagrams queue up behind each other beyond that.
+ *   0 means unlimited.
+ *
+ * The reliable channel is never lossy: its datagrams are only delayed (by
+ * latency, jitter and bandwidth), never dropped, duplicated or held back.
+ *
+ * The random choices come from an NZJS.Random, so a simulator given the same
+ * seed makes the same choices for the same traffic.
+ */
+
+;(function(NZJS) {
+    'use strict';
+
+    var DIRECTIONS = [ 'out', 'in' ];
+    var CHANNELS = [ 'reliable', 'unreliable' ];
+
+    // Gets the settings of a perfect link
+    //
+    function perfectLink() {
+        return {
+            latency: 0.0,
+            jitter: 0.0,
+            loss: 0,
+            duplicate: 0,
+            reorder: 0,
+            reorderDelay: 0.05,
+            bandwidth: 0
+        };
+    }
+
+    // Wraps a connection in a network simulator. The link starts out perfect;
+    // call configure() to make it worse.
+    //
+    // connection: The NZJS.Transport.Connection to wrap. Use the
+    //             SimulatedConnection instead of it from now on.
+    // seed: The seed of the simulator's random choices. Defaults to
+    //       NZJS.randomSeed().
+    //
+    function SimulatedConnection(connection, seed) {
+
+        this.inner = connection;
+        this.random = new NZJS.Random(seed);
+
+        // Direction -> channel -> settings (see the top of this file)
+        this.settings = { };
+        this.reset();
+
+        // How many datagrams the simulator dropped, duplicated and held back
+        this.simulated = { dropped: 0, duplicated: 0, reordered: 0 };
+
+        NZJS.Transport.Connection.call(this,
+            new SimulatedChannel(this, connection.rcon, 'reliable'),
+            new SimulatedChannel(this, connection.ucon, 'unreliable'));
+    }
+    SimulatedConnection.prototype = Object.create(NZJS.Transport.Connection.prototype);
+    SimulatedConnection.prototype.constructor = SimulatedConnection;
+    NZJS.Transport.SimulatedConnection = SimulatedConnection;
+
+    // Changes some settings (see the top of this file), leaving the others
+    // as they are
+    //
+    // settings: An object with the settings to change
+    // direction: 'out' or 'in', or omit to change both directions
+    // channel: 'reliable' or 'unreliable', or omit to change both channels
+    //
+    SimulatedConnection.prototype.configure = function(settings, direction, channel) {
+
+        var directions = direction ? [ direction ] : DIRECTIONS;
+        var channels = channel ? [ channel ] : CHANNELS;
+
+        for (var i = 0; i < directions.length; ++i) {
+            for (var j = 0; j < channels.length; ++j) {
+                var target = this.settings[directions[i]] && this.settings[directions[i]][channels[j]];
+                if (!target) {
+                    throw new Error('NZJS.Transport.SimulatedConnection: unknown direction/channel ' +
+                                    directions[i] + '/' + channels[j]);
+                }
+
+                for (var name in settings) {
+                    if (!target.hasOwnProperty(name)) {
+                        throw new Error('NZJS.Transport.SimulatedConnection: unknown setting ' + name);
+                    }
+                    target[name] = settings[name];
+                }
+            }
+        }
+    }
+
+    // Makes the link perfect again in both directions, on both channels
+    //
+    SimulatedConnection.prototype.reset = function() {
+
+        for (var i = 0; i < DIRECTIONS.length; ++i) {
+            this.settings[DIRECTIONS[i]] = { };
+
+            for (var j = 0; j < CHANNELS.length; ++j) {
+                this.settings[DIRECTIONS[i]][CHANNELS[j]] = perfectLink();
+            }
+        }
+    }
+
+    // Stands in for one of a wrapped connection's NZJS.RTC.Connection
+    // channels, passing datagrams through the simulator both ways
+    //
+    function SimulatedChannel(simulator, inner, name) {
+
+        this.inner = inner;
+        this.isReliable = inner.isReliable;
+
+        this._simulator = simulator;
+        this._name = name;
+
+        // The time each direction's link is busy until, for bandwidth caps
+        this._busyUntil = { out: 0.0, in: 0.0 };
+
+        var self = this;
+
+        inner.onrecv = function(datagram, size) {
+            self._pass('in', JSON.stringify(datagram), function(datagram, size) {
+                self.onrecv(datagram, size);
+            });
+        }
+
+        inner.onmalformed = function(text) {
+            self.onmalformed(text);
+        }
+
+        inner.onopen = function() {
+            self.onopen();
+        }
+
+        inner.onclose = function() {
+            self.onclose();
+        }
+
+        inner.onerror = function(error) {
+            self.onerror(error);
+        }
+    }
+
+    // The channel is in whatever state the wrapped channel is in
+    //
+    Object.defineProperty(SimulatedChannel.prototype, 'state', {
+        get: function() { return this.inner.state; }
+    });
+
+    SimulatedChannel.prototype.onrecv = NZJS.RTC.Connection.prototype.onrecv;
+    SimulatedChannel.prototype.onmalformed = NZJS.RTC.Connection.prototype.onmalformed;
+    SimulatedChannel.prototype.onopen = NZJS.RTC.Connection.prototype.onopen;
+    SimulatedChannel.prototype.onclose = NZJS.RTC.Connection.prototype.onclose;
+    SimulatedChannel.prototype.onerror = NZJS.RTC.Connection.prototype.onerror;
+
+    SimulatedChannel.prototype.send = function(datagram) {
+
+        if (this.state != NZJS.RTC.ConnectionState.Open) {
+            throw new Error('NZJS.Transport.SimulatedConnection: can\'t send on a channel that isn\'t open');
+        }
+
+        var inner = this.inner;
+
+        this._pass('out', JSON.stringify(datagram), function(datagram) {
+            if (inner.state == NZJS.RTC.ConnectionState.Open) {
+                inner.send(datagram);
+            }
+        });
+    }
+
+    SimulatedChannel.prototype.close = function() {
+        this.inner.close();
+    }
+
+    // Private method. Decides the fate of a datagram going in the given
+    // direction, and calls deliver(datagram, size) for each copy of it that
+    // makes it through, once it arrives.
+    //
+    SimulatedChannel.prototype._pass = function(direction, text, deliver) {
+
+        var simulator = this._simulator;
+        var settings = simulator.settings[direction][this._name];
+        var random = simulator.random;
+        var lossy = !this.isReliable;
+
+        if (lossy && random.chance(settings.loss / 100.0)) {
+            simulator.simulated.dropped++;
+            return;
+        }
+
+        var copies = 1;
+        if (lossy && random.chance(settings.duplicate / 100.0)) {
+            simulator.simulated.duplicated++;
+            copies = 2;
+        }
+
+        for (var i = 0; i < copies; ++i) {
+            var delay = settings.latency + random.range(0.0, settings.jitter);
+
+            if (lossy && random.chance(settings.reorder / 100.0)) {
+                simulator.simulated.reordered++;
+                delay += settings.reorderDelay;
+            }
+
+            if (settings.bandwidth > 0) {
+                var now = NZJS.getExactTime();
+                var start = Math.max(now, this._busyUntil[direction]);
+
+                this._busyUntil[direction] = start + text.length / settings.bandwidth;
+                delay += this._busyUntil[direction] - now;
+            }
+
+            setTimeout(function() {
+                deliver(JSON.parse(text), text.length);
+            }, delay * 1000.0);
+        }
+    }
+
+})(NZJS);
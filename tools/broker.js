@@ -0,0 +1,257 @@
+/*
+ * broker.js
+ *
+ * A signaling broker for local development: serves NZJS.RTC.Broker (see
+ * src/transport/signal.js) over WebSockets, so peers in different tabs or
+ * browsers on this machine can find each other. Run it with Node:
+ *
+ *      node tools/broker.js [port]
+ *
+ * The port defaults to 8090, which is where NZJS.Config.SignalingURL points.
+ *
+ * Like src/headless.js, this is a Node module rather than a browser source
+ * file. It has no dependencies beyond Node itself, so it implements just
+ * enough of the WebSocket protocol (RFC 6455) for the broker: unfragmented
+ * or fragmented text messages, ping and close.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var http = require('http');
+var path = require('path');
+
+var NZJS = require(path.join(__dirname, '..', 'src', 'headless')).boot();
+
+// The GUID every WebSocket handshake hashes the client's key with
+var HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Frame opcodes
+var CONTINUATION = 0x0;
+var TEXT = 0x1;
+var CLOSE = 0x8;
+var PING = 0x9;
+var PONG = 0xA;
+
+// The largest message accepted from a peer, in bytes. Signaling messages
+// are a few kilobytes at most.
+var MAX_MESSAGE = 1 << 20;
+
+// Encodes a frame with the given opcode and payload. Server frames are never
+// masked.
+//
+function encodeFrame(opcode, payload) {
+
+    var header;
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    }
+    else if (payload.length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    }
+    else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+        header.writeUInt32BE(payload.length >>> 0, 6);
+    }
+
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([ header, payload ]);
+}
+
+// Decodes the frame at the start of buffer. Returns { frame, rest }, where
+// frame is { fin, opcode, payload }, or null if buffer doesn't hold a whole
+// frame yet. Throws an Error for frames the broker won't accept.
+//
+function decodeFrame(buffer) {
+
+    if (buffer.length < 2) {
+        return null;
+    }
+
+    var fin = (buffer[0] & 0x80) != 0;
+    var opcode = buffer[0] & 0x0F;
+    var masked = (buffer[1] & 0x80) != 0;
+    var length = buffer[1] & 0x7F;
+    var offset = 2;
+
+    if (!masked) {
+        throw new Error('client frames must be masked');
+    }
+
+    if (length == 126) {
+        if (buffer.length < 4) {
+            return null;
+        }
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    }
+    else if (length == 127) {
+        if (buffer.length < 10) {
+            return null;
+        }
+        length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+        offset = 10;
+    }
+
+    if (length > MAX_MESSAGE) {
+        throw new Error('frame too large');
+    }
+    if (buffer.length < offset + 4 + length) {
+        return null;
+    }
+
+    var mask = buffer.slice(offset, offset + 4);
+    var payload = Buffer.from(buffer.slice(offset + 4, offset + 4 + length));
+    for (var i = 0; i < payload.length; ++i) {
+        payload[i] ^= mask[i % 4];
+    }
+
+    return {
+        frame: { fin: fin, opcode: opcode, payload: payload },
+        rest: buffer.slice(offset + 4 + length)
+    };
+}
+
+// Wraps an upgraded TCP socket in a WebSocket-like object with send(text),
+// close(), onmessage and onclose, which is what NZJS.RTC.Broker expects
+//
+function WebSocketPeer(socket) {
+
+    this.socket = socket;
+    this.readyState = 1;
+    this.onmessage = this.onclose = null;
+
+    var self = this;
+    var buffer = Buffer.alloc(0);
+    var fragments = [ ];
+
+    socket.on('data', function(data) {
+
+        buffer = Buffer.concat([ buffer, data ]);
+
+        try {
+            var decoded;
+            while (self.readyState == 1 && (decoded = decodeFrame(buffer))) {
+                buffer = decoded.rest;
+                self._frame(decoded.frame, fragments);
+            }
+        }
+        catch (e) {
+            console.log('broker: dropping peer: ' + e.message);
+            self.close();
+        }
+    });
+
+    socket.on('close', function() {
+        self._closed();
+    });
+
+    socket.on('error', function() {
+        self._closed();
+    });
+}
+
+// Handles one decoded frame. fragments holds the payloads of a fragmented
+// message received so far.
+//
+WebSocketPeer.prototype._frame = function(frame, fragments) {
+
+    switch (frame.opcode) {
+
+        case TEXT:
+        case CONTINUATION:
+            fragments.push(frame.payload);
+
+            var size = fragments.reduce(function(total, f) { return total + f.length; }, 0);
+            if (size > MAX_MESSAGE) {
+                throw new Error('message too large');
+            }
+
+            if (frame.fin) {
+                var text = Buffer.concat(fragments.splice(0)).toString('utf8');
+                if (this.onmessage) {
+                    this.onmessage({ data: text });
+                }
+            }
+            break;
+
+        case PING:
+            this.socket.write(encodeFrame(PONG, frame.payload));
+            break;
+
+        case CLOSE:
+            this.close();
+            break;
+    }
+}
+
+WebSocketPeer.prototype.send = function(text) {
+
+    if (this.readyState == 1) {
+        this.socket.write(encodeFrame(TEXT, Buffer.from(text, 'utf8')));
+    }
+}
+
+WebSocketPeer.prototype.close = function() {
+
+    if (this.readyState == 1) {
+        this.socket.end(encodeFrame(CLOSE, Buffer.alloc(0)));
+    }
+    this._closed();
+}
+
+WebSocketPeer.prototype._closed = function() {
+
+    if (this.readyState != 3) {
+        this.readyState = 3;
+        if (this.onclose) {
+            this.onclose();
+        }
+    }
+}
+
+// Starts a broker listening on the given port. Returns the http.Server.
+//
+function listen(port) {
+
+    var broker = new NZJS.RTC.Broker();
+
+    var server = http.createServer(function(req, res) {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('This is a nullzero.js signaling broker; connect with a WebSocket.\n');
+    });
+
+    server.on('upgrade', function(req, socket) {
+
+        var key = req.headers['sec-websocket-key'];
+        if (!key || String(req.headers['upgrade']).toLowerCase() != 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        var accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+                     'Upgrade: websocket\r\n' +
+                     'Connection: Upgrade\r\n' +
+                     'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+
+        broker.accept(new WebSocketPeer(socket));
+    });
+
+    server.listen(port);
+    return server;
+}
+
+exports.listen = listen;
+
+if (require.main === module) {
+    var port = Number(process.argv[2]) || 8090;
+
+    listen(port);
+    console.log('broker: listening on ws://localhost:' + port);
+}